@@ -1,3 +1,5 @@
+importScripts("shared/paper-identity.js", "shared/library-store.js");
+
 // Defines approximate token and character limits for API calls.
 const TOKEN_LIMITS = {
   MAX_CONTEXT_TOKENS: 4096, // Total session context
@@ -26,17 +28,6 @@ function calculateSafeInputSize(promptOverheadChars = 800) {
   return Math.floor(availableTokens * 3.5);
 }
 
-// Truncates text by combining the start and end, for very large inputs.
-function smartTruncate(text, maxLength) {
-  if (!text || text.length <= maxLength) {
-    return text || "";
-  }
-  const halfLength = Math.floor(maxLength / 2);
-  const start = text.substring(0, halfLength);
-  const end = text.substring(text.length - halfLength);
-  return start + "\n\n...[Content Truncated for Token Limits]...\n\n" + end;
-}
-
 // Truncates text at the nearest sentence boundary.
 function intelligentTruncate(text, maxLength) {
   if (!text || text.length <= maxLength) {
@@ -149,12 +140,60 @@ function combineContexts(sections, maxTotalLength) {
   return results;
 }
 
+// Most library tags offered to the model when suggesting a paper's tags.
+const MAX_PROMPT_LIBRARY_TAGS = 30;
+
+// Longest extra guidance accepted when regenerating a step.
+const MAX_GUIDANCE_LENGTH = 500;
+
+// The paper sections the analysis read, kept on the paper so single steps
+// can be regenerated later without the original page.
+function getSourceTexts(paperData) {
+  return {
+    introductionText: paperData.introductionText || "",
+    methodologyText: paperData.methodologyText || "",
+    conclusionText: paperData.conclusionText || "",
+  };
+}
+
+// Steps that read the saved sections rather than just the abstract.
+const SOURCE_TEXT_STEPS = ["question", "gaps", "trajectories"];
+
+// Appends the user's guidance to a prompt; empty when there is none, so
+// prompts without guidance are unchanged.
+function formatGuidance(guidance) {
+  return guidance ? `\nAdditional guidance from the reader: ${guidance}` : "";
+}
+
+// Percentage of the analysis steps that succeeded.
+function getAnalysisConfidence(steps) {
+  const results = Object.values(steps);
+  if (results.length === 0) return 0;
+  return Math.round((results.filter(Boolean).length / results.length) * 100);
+}
+
+// A paper's step results. Papers analysed before they were recorded get them
+// from the fields the analysis filled in.
+function getAnalysisSteps(paper) {
+  if (paper.analysisSteps) return paper.analysisSteps;
+  const steps = {
+    summary: Boolean(paper.summary),
+    findings: (paper.keyFindings || []).length > 0,
+    methodology: Boolean(paper.methodology),
+    gaps: (paper.researchGaps || []).length > 0,
+  };
+  if (paper.researchQuestion) steps.question = true;
+  if ((paper.trajectorySuggestions || []).length > 0) steps.trajectories = true;
+  return steps;
+}
+
 class PaperAnalyser {
   constructor() {
     this.summarizerSession = null;
     this.writerSession = null;
     this.rewriterSession = null;
     this.languageModelSession = null;
+    this.summaryLength = "medium";
   }
 
   // Initialises all available Chrome AI APIs (Summarizer, Writer, Rewrite, LanguageModel).
@@ -184,6 +223,7 @@ class PaperAnalyser {
       // Load settings before creating sessions ---
       const { settings } = await chrome.storage.local.get("settings");
       const userSummaryLength = settings?.summaryLength || "medium";
+      this.summaryLength = userSummaryLength;
       console.log(
         `[NovaMind] Initialising summarizer with length: ${userSummaryLength}`
       );
@@ -265,19 +305,14 @@ class PaperAnalyser {
   async analysePaper(paperData) {
     console.log("[NovaMind] Starting analysis:", paperData.title);
 
-    // Helper to send progress updates to the popup.
-    const sendProgress = async (progress) => {
-      try {
-        await chrome.storage.local.set({ analysisProgress: progress });
-        chrome.runtime
-          .sendMessage({ action: "analysisProgress", progress })
-          .catch(() => {});
-      } catch (error) {}
-    };
-
     const results = {
       title: paperData.title,
       url: paperData.url,
+      authors: paperData.authors || "",
+      site: paperData.site || null,
+      citation: paperData.citation || null,
+      arxivVersion: paperData.arxivVersion || null,
+      localFile: paperData.localFile || null,
       timestamp: new Date().toISOString(),
       abstract: paperData.abstract || paperData.content,
       keyFindings: [],
@@ -286,217 +321,82 @@ class PaperAnalyser {
       researchGaps: [],
       trajectorySuggestions: [],
       connections: [],
+      references: paperData.references || [],
+      figures: paperData.figures || [],
+      sourceTexts: getSourceTexts(paperData),
+      analysisSteps: {},
       confidence: 0,
       summary: "",
+      summaryLength: this.summaryLength,
     };
 
-    let totalSteps = 4; // Base: Summary, Findings, Methodology, Gaps
-    let successfulSteps = 0;
-    if (this.writerSession && paperData.introductionText) totalSteps++; // Research Question
-    if (this.languageModelSession) totalSteps++; // Trajectories
+    // Whether each step succeeded. Summary, findings, methodology and gaps
+    // always count towards the confidence score; the research question only
+    // with an introduction, trajectories only with the LanguageModel.
+    const steps = results.analysisSteps;
+    Object.assign(steps, {
+      summary: false,
+      findings: false,
+      methodology: false,
+      gaps: false,
+    });
+    if (this.writerSession && paperData.introductionText)
+      steps.question = false;
+    if (this.languageModelSession) steps.trajectories = false;
 
     try {
       // Step 1: Generate summary
-      sendProgress(20);
+      reportAnalysisProgress(20);
       console.log("[NovaMind] Step 1: Summary");
       if (this.summarizerSession) {
-        const contentToSummarize = await prepareTextForAPI(
-          results.abstract,
-          "SUMMARIZER",
-          this.summarizerSession
-        );
-        results.summary = await this.summarizerSession.summarize(
-          contentToSummarize
-        );
-        checkSessionTokens(this.summarizerSession, "After summary");
-        successfulSteps++;
+        results.summary = await this.generateSummary(results.abstract);
+        steps.summary = true;
       }
 
       // Step 2: Extract key findings
-      sendProgress(35);
+      reportAnalysisProgress(35);
       console.log("[NovaMind] Step 2: Key findings");
       if (this.writerSession) {
-        // Use abstract ONLY for findings.
-        const findingsContext = results.abstract;
-        const preparedContext = await prepareTextForAPI(
-          findingsContext,
-          "WRITER",
-          this.writerSession
-        );
-        const findingsPrompt = `Extract 2-3 key findings from this paper. List them directly, one per line.
-
-Content:
-${preparedContext}`;
-        const findingsText = await this.writerSession.write(findingsPrompt);
-        checkSessionTokens(this.writerSession, "After findings");
-        results.keyFindings = findingsText
-          .split("\n")
-          .filter((f) => f.trim().length > 10)
-          .map((f) => f.replace(/^[-•*\d.]+\s*/, "").trim())
-          .slice(0, 3);
-        successfulSteps++;
+        results.keyFindings = await this.generateKeyFindings(results.abstract);
+        steps.findings = true;
       }
 
       // Step 3 (Question) & 4 (Methodology) from Introduction
-      sendProgress(50);
+      reportAnalysisProgress(50);
       console.log("[NovaMind] Step 3/4: Analysing for Q&M...");
-      let researchQuestionFound = "";
-
       if (this.writerSession) {
-        if (paperData.introductionText) {
-          // 1. TRY INTRODUCTION (with chunking)
-          console.log("[NovaMind] Analysing Introduction for Q&M...");
-          const introText = paperData.introductionText;
-          const CHUNK_SIZE = TOKEN_LIMITS.WRITER_INPUT;
-          let methodologyFound = "";
-
-          for (let i = 0; i < introText.length; i += CHUNK_SIZE) {
-            if (researchQuestionFound && methodologyFound) break;
-            const chunk = introText.substring(i, i + CHUNK_SIZE);
-
-            if (!researchQuestionFound) {
-              const questionPrompt = `Read this text and identify the main research question or problem statement in 1-2 sentences. If no clear question is stated, briefly explain that.
-                Text:
-                ${chunk}`;
-              const qResponse = await this.writerSession.write(questionPrompt);
-
-              // We removed the check for "NONE".
-              // Any response with substance will be saved.
-              if (qResponse.length > 10) {
-                researchQuestionFound = qResponse.trim();
-              }
-            }
-
-            if (!methodologyFound) {
-              const methodologyPrompt = `Analyze the following text and concisely summarize the research methodology. Look for descriptions of the experimental setup, data sets, models, or analysis techniques. If no methodology is described, briefly explain that.
-                Text:
-                ${chunk}`;
-              const mResponse = await this.writerSession.write(
-                methodologyPrompt
-              );
-
-              // We removed the check for "NONE".
-              if (mResponse.length > 10) {
-                methodologyFound = mResponse.trim();
-              }
-            }
-          }
-          results.researchQuestion = researchQuestionFound;
-          results.methodology = methodologyFound;
-          if (researchQuestionFound) successfulSteps++;
-        } else {
-          // 2. FALLBACK TO ABSTRACT (only if intro text is missing)
-          console.log(
-            "[NovaMind] No Introduction text. Using Abstract for Methodology."
-          );
-          const methodologyPrompt = `Concisely summarize the research methodology described in this abstract. Look for details on the approach, data, models, or analysis techniques.
-              Abstract:
-              ${results.abstract}`;
-          results.methodology = await this.writerSession.write(
-            methodologyPrompt
+        const { researchQuestion, methodology } =
+          await this.generateQuestionAndMethodology(
+            paperData,
+            results.abstract
           );
-        }
-        successfulSteps++; // Count methodology step
+        results.researchQuestion = researchQuestion;
+        results.methodology = methodology;
+        if ("question" in steps) steps.question = Boolean(researchQuestion);
+        steps.methodology = true; // Count methodology step
       }
 
       // Step 5: Research gaps from conclusion (or abstract as fallback)
-      sendProgress(75);
+      reportAnalysisProgress(75);
       console.log("[NovaMind] Step 5: Research gaps");
       if (this.writerSession) {
-        let gapSourceText;
-        let sourceLabel;
-
-        if (paperData.conclusionText) {
-          // 1. TRY CONCLUSION
-          gapSourceText = paperData.conclusionText;
-          sourceLabel = "Conclusion";
-        } else {
-          // 2. FALLBACK TO ABSTRACT
-          gapSourceText = results.abstract;
-          sourceLabel = "Abstract (fallback)";
-        }
-        console.log(
-          `[NovaMind] Analysing ${sourceLabel} for gaps in chunks...`
+        results.researchGaps = await this.generateResearchGaps(
+          paperData,
+          results.abstract
         );
-
-        const CHUNK_SIZE = TOKEN_LIMITS.WRITER_INPUT;
-        let gapsFound = [];
-
-        // Process the source text in chunks.
-        for (let i = 0; i < gapSourceText.length; i += CHUNK_SIZE) {
-          const chunk = gapSourceText.substring(i, i + CHUNK_SIZE);
-          const gapsPrompt = `Identify 2-3 research gaps or limitations from this text. List them directly, one per line. If none are found, just respond with "No specific gaps were identified in this section."
-          Text:
-          ${chunk}`;
-          const gapsText = await this.writerSession.write(gapsPrompt);
-
-          if (
-            gapsText.trim().length > 10 &&
-            !gapsText.toLowerCase().includes("no specific gaps")
-          ) {
-            const parsedGaps = gapsText
-              .split("\n")
-              .filter((g) => g.trim().length > 10)
-              .map((g) => g.replace(/^[-•*\d.]+\s*/, "").trim());
-            gapsFound.push(...parsedGaps);
-          }
-        }
-        results.researchGaps = [...new Set(gapsFound)].slice(0, 3); // Get unique gaps
-        if (results.researchGaps.length > 0) successfulSteps++;
+        steps.gaps = results.researchGaps.length > 0;
       }
 
       // Step 6: Research trajectories (from Conclusion or Abstract)
       if (this.languageModelSession) {
-        sendProgress(85);
+        reportAnalysisProgress(85);
         console.log("[NovaMind] Step 6: Research trajectories");
         try {
-          let trajectorySourceText;
-          let sourceLabel;
-          if (paperData.conclusionText) {
-            trajectorySourceText = paperData.conclusionText;
-            sourceLabel = "Conclusion";
-          } else {
-            trajectorySourceText = results.abstract;
-            sourceLabel = "Abstract (fallback)";
-          }
-          console.log(`[NovaMind] Using ${sourceLabel} for trajectories...`);
-
-          const contexts = combineContexts(
-            [{ label: sourceLabel, text: trajectorySourceText }],
-            TOKEN_LIMITS.COMBINED_CONTEXT_MAX
-          );
-          let contextText = contexts
-            .map((c) => `${c.label}:\n${c.text}`)
-            .join("\n\n");
-          const trajectoryPrompt = `Based on this research, suggest 3-5 specific future research directions.
-
-${contextText}
-
-List 3-5 concrete, feasible research suggestions:`;
-          // Check tokens if possible
-          if (
-            typeof this.languageModelSession.countPromptTokens === "function"
-          ) {
-            const tokenCount =
-              await this.languageModelSession.countPromptTokens(
-                trajectoryPrompt
-              );
-            console.log(`[NovaMind] Trajectory tokens: ${tokenCount}`);
-          }
-          const trajectoryText = await this.languageModelSession.prompt(
-            trajectoryPrompt
+          results.trajectorySuggestions = await this.generateTrajectories(
+            paperData,
+            results.abstract
           );
-          checkSessionTokens(this.languageModelSession, "After trajectories");
-
-          // Clean up the model's response.
-          results.trajectorySuggestions = trajectoryText
-            .split("\n")
-            .filter((t) => t.trim().length > 15)
-            .map((t) => t.replace(/^\s*[-•*\d.]+\s*/, "").trim())
-            .filter((t) => !t.toLowerCase().startsWith("here"))
-            .filter((t) => !t.toLowerCase().startsWith("based on"))
-            .slice(0, 5);
-          successfulSteps++;
+          steps.trajectories = true;
         } catch (error) {
           console.error("[NovaMind] Trajectories failed:", error);
           results.trajectorySuggestions = [];
@@ -504,7 +404,7 @@ List 3-5 concrete, feasible research suggestions:`;
       }
 
       // Calculate confidence based on successful steps.
-      results.confidence = Math.round((successfulSteps / totalSteps) * 100);
+      results.confidence = getAnalysisConfidence(steps);
       console.log(
         "[NovaMind] Analysis complete. Confidence:",
         results.confidence + "%"
@@ -516,6 +416,318 @@ List 3-5 concrete, feasible research suggestions:`;
     }
   }
 
+  // Step 1: summarises the abstract (or the page text when there is none).
+  async generateSummary(abstract, guidance = "") {
+    const contentToSummarize = await prepareTextForAPI(
+      abstract,
+      "SUMMARIZER",
+      this.summarizerSession
+    );
+    const summary = await this.summarizerSession.summarize(
+      contentToSummarize,
+      guidance ? { context: guidance } : {}
+    );
+    checkSessionTokens(this.summarizerSession, "After summary");
+    return summary;
+  }
+
+  // Step 2: key findings, from the abstract only.
+  async generateKeyFindings(abstract, guidance = "") {
+    const preparedContext = await prepareTextForAPI(
+      abstract,
+      "WRITER",
+      this.writerSession
+    );
+    const findingsPrompt = `Extract 2-3 key findings from this paper. List them directly, one per line.${formatGuidance(
+      guidance
+    )}
+
+Content:
+${preparedContext}`;
+    const findingsText = await this.writerSession.write(findingsPrompt);
+    checkSessionTokens(this.writerSession, "After findings");
+    return findingsText
+      .split("\n")
+      .filter((f) => f.trim().length > 10)
+      .map((f) => f.replace(/^[-•*\d.]+\s*/, "").trim())
+      .slice(0, 3);
+  }
+
+  // Steps 3 and 4: the research question and methodology, from the
+  // introduction (and Method section, if one was detected), or the
+  // methodology alone from the abstract when there is no introduction.
+  async generateQuestionAndMethodology(paperData, abstract, guidance = "") {
+    const guidanceText = formatGuidance(guidance);
+    let researchQuestionFound = "";
+
+    if (!paperData.introductionText) {
+      // 2. FALLBACK TO ABSTRACT (only if intro text is missing)
+      console.log(
+        "[NovaMind] No Introduction text. Using Abstract for Methodology."
+      );
+      const methodologyPrompt = `Concisely summarize the research methodology described in this abstract. Look for details on the approach, data, models, or analysis techniques.${guidanceText}
+              Abstract:
+              ${abstract}`;
+      const methodology = await this.writerSession.write(methodologyPrompt);
+      return { researchQuestion: "", methodology };
+    }
+
+    // 1. TRY INTRODUCTION (with chunking)
+    console.log("[NovaMind] Analysing Introduction for Q&M...");
+    const introText = paperData.introductionText;
+    const CHUNK_SIZE = TOKEN_LIMITS.WRITER_INPUT;
+    let methodologyFound = "";
+
+    // A detected Method section is a better source than the introduction.
+    if (paperData.methodologyText) {
+      console.log("[NovaMind] Using Method section for methodology...");
+      const methodSection = await prepareTextForAPI(
+        paperData.methodologyText,
+        "WRITER",
+        this.writerSession
+      );
+      const methodologyPrompt = `Concisely summarize the research methodology described in this section. Look for details on the experimental setup, data sets, models, or analysis techniques.${guidanceText}
+                Text:
+                ${methodSection}`;
+      const mResponse = await this.writerSession.write(methodologyPrompt);
+      if (mResponse.length > 10) {
+        methodologyFound = mResponse.trim();
+      }
+    }
+
+    for (let i = 0; i < introText.length; i += CHUNK_SIZE) {
+      if (researchQuestionFound && methodologyFound) break;
+      const chunk = introText.substring(i, i + CHUNK_SIZE);
+
+      if (!researchQuestionFound) {
+        const questionPrompt = `Read this text and identify the main research question or problem statement in 1-2 sentences. If no clear question is stated, briefly explain that.${guidanceText}
+                Text:
+                ${chunk}`;
+        const qResponse = await this.writerSession.write(questionPrompt);
+
+        // We removed the check for "NONE".
+        // Any response with substance will be saved.
+        if (qResponse.length > 10) {
+          researchQuestionFound = qResponse.trim();
+        }
+      }
+
+      if (!methodologyFound) {
+        const methodologyPrompt = `Analyze the following text and concisely summarize the research methodology. Look for descriptions of the experimental setup, data sets, models, or analysis techniques. If no methodology is described, briefly explain that.${guidanceText}
+                Text:
+                ${chunk}`;
+        const mResponse = await this.writerSession.write(methodologyPrompt);
+
+        // We removed the check for "NONE".
+        if (mResponse.length > 10) {
+          methodologyFound = mResponse.trim();
+        }
+      }
+    }
+    return {
+      researchQuestion: researchQuestionFound,
+      methodology: methodologyFound,
+    };
+  }
+
+  // Step 5: up to three research gaps from the conclusion, or the abstract
+  // when there is no conclusion.
+  async generateResearchGaps(paperData, abstract, guidance = "") {
+    let gapSourceText;
+    let sourceLabel;
+
+    if (paperData.conclusionText) {
+      // 1. TRY CONCLUSION
+      gapSourceText = paperData.conclusionText;
+      sourceLabel = "Conclusion";
+    } else {
+      // 2. FALLBACK TO ABSTRACT
+      gapSourceText = abstract;
+      sourceLabel = "Abstract (fallback)";
+    }
+    console.log(`[NovaMind] Analysing ${sourceLabel} for gaps in chunks...`);
+
+    const CHUNK_SIZE = TOKEN_LIMITS.WRITER_INPUT;
+    let gapsFound = [];
+
+    // Process the source text in chunks.
+    for (let i = 0; i < gapSourceText.length; i += CHUNK_SIZE) {
+      const chunk = gapSourceText.substring(i, i + CHUNK_SIZE);
+      const gapsPrompt = `Identify 2-3 research gaps or limitations from this text. List them directly, one per line. If none are found, just respond with "No specific gaps were identified in this section."${formatGuidance(
+        guidance
+      )}
+          Text:
+          ${chunk}`;
+      const gapsText = await this.writerSession.write(gapsPrompt);
+
+      if (
+        gapsText.trim().length > 10 &&
+        !gapsText.toLowerCase().includes("no specific gaps")
+      ) {
+        const parsedGaps = gapsText
+          .split("\n")
+          .filter((g) => g.trim().length > 10)
+          .map((g) => g.replace(/^[-•*\d.]+\s*/, "").trim());
+        gapsFound.push(...parsedGaps);
+      }
+    }
+    return [...new Set(gapsFound)].slice(0, 3); // Get unique gaps
+  }
+
+  // Step 6: future research directions from the conclusion, or the
+  // abstract when there is no conclusion.
+  async generateTrajectories(paperData, abstract, guidance = "") {
+    let trajectorySourceText;
+    let sourceLabel;
+    if (paperData.conclusionText) {
+      trajectorySourceText = paperData.conclusionText;
+      sourceLabel = "Conclusion";
+    } else {
+      trajectorySourceText = abstract;
+      sourceLabel = "Abstract (fallback)";
+    }
+    console.log(`[NovaMind] Using ${sourceLabel} for trajectories...`);
+
+    const contexts = combineContexts(
+      [{ label: sourceLabel, text: trajectorySourceText }],
+      TOKEN_LIMITS.COMBINED_CONTEXT_MAX
+    );
+    let contextText = contexts
+      .map((c) => `${c.label}:\n${c.text}`)
+      .join("\n\n");
+    const trajectoryPrompt = `Based on this research, suggest 3-5 specific future research directions.${formatGuidance(
+      guidance
+    )}
+
+${contextText}
+
+List 3-5 concrete, feasible research suggestions:`;
+    // Check tokens if possible
+    if (typeof this.languageModelSession.countPromptTokens === "function") {
+      const tokenCount = await this.languageModelSession.countPromptTokens(
+        trajectoryPrompt
+      );
+      console.log(`[NovaMind] Trajectory tokens: ${tokenCount}`);
+    }
+    const trajectoryText = await this.languageModelSession.prompt(
+      trajectoryPrompt
+    );
+    checkSessionTokens(this.languageModelSession, "After trajectories");
+
+    // Clean up the model's response.
+    return trajectoryText
+      .split("\n")
+      .filter((t) => t.trim().length > 15)
+      .map((t) => t.replace(/^\s*[-•*\d.]+\s*/, "").trim())
+      .filter((t) => !t.toLowerCase().startsWith("here"))
+      .filter((t) => !t.toLowerCase().startsWith("based on"))
+      .slice(0, 5);
+  }
+
+  // Suggests a few topic tags from the summary, preferring tags already in
+  // the library when they fit.
+  async suggestTags(analysis, libraryTags = []) {
+    const preparedText = await prepareTextForAPI(
+      analysis.summary || analysis.abstract,
+      "WRITER",
+      this.writerSession
+    );
+    const knownTags = libraryTags.slice(0, MAX_PROMPT_LIBRARY_TAGS);
+    const tagsPrompt = `Suggest 3-5 short topic tags (1-3 words each) for this paper. Respond with the tags only, separated by commas.${
+      knownTags.length > 0
+        ? `\nReuse any of these existing tags that fit: ${knownTags.join(", ")}`
+        : ""
+    }
+
+Summary:
+${preparedText}`;
+    const tagsText = await this.writerSession.write(tagsPrompt);
+    checkSessionTokens(this.writerSession, "After tags");
+
+    const tags = tagsText
+      .split(/[,\n]/)
+      .map((t) =>
+        normaliseTag(t.replace(/^[-•*\d.]+\s*/, "").replace(/[."'*]/g, ""))
+      )
+      .filter((tag) => tag && tag.split(" ").length <= 4);
+    return [...new Set(tags)].slice(0, 5);
+  }
+
+  // Re-runs one step of a saved paper's analysis. Returns the new field
+  // values and the step results to merge into `analysisSteps`.
+  async regenerateStep(paper, step, guidance = "") {
+    // Papers analysed before the sections were saved would silently fall
+    // back to the abstract and lose their research question.
+    if (!paper.sourceTexts && SOURCE_TEXT_STEPS.includes(step)) {
+      throw new Error(
+        "This paper's sections were not saved when it was analysed. Re-analyse it to regenerate this section."
+      );
+    }
+    const paperData = { ...paper.sourceTexts };
+    const abstract = paper.abstract || "";
+    const requireSession = (session, name) => {
+      if (!session) throw new Error(`The ${name} API is not available`);
+    };
+
+    switch (step) {
+      case "summary": {
+        requireSession(this.summarizerSession, "Summarizer");
+        const summary = await this.generateSummary(abstract, guidance);
+        return { fields: { summary }, steps: { summary: true } };
+      }
+      case "findings": {
+        requireSession(this.writerSession, "Writer");
+        const keyFindings = await this.generateKeyFindings(abstract, guidance);
+        return { fields: { keyFindings }, steps: { findings: true } };
+      }
+      case "question": {
+        requireSession(this.writerSession, "Writer");
+        const { researchQuestion, methodology } =
+          await this.generateQuestionAndMethodology(
+            paperData,
+            abstract,
+            guidance
+          );
+        const steps = { methodology: true };
+        if (paperData.introductionText) {
+          steps.question = Boolean(researchQuestion);
+        }
+        return {
+          fields: paperData.introductionText
+            ? { researchQuestion, methodology }
+            : { methodology },
+          steps,
+        };
+      }
+      case "gaps": {
+        requireSession(this.writerSession, "Writer");
+        const researchGaps = await this.generateResearchGaps(
+          paperData,
+          abstract,
+          guidance
+        );
+        return {
+          fields: { researchGaps },
+          steps: { gaps: researchGaps.length > 0 },
+        };
+      }
+      case "trajectories": {
+        requireSession(this.languageModelSession, "LanguageModel");
+        const trajectorySuggestions = await this.generateTrajectories(
+          paperData,
+          abstract,
+          guidance
+        );
+        return {
+          fields: { trajectorySuggestions },
+          steps: { trajectories: true },
+        };
+      }
+      default:
+        throw new Error(`Unknown analysis step: ${step}`);
+    }
+  }
+
   // Cleans up active AI sessions.
   cleanup() {
     console.log("[NovaMind] Cleaning up sessions");
@@ -534,10 +746,239 @@ List 3-5 concrete, feasible research suggestions:`;
   }
 }
 
+// Relationship taxonomy the LanguageModel must choose from.
+const CONNECTION_TYPES = [
+  "extends",
+  "contradicts",
+  "applies",
+  "same-dataset",
+  "same-method",
+  "same-problem",
+];
+
+// Maps the prompt's direction (Paper 1 = new paper) to the stored direction,
+// which is relative to the paper that holds the connection.
+const CONNECTION_DIRECTIONS = {
+  "paper1-to-paper2": "outgoing",
+  "paper2-to-paper1": "incoming",
+  mutual: "mutual",
+};
+
+// JSON Schema passed to the Prompt API as a response constraint.
+const CONNECTION_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    hasConnection: { type: "boolean" },
+    connectionType: { type: "string", enum: CONNECTION_TYPES },
+    strength: { type: "integer", minimum: 1, maximum: 10 },
+    direction: { type: "string", enum: Object.keys(CONNECTION_DIRECTIONS) },
+    description: { type: "string", maxLength: 500 },
+    evidence: { type: "string", maxLength: 500 },
+  },
+  required: ["hasConnection"],
+};
+
+// Minimum number of shared references before two papers count as co-citing.
+const MIN_SHARED_REFERENCES = 3;
+
+// Normalises a title for comparison: lowercase letters and digits only.
+function normaliseTitle(title) {
+  return (title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Returns every key a reference can be matched on (arXiv ID, DOI, title).
+function getReferenceKeys(reference) {
+  const keys = [];
+  if (reference.arxivId) keys.push(`arxiv:${reference.arxivId}`);
+  if (reference.doi) keys.push(`doi:${reference.doi.toLowerCase()}`);
+  const title = normaliseTitle(reference.title);
+  if (title.length >= 15) keys.push(`title:${title}`);
+  return keys;
+}
+
+// Returns the keys a stored analysis is known by, for matching citations to
+// it. Identifiers come from its citation metadata, else from its URL.
+function getPaperKeys(paper) {
+  const citation = paper.citation || {};
+  const arxiv = parseArxivUrl(paper.url);
+  const arxivId = citation.arxivId || (arxiv && arxiv.id);
+  return getReferenceKeys({
+    arxivId: arxivId && arxivId.replace(/v\d+$/, ""),
+    doi: normaliseDoi(citation.doi || paper.url),
+    title: paper.title,
+  });
+}
+
+// Checks whether any reference in `citingPaper` points at `citedPaper`.
+function paperCites(citingPaper, citedPaper) {
+  const citedKeys = new Set(getPaperKeys(citedPaper));
+  if (citedKeys.size === 0) return false;
+  return (citingPaper.references || []).some((reference) =>
+    getReferenceKeys(reference).some((key) => citedKeys.has(key))
+  );
+}
+
+// Lists the references two papers have in common (bibliographic coupling).
+function findSharedReferences(paper1, paper2) {
+  const otherKeys = new Set(
+    (paper2.references || []).flatMap((reference) =>
+      getReferenceKeys(reference)
+    )
+  );
+  return (paper1.references || []).filter((reference) =>
+    getReferenceKeys(reference).some((key) => otherKeys.has(key))
+  );
+}
+
+// How many of the most similar library papers are compared with the model,
+// unless the user chose another number.
+const MAX_CONNECTION_CANDIDATES = 10;
+
+// When connections are detected, saved as `settings.connectionDetection`.
+const CONNECTION_DETECTION_MODES = {
+  OFF: "off",
+  ON_SAVE: "onSave",
+  ON_DEMAND: "onDemand",
+};
+
+// Reads the connection detection settings. Older versions saved
+// `connectionDetection` as an on/off boolean.
+async function getConnectionSettings() {
+  const { settings = {} } = await chrome.storage.local.get("settings");
+
+  let mode = settings.connectionDetection;
+  if (mode === false) {
+    mode = CONNECTION_DETECTION_MODES.OFF;
+  } else if (!Object.values(CONNECTION_DETECTION_MODES).includes(mode)) {
+    mode = CONNECTION_DETECTION_MODES.ON_SAVE;
+  }
+
+  const maxCandidates = Math.round(Number(settings.maxConnectionCandidates));
+  const minStrength = Math.round(Number(settings.minConnectionStrength));
+  return {
+    mode,
+    maxCandidates:
+      maxCandidates >= 0
+        ? Math.min(50, maxCandidates)
+        : MAX_CONNECTION_CANDIDATES,
+    minStrength: minStrength >= 1 ? Math.min(10, minStrength) : 1,
+  };
+}
+
+// Common English and academic filler words ignored when comparing papers.
+const SIMILARITY_STOP_WORDS = new Set(
+  `a about above after again all also an and any are as at be been before being
+  below between both but by can could did do does doing during each few for from
+  further had has have having he her here hers him his how however i if in into
+  is it its itself just more most no nor not of off on once only or other our
+  out over own same she should so some such than that the their them then there
+  these they this those through to too under until up very was we were what when
+  where which while who whom why will with would you your paper papers study
+  studies propose proposed proposes present presents presented approach results
+  result show shows shown using use used based method methods new work research
+  find findings finding key also however well may one two three first second`.split(
+    /\s+/
+  )
+);
+
+// Splits text into lowercase terms, dropping stop words, numbers and very
+// short words. A light suffix strip lets "models" match "model".
+function tokeniseForSimilarity(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9-]+/)
+    .map((term) => term.replace(/^-+|-+$/g, ""))
+    .filter((term) => term.length >= 3 && !/^\d+$/.test(term))
+    .filter((term) => !SIMILARITY_STOP_WORDS.has(term))
+    .map((term) =>
+      term
+        .replace(/ies$/, "y")
+        .replace(/sses$/, "ss")
+        .replace(/([^su])s$/, "$1")
+    );
+}
+
+// Counts the terms of the fields used for candidate retrieval.
+function getPaperTermCounts(paper) {
+  const text = [
+    paper.title,
+    paper.summary,
+    ...(paper.keyFindings || []),
+    paper.methodology,
+  ].join(" ");
+
+  const counts = new Map();
+  for (const term of tokeniseForSimilarity(text)) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+// Scores every previous paper against the new one with TF-IDF cosine
+// similarity and returns the top `limit` papers worth an LLM comparison.
+function rankConnectionCandidates(newPaper, previousPapers, limit) {
+  const newTerms = getPaperTermCounts(newPaper);
+  const libraryTerms = previousPapers.map(getPaperTermCounts);
+
+  // Document frequency across the library (plus the new paper).
+  const documentFrequency = new Map();
+  for (const terms of [newTerms, ...libraryTerms]) {
+    for (const term of terms.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  const totalDocuments = previousPapers.length + 1;
+  const toVector = (terms) => {
+    const vector = new Map();
+    for (const [term, count] of terms) {
+      const idf = Math.log(1 + totalDocuments / documentFrequency.get(term));
+      vector.set(term, (1 + Math.log(count)) * idf);
+    }
+    return vector;
+  };
+  const norm = (vector) =>
+    Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+
+  const newVector = toVector(newTerms);
+  const newNorm = norm(newVector);
+
+  const scored = previousPapers.map((paper, index) => {
+    const vector = toVector(libraryTerms[index]);
+    let dot = 0;
+    for (const [term, weight] of vector) {
+      dot += weight * (newVector.get(term) || 0);
+    }
+    const denominator = newNorm * norm(vector);
+    return { paper, score: denominator > 0 ? dot / denominator : 0 };
+  });
+
+  const candidates = scored
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  console.log(
+    `[NovaMind] Selected ${candidates.length} of ${previousPapers.length} papers as connection candidates`,
+    candidates.map(
+      (c) => `${c.paper.title.substring(0, 30)} (${c.score.toFixed(2)})`
+    )
+  );
+  return candidates.map((entry) => entry.paper);
+}
+
 // Detects connections between a new paper and a list of previous papers.
 class ConnectionDetector {
-  constructor(languageModelSession) {
+  // `options` are the user's { maxCandidates, minStrength } settings.
+  constructor(languageModelSession, options = {}) {
     this.languageModelSession = languageModelSession;
+    this.maxCandidates =
+      options.maxCandidates !== undefined
+        ? options.maxCandidates
+        : MAX_CONNECTION_CANDIDATES;
+    this.minStrength = options.minStrength || 1;
   }
 
   async detectConnections(newPaper, previousPapers) {
@@ -546,15 +987,26 @@ class ConnectionDetector {
       previousPapers.length,
       "previous papers"
     );
+
+    // Citation links are deterministic and cheap, so check the whole library.
+    const citationConnections = this.detectCitationConnections(
+      newPaper,
+      previousPapers
+    );
+
     if (!this.languageModelSession) {
       console.warn(
-        "[NovaMind] ⚠️ LanguageModel not available, skipping connections"
+        "[NovaMind] ⚠️ LanguageModel not available, using citation links only"
       );
-      return [];
+      return this.filterByStrength(citationConnections);
     }
 
-    // Take up to 10 most recent papers for comparison.
-    const papersToCompare = previousPapers.slice(0, 10);
+    // Only the most similar papers in the whole library go to the model.
+    const papersToCompare = rankConnectionCandidates(
+      newPaper,
+      previousPapers,
+      this.maxCandidates
+    );
     const connections = [];
 
     for (let i = 0; i < papersToCompare.length; i++) {
@@ -579,9 +1031,95 @@ class ConnectionDetector {
         );
       }
     }
+    return this.filterByStrength(
+      this.mergeConnections(citationConnections, connections)
+    );
+  }
+
+  // Drops connections weaker than the user's minimum strength.
+  filterByStrength(connections) {
+    return connections.filter(
+      (connection) => connection.strength >= this.minStrength
+    );
+  }
+
+  // Links papers through their reference lists: one cites the other, or both
+  // cite enough of the same work (bibliographic coupling).
+  detectCitationConnections(newPaper, previousPapers) {
+    const connections = [];
+    const detectedAt = new Date().toISOString();
+
+    for (const oldPaper of previousPapers) {
+      let type = null;
+      let strength = 0;
+      let direction = "mutual";
+      let description = "";
+
+      if (paperCites(newPaper, oldPaper)) {
+        type = "cites";
+        strength = 9;
+        direction = "outgoing";
+        description = `“${newPaper.title}” cites “${oldPaper.title}”.`;
+      } else if (paperCites(oldPaper, newPaper)) {
+        type = "cited by";
+        strength = 9;
+        direction = "incoming";
+        description = `“${oldPaper.title}” cites “${newPaper.title}”.`;
+      }
+
+      const shared = findSharedReferences(newPaper, oldPaper);
+      if (!type && shared.length >= MIN_SHARED_REFERENCES) {
+        type = "co-cites";
+        strength = Math.min(10, 3 + shared.length);
+        const examples = shared
+          .slice(0, 2)
+          .map((reference) => `“${reference.title}”`)
+          .join(" and ");
+        description = `Both papers cite ${shared.length} of the same references, including ${examples}.`;
+      }
+
+      if (type) {
+        console.log(
+          `[NovaMind] 🔗 Citation link (${type}) with "${oldPaper.title.substring(
+            0,
+            50
+          )}"`
+        );
+        connections.push({
+          paperId: oldPaper.timestamp,
+          paperTitle: oldPaper.title,
+          type,
+          strength,
+          direction,
+          description,
+          sharedReferences: shared.length,
+          source: "citation",
+          detectedAt,
+        });
+      }
+    }
     return connections;
   }
 
+  // Combines citation links with model-generated connections, one entry per
+  // paper. A citation link keeps its type and takes the model's description
+  // and evidence; its own description moves to `citationEvidence`.
+  mergeConnections(citationConnections, modelConnections) {
+    const merged = [...citationConnections];
+    for (const connection of modelConnections) {
+      const existing = merged.find((c) => c.paperId === connection.paperId);
+      if (existing) {
+        existing.citationEvidence = existing.description;
+        existing.description = connection.description;
+        existing.evidence = connection.evidence;
+        existing.strength = Math.max(existing.strength, connection.strength);
+      } else {
+        merged.push(connection);
+      }
+    }
+    return merged;
+  }
+
   // Cleans markdown and extra text from a JSON string response.
   cleanJsonString(str) {
     str = str.replace(/```json\s*/g, "").replace(/```\s*/g, "");
@@ -596,7 +1134,8 @@ class ConnectionDetector {
     return str.trim();
   }
 
-  // Simple `comparePapers` function with a more robust prompt
+  // Compares two papers with the LanguageModel and returns a typed, scored
+  // connection, or null when there is no specific relationship.
   async comparePapers(paper1, paper2) {
     const summary1 = paper1.summary;
     const summary2 = paper2.summary;
@@ -618,86 +1157,137 @@ ${summary2}
 RULES FOR YOUR RESPONSE:
 
 1. **Reject vague overlaps.** Ignore general similarities such as "both use AI" or "both improve performance."  
-   Only report a connection if there is a *clear relationship* such as:
-   - One paper builds on, extends, or improves a method introduced by the other.  
-   - They apply similar techniques to the same domains or problems.  
-   - They offer contrasting or competing solutions to the same research question.  
-   - They analyze the same dataset, model family, or limitation from different perspectives.  
+   Only report a connection if there is a *clear relationship*, and classify it as exactly one of:
+   - "extends": one paper builds on, extends, or improves a method introduced by the other.
+   - "contradicts": they offer contrasting or competing findings or solutions to the same question.
+   - "applies": one paper applies a technique or framework from the other to a new domain or problem.
+   - "same-dataset": they analyse the same dataset or benchmark.
+   - "same-method": they use the same model family or technique on different problems.
+   - "same-problem": they tackle the same research question or limitation from different perspectives.
 
-2. **Be directional if possible.** Prefer statements like:  
-   - “Paper 2 validates the theoretical claims of Paper 1 using a new dataset.”  
-   - “Paper 1 introduces a framework that Paper 2 later applies to robotics.”  
+2. **Be directional if possible.** "paper1-to-paper2" means Paper 1 builds on or acts on Paper 2; "paper2-to-paper1" the reverse; "mutual" when neither leads.
 
-3. **Be concise and factual.** Avoid vague terms such as "improve efficiency," "in complex systems," or "both explore."  
+3. **Score the strength** from 1 (loosely related) to 10 (one paper directly builds on the other).
 
-4.  **YOUR RESPONSE:**
-    * If a specific *relationship* is found: Respond with a single, concise sentence that explains this relationship. Start this sentence with "Connection:"
-    * If no specific *relationship* is found (or the link is just a shared topic): Respond with ONLY the text "No significant connection."
+4. **Quote your evidence.** Give one sentence from the summaries that supports the connection.
 
-5.  **LENGTH LIMIT:** Your response, if a connection is found, must not exceed 500 characters.
+5. **Respond with JSON only**, in this exact shape:
+{"hasConnection": true, "connectionType": "extends", "strength": 7, "direction": "paper1-to-paper2", "description": "One concise sentence explaining the relationship (max 500 characters).", "evidence": "Supporting sentence."}
+If there is no specific relationship, respond with {"hasConnection": false}.
 
 ---
 Begin Analysis:`;
 
     try {
-      console.log("[NovaMind] Sending enhanced simple summary request...");
-      const response = await this.languageModelSession.prompt(prompt);
-      const cleanedResponse = response.trim();
+      console.log("[NovaMind] Sending structured connection request...");
+      const response = await this.promptForConnection(prompt);
+      const parsed = this.parseConnectionResponse(response);
+      const connection = this.validateConnection(parsed);
 
-      // 3. The "filter" logic.
-      if (
-        cleanedResponse.toLowerCase().startsWith("no significant connection") ||
-        cleanedResponse.length < 10
-      ) {
-        console.log(
-          "[NovaMind] ❌ No significant summary connection detected."
-        );
+      if (!connection) {
+        console.log("[NovaMind] ❌ No significant connection detected.");
         return null;
       }
 
-      // 4. If it's not a "no" response, it's the connection.
-      let description = cleanedResponse;
-      if (description.toLowerCase().startsWith("connection:")) {
-        description = description.substring(11).trim(); // 11 is length of "Connection:" + space
-      }
-
       console.log(
-        `[NovaMind] ✅ Simple theme connection found: ${description.substring(
-          0,
-          70
-        )}...`
+        `[NovaMind] ✅ ${connection.type} connection (strength ${
+          connection.strength
+        }): ${connection.description.substring(0, 70)}...`
       );
 
-      // 5. Return the new, simplified connection object.
-
       return {
         paperId: paper2.timestamp,
         paperTitle: paper2.title,
-        description: description,
+        ...connection,
         detectedAt: new Date().toISOString(),
       };
     } catch (error) {
-      console.error("[NovaMind] Error in simple comparePapers:", error);
+      console.error("[NovaMind] Error in comparePapers:", error);
       return null;
     }
   }
 
-  // Fallback parser if JSON.parse fails on the model's output.
-  manualExtractJson(text) {
+  // Prompts with a JSON Schema response constraint, retrying without it on
+  // Chrome builds whose Prompt API does not support constraints.
+  async promptForConnection(prompt) {
     try {
-      const hasConnectionMatch = text.match(
-        /"hasConnection"\s*:\s*(true|false)/i
-      );
-      const connectionTypeMatch = text.match(
-        /"connectionType"\s*:\s*"([^"]+)"/
+      return await this.languageModelSession.prompt(prompt, {
+        responseConstraint: CONNECTION_RESPONSE_SCHEMA,
+      });
+    } catch (error) {
+      console.warn(
+        "[NovaMind] ⚠️ Response constraint not supported, prompting without it:",
+        error.message
       );
-      const strengthMatch = text.match(/"strength"\s*:\s*(\d+)/);
-      const descriptionMatch = text.match(/"description"\s*:\s*"([^"]+)"/);
+      return await this.languageModelSession.prompt(prompt);
+    }
+  }
 
-      if (
-        hasConnectionMatch &&
-        connectionTypeMatch &&
-        strengthMatch &&
+  // Parses the model's JSON, falling back to field-by-field extraction.
+  parseConnectionResponse(response) {
+    try {
+      return JSON.parse(this.cleanJsonString(response));
+    } catch (error) {
+      console.warn("[NovaMind] JSON.parse failed, extracting fields manually");
+      return this.manualExtractJson(response);
+    }
+  }
+
+  // Checks a parsed response against the taxonomy and ranges, returning the
+  // connection fields or null if there is no usable connection.
+  validateConnection(parsed) {
+    if (!parsed || parsed.hasConnection !== true) return null;
+
+    const type = String(parsed.connectionType || "").toLowerCase();
+    const description = String(parsed.description || "").trim();
+    if (!CONNECTION_TYPES.includes(type) || description.length < 10) {
+      console.warn("[NovaMind] Discarding invalid connection:", parsed);
+      return null;
+    }
+
+    const strength = Math.min(
+      10,
+      Math.max(1, Math.round(parsed.strength) || 1)
+    );
+    const direction = CONNECTION_DIRECTIONS[parsed.direction] || "mutual";
+
+    return {
+      type,
+      strength,
+      direction,
+      description: description.substring(0, 500),
+      evidence: String(parsed.evidence || "")
+        .trim()
+        .substring(0, 500),
+      source: "model",
+    };
+  }
+
+  // Fallback parser if JSON.parse fails on the model's output.
+  manualExtractJson(text) {
+    try {
+      const hasConnectionMatch = text.match(
+        /"hasConnection"\s*:\s*(true|false)/i
+      );
+      const connectionTypeMatch = text.match(
+        /"connectionType"\s*:\s*"([^"]+)"/
+      );
+      const strengthMatch = text.match(/"strength"\s*:\s*(\d+)/);
+      const descriptionMatch = text.match(/"description"\s*:\s*"([^"]+)"/);
+      const directionMatch = text.match(/"direction"\s*:\s*"([^"]+)"/);
+      const evidenceMatch = text.match(/"evidence"\s*:\s*"([^"]+)"/);
+
+      if (
+        hasConnectionMatch &&
+        hasConnectionMatch[1].toLowerCase() === "false"
+      ) {
+        return { hasConnection: false };
+      }
+
+      if (
+        hasConnectionMatch &&
+        connectionTypeMatch &&
+        strengthMatch &&
         descriptionMatch
       ) {
         return {
@@ -705,6 +1295,8 @@ Begin Analysis:`;
           connectionType: connectionTypeMatch[1],
           strength: parseInt(strengthMatch[1]),
           description: descriptionMatch[1],
+          direction: directionMatch ? directionMatch[1] : "mutual",
+          evidence: evidenceMatch ? evidenceMatch[1] : "",
         };
       }
       return null;
@@ -723,7 +1315,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log("[NovaMind] Received message:", request.action);
 
   if (request.action === "analysePaper") {
-    handleAnalysis(request.paperData)
+    // Queue the extracted paper; the popup follows the job's progress.
+    handleQueueAnalyses({
+      source: "popup",
+      items: [
+        {
+          url: request.paperData.url,
+          title: request.paperData.title,
+          paperData: request.paperData,
+        },
+      ],
+    })
       .then(sendResponse)
       .catch((err) => {
         sendResponse({ success: false, error: err.message });
@@ -743,12 +1345,95 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sendResponse({ success: false, error: err.message });
       });
     return true;
+  } else if (request.action === "queueAnalyses") {
+    handleQueueAnalyses(request)
+      .then(sendResponse)
+      .catch((err) => {
+        sendResponse({ success: false, error: err.message });
+      });
+    return true;
+  } else if (request.action === "cancelAnalysisJob") {
+    handleCancelAnalysisJob(request.jobId)
+      .then(sendResponse)
+      .catch((err) => {
+        sendResponse({ success: false, error: err.message });
+      });
+    return true;
+  } else if (request.action === "retryAnalysisJob") {
+    handleRetryAnalysisJob(request.jobId)
+      .then(sendResponse)
+      .catch((err) => {
+        sendResponse({ success: false, error: err.message });
+      });
+    return true;
+  } else if (request.action === "clearFinishedJobs") {
+    handleClearFinishedJobs()
+      .then(sendResponse)
+      .catch((err) => {
+        sendResponse({ success: false, error: err.message });
+      });
+    return true;
+  } else if (request.action === "siteDetected") {
+    handleSiteDetected(sender.tab)
+      .then(sendResponse)
+      .catch((err) => {
+        sendResponse({ queued: false, error: err.message });
+      });
+    return true;
+  } else if (request.action === "findConnections") {
+    handleFindConnections(request.paperId)
+      .then(sendResponse)
+      .catch((err) => {
+        sendResponse({ success: false, error: err.message });
+      });
+    return true;
+  } else if (request.action === "openResults") {
+    openResultsWindow(request.paperId)
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => {
+        sendResponse({ success: false, error: err.message });
+      });
+    return true;
+  } else if (request.action === "regenerateField") {
+    handleRegenerateField(request)
+      .then(sendResponse)
+      .catch((err) => {
+        sendResponse({ success: false, error: err.message });
+      });
+    return true;
+  } else if (request.action === "fetchArxivHtml") {
+    handleFetchArxivHtml(request)
+      .then(sendResponse)
+      .catch((err) => {
+        sendResponse({ html: null, error: err.message });
+      });
+    return true;
   }
   return false;
 });
 
-// Orchestrates the full analysis pipeline.
-async function handleAnalysis(paperData) {
+// Broadcasts progress updates and records them on the running job.
+async function reportAnalysisProgress(progress) {
+  try {
+    chrome.runtime
+      .sendMessage({
+        action: "analysisProgress",
+        progress,
+        jobId: runningJobId,
+      })
+      .catch(() => {});
+    if (runningJobId) {
+      await updateAnalysisJob(runningJobId, { progress });
+    }
+  } catch (error) {}
+}
+
+// Orchestrates the full analysis pipeline. `options.shouldContinue` is called
+// between steps and throws to stop a cancelled job before anything is saved.
+// With `options.reanalyseId`, the result is saved as a new revision of that
+// paper instead of a new paper.
+async function handleAnalysis(paperData, options = {}) {
+  const shouldContinue = options.shouldContinue || (async () => {});
   try {
     // Step 1: Initialise APIs
     const initialised = await analyser.initialiseAPIs();
@@ -765,47 +1450,62 @@ async function handleAnalysis(paperData) {
     if (!result.success) {
       return result;
     }
+    result.data.suggestedTags = await suggestPaperTags(result.data);
+    await shouldContinue();
+
+    // A re-analysis keeps the paper's existing connections.
+    if (options.reanalyseId) {
+      await reportAnalysisProgress(90);
+      await libraryStore.saveRevision(options.reanalyseId, result.data);
+      result.data = await libraryStore.getPaper(options.reanalyseId);
+      return result;
+    }
 
-    // Step 3: Detect connections with previous papers
-    if (analyser.languageModelSession) {
-      await chrome.storage.local.set({ analysisProgress: 90 });
-      chrome.runtime
-        .sendMessage({ action: "analysisProgress", progress: 90 })
-        .catch(() => {});
+    // Step 3: Detect connections with previous papers, unless the user turned
+    // this off or runs it on demand from the results page.
+    await reportAnalysisProgress(90);
 
+    result.data.connections = [];
+    const connectionSettings = await getConnectionSettings();
+    if (connectionSettings.mode === CONNECTION_DETECTION_MODES.ON_SAVE) {
       try {
-        const { analyses = [] } = await chrome.storage.local.get("analyses");
-        if (analyses.length > 0) {
-          const detector = new ConnectionDetector(
-            analyser.languageModelSession
-          );
-          result.data.connections = await detector.detectConnections(
-            result.data,
-            analyses
-          );
-        } else {
-          result.data.connections = [];
-        }
+        result.data.connections = await detectPaperConnections(
+          result.data,
+          connectionSettings
+        );
       } catch (error) {
         console.error("[NovaMind] ❌ Failed to detect connections:", error);
-        result.data.connections = [];
       }
-    } else {
-      console.warn(
-        "[NovaMind] ⚠️ LanguageModel session not available, skipping connection detection"
-      );
-      result.data.connections = [];
     }
 
     // Step 4: Save the new analysis and update old papers with new connections.
+    await shouldContinue();
     await saveAnalysisWithConnections(result.data);
     return result;
   } catch (error) {
+    if (error instanceof JobCancelledError) {
+      return { success: false, cancelled: true, error: error.message };
+    }
     console.error("[NovaMind] Handle analysis error:", error);
     return { success: false, error: error.message };
   }
 }
 
+// Tags suggested for a new analysis, for the user to accept on the
+// dashboard. Suggestions are optional, so failures give an empty list.
+async function suggestPaperTags(analysis) {
+  if (!analyser.writerSession) return [];
+  try {
+    const libraryTags = (await libraryStore.getAllTags())
+      .sort((a, b) => b.count - a.count)
+      .map(({ tag }) => tag);
+    return await analyser.suggestTags(analysis, libraryTags);
+  } catch (error) {
+    console.warn("[NovaMind] Tag suggestion failed:", error);
+    return [];
+  }
+}
+
 // Checks the availability of all required Chrome AI APIs.
 async function checkAPIs() {
   try {
@@ -837,50 +1537,673 @@ async function checkAPIs() {
   }
 }
 
+// Returns the connection type as seen from the other paper.
+function getReverseConnectionType(type) {
+  if (type === "cites") return "cited by";
+  if (type === "cited by") return "cites";
+  return type;
+}
+
+// Returns the direction as seen from the other paper.
+function getReverseDirection(direction) {
+  if (direction === "outgoing") return "incoming";
+  if (direction === "incoming") return "outgoing";
+  return direction;
+}
+
+// Compares a paper with the rest of the library. Citation links work
+// without the LanguageModel; model comparisons are skipped if it is missing.
+async function detectPaperConnections(paper, connectionSettings) {
+  const others = (await libraryStore.getAllPapers()).filter(
+    (other) => other.timestamp !== paper.timestamp
+  );
+  if (others.length === 0) return [];
+
+  const detector = new ConnectionDetector(
+    analyser.languageModelSession,
+    connectionSettings
+  );
+  return detector.detectConnections(paper, others);
+}
+
 // Saves a new analysis and adds bidirectional links to connected papers.
 async function saveAnalysisWithConnections(analysisData) {
   try {
-    const { analyses = [] } = await chrome.storage.local.get("analyses");
-    analyses.unshift(analysisData);
-
-    // Create bidirectional connections
-    if (analysisData.connections && analysisData.connections.length > 0) {
-      analysisData.connections.forEach((connection) => {
-        // Find the connected paper and add the reverse connection.
-        const connectedPaper = analyses.find(
-          (a) => a.timestamp === connection.paperId
-        );
-        if (connectedPaper) {
-          if (!connectedPaper.connections) {
-            connectedPaper.connections = [];
-          }
-          const reverseExists = connectedPaper.connections.some(
-            (c) => c.paperId === analysisData.timestamp
-          );
-          if (!reverseExists) {
-            connectedPaper.connections.push({
-              paperId: analysisData.timestamp,
-              paperTitle: analysisData.title,
-              type: connection.type,
-              strength: connection.strength,
-              description: connection.description,
-              detectedAt: connection.detectedAt,
-            });
+    await libraryStore.savePaper(analysisData);
+    await saveReverseConnections(analysisData, analysisData.connections || []);
+  } catch (error) {
+    console.error("❌ Failed to save analysis:", error);
+  }
+}
+
+// Adds the reverse of each connection to the connected paper.
+async function saveReverseConnections(paper, connections) {
+  for (const connection of connections) {
+    const connectedPaper = await libraryStore.getPaper(connection.paperId);
+    if (connectedPaper) {
+      const reverseExists = await libraryStore.hasConnection(
+        connection.paperId,
+        paper.timestamp
+      );
+      if (!reverseExists) {
+        await libraryStore.saveConnection(connection.paperId, {
+          paperId: paper.timestamp,
+          paperTitle: paper.title,
+          type: getReverseConnectionType(connection.type),
+          strength: connection.strength,
+          direction: getReverseDirection(connection.direction),
+          description: connection.description,
+          evidence: connection.evidence,
+          citationEvidence: connection.citationEvidence,
+          sharedReferences: connection.sharedReferences,
+          source: connection.source,
+          detectedAt: connection.detectedAt,
+        });
+      }
+    }
+  }
+}
+
+// Runs connection detection for a saved paper on request from its results
+// page. Returns the paper with its updated connections.
+async function handleFindConnections(paperId) {
+  const connectionSettings = await getConnectionSettings();
+  if (connectionSettings.mode === CONNECTION_DETECTION_MODES.OFF) {
+    return {
+      success: false,
+      error: "Connection detection is turned off in settings",
+    };
+  }
+
+  const paper = await libraryStore.getPaper(paperId);
+  if (!paper) {
+    return { success: false, error: "Paper not found" };
+  }
+
+  // Without the LanguageModel only citation links are found.
+  if (!analyser.languageModelSession) {
+    await analyser.initialiseAPIs();
+  }
+
+  const connections = await detectPaperConnections(paper, connectionSettings);
+  for (const connection of connections) {
+    await libraryStore.saveConnection(paper.timestamp, connection);
+  }
+  await saveReverseConnections(paper, connections);
+
+  console.log(
+    "[NovaMind] Found",
+    connections.length,
+    "connections for",
+    paper.title
+  );
+  return {
+    success: true,
+    found: connections.length,
+    paper: await libraryStore.getPaper(paperId),
+  };
+}
+
+// Re-runs one analysis step of a saved paper, with optional guidance from
+// the reader, on request from its results page. The new text is saved as a
+// revision and the confidence score recalculated. Returns the updated paper.
+async function handleRegenerateField({ paperId, step, guidance }) {
+  const paper = await libraryStore.getPaper(paperId);
+  if (!paper) {
+    return { success: false, error: "Paper not found" };
+  }
+
+  // A separate analyser, so a running queue job keeps its own sessions.
+  const regenerator = new PaperAnalyser();
+  let result;
+  try {
+    const initialised = await regenerator.initialiseAPIs();
+    if (!initialised) {
+      return {
+        success: false,
+        error:
+          "Chrome AI APIs failed to initialise. Please ensure Gemini Nano is downloaded.",
+      };
+    }
+    result = await regenerator.regenerateStep(
+      paper,
+      step,
+      (guidance || "").trim().slice(0, MAX_GUIDANCE_LENGTH)
+    );
+  } finally {
+    regenerator.cleanup();
+  }
+
+  const { fields, steps } = result;
+  const generated = Object.values(fields).some((value) =>
+    Array.isArray(value) ? value.length > 0 : Boolean(value)
+  );
+  if (!generated) {
+    return {
+      success: false,
+      error: "Nothing was generated. The previous text was kept.",
+    };
+  }
+
+  const analysisSteps = { ...getAnalysisSteps(paper), ...steps };
+  await libraryStore.saveRegeneratedFields(paperId, {
+    ...fields,
+    analysisSteps,
+    confidence: getAnalysisConfidence(analysisSteps),
+  });
+  console.log("[NovaMind] Regenerated", step, "for", paper.title);
+  return { success: true, paper: await libraryStore.getPaper(paperId) };
+}
+
+// Persistent analysis jobs, stored in chrome.storage.local so they survive
+// the service worker being stopped. A job looks like:
+// { id, url, title, source, status, progress, error, hasPaperData?, tabId?,
+//   reanalyseId?, paperId?, addedAt, startedAt?, finishedAt? }
+// `hasPaperData` is set when the page was already extracted (e.g. by the
+// popup); the extracted paper is kept in the library database's jobData
+// store rather than here, so queue updates stay small.
+// `tabId` is set for auto-analyses: the paper is extracted from the tab the
+// user opened, which is also kept informed of the job's progress. Otherwise
+// the URL is opened in a background tab and extracted there. `reanalyseId`
+// marks a re-analysis, saved as a new revision of that library paper.
+const ANALYSIS_QUEUE_KEY = "analysisQueue";
+const ANALYSIS_QUEUE_ALARM = "analysisQueue";
+const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+const MAX_FINISHED_JOBS = 20;
+const TAB_LOAD_TIMEOUT_MS = 60000;
+let isProcessingQueue = false;
+let queueRecovery = null;
+let runningJobId = null;
+let queueLock = Promise.resolve();
+
+class JobCancelledError extends Error {
+  constructor() {
+    super("Cancelled");
+    this.name = "JobCancelledError";
+  }
+}
+
+async function getAnalysisJobs() {
+  const { [ANALYSIS_QUEUE_KEY]: jobs = [] } = await chrome.storage.local.get(
+    ANALYSIS_QUEUE_KEY
+  );
+  return jobs;
+}
+
+// Applies `mutate(jobs)` to the stored queue. Updates are serialised so
+// concurrent messages and the queue runner cannot overwrite each other.
+function updateAnalysisJobs(mutate) {
+  const run = queueLock.then(async () => {
+    const jobs = await getAnalysisJobs();
+    const previous = new Map(jobs.map((job) => [job.id, job]));
+    const updated = mutate(jobs) || jobs;
+    await chrome.storage.local.set({ [ANALYSIS_QUEUE_KEY]: updated });
+
+    const kept = new Set(updated.map((job) => job.id));
+    const removedData = jobs
+      .filter((job) => job.hasPaperData && !kept.has(job.id))
+      .map((job) => job.id);
+    libraryStore.deleteJobData(removedData).catch((error) => {
+      console.error("[NovaMind] Failed to delete job data:", error);
+    });
+
+    chrome.runtime
+      .sendMessage({ action: "analysisQueueUpdated", jobs: updated })
+      .catch(() => {});
+    updated
+      .filter((job) => job.tabId && previous.get(job.id) !== job)
+      .forEach(notifyJobTab);
+    return updated;
+  });
+  queueLock = run.catch(() => {});
+  return run;
+}
+
+function createJobId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function updateAnalysisJob(jobId, changes) {
+  return updateAnalysisJobs((jobs) =>
+    jobs.map((job) => (job.id === jobId ? { ...job, ...changes } : job))
+  );
+}
+
+// Tells the page an auto-analysis was started from how its job is doing.
+function notifyJobTab(job) {
+  const { id, status, progress, error, paperId } = job;
+  chrome.tabs
+    .sendMessage(job.tabId, {
+      action: "analysisJobUpdated",
+      job: { id, status, progress, error, paperId },
+    })
+    .catch(() => {
+      // The tab was closed or navigated away.
+    });
+}
+
+// Drops the oldest done, failed and cancelled jobs so the stored history
+// stays small.
+function pruneFinishedJobs(jobs) {
+  const finished = jobs.filter(
+    (job) => ![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)
+  );
+  if (finished.length <= MAX_FINISHED_JOBS) return jobs;
+  const drop = new Set(
+    finished.slice(0, finished.length - MAX_FINISHED_JOBS).map((j) => j.id)
+  );
+  return jobs.filter((job) => !drop.has(job.id));
+}
+
+// Adds papers to the queue, skipping ones already in the library (unless
+// they are being re-analysed) or waiting in the queue, and starts processing.
+async function handleQueueAnalyses(request) {
+  const added = [];
+  let skipped = 0;
+
+  const candidates = [];
+  for (const item of request.items || []) {
+    const paper = item.paperData || { url: item.url };
+    if (!item.reanalyseId && (await libraryStore.findPaper(paper))) {
+      skipped++;
+    } else {
+      candidates.push({ ...item, id: createJobId() });
+    }
+  }
+
+  // Stored before the jobs are queued, so the runner always finds it.
+  for (const { id, paperData } of candidates) {
+    if (paperData) await libraryStore.saveJobData(id, paperData);
+  }
+
+  await updateAnalysisJobs((jobs) => {
+    const activeUrls = new Set(
+      jobs
+        .filter((job) =>
+          [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)
+        )
+        .map((job) => normalisePaperUrl(job.url))
+    );
+
+    for (const {
+      id,
+      url,
+      title,
+      paperData,
+      tabId,
+      reanalyseId,
+    } of candidates) {
+      if (activeUrls.has(normalisePaperUrl(url))) {
+        skipped++;
+        continue;
+      }
+      const job = {
+        id,
+        url,
+        title: title || url,
+        source: request.source || "import",
+        status: JOB_STATUS.QUEUED,
+        progress: 0,
+        error: null,
+        addedAt: new Date().toISOString(),
+      };
+      if (paperData) job.hasPaperData = true;
+      if (tabId) job.tabId = tabId;
+      if (reanalyseId) job.reanalyseId = reanalyseId;
+      jobs.push(job);
+      activeUrls.add(normalisePaperUrl(url));
+      added.push(job);
+    }
+    return pruneFinishedJobs(jobs);
+  });
+
+  const skippedData = candidates
+    .filter(
+      (item) => item.paperData && !added.some((job) => job.id === item.id)
+    )
+    .map((item) => item.id);
+  await libraryStore.deleteJobData(skippedData);
+
+  console.log("[NovaMind] Queued", added.length, "papers,", skipped, "skipped");
+  startAnalysisQueue();
+  return {
+    success: true,
+    queued: added.length,
+    skipped,
+    jobIds: added.map((job) => job.id),
+  };
+}
+
+// Cancels a queued job, or asks the running job to stop at its next step.
+async function handleCancelAnalysisJob(jobId) {
+  await updateAnalysisJobs((jobs) =>
+    jobs.map((job) => {
+      if (job.id !== jobId) return job;
+      if (job.status === JOB_STATUS.QUEUED) {
+        return {
+          ...job,
+          status: JOB_STATUS.CANCELLED,
+          finishedAt: new Date().toISOString(),
+        };
+      }
+      if (job.status === JOB_STATUS.RUNNING) {
+        return { ...job, cancelRequested: true };
+      }
+      return job;
+    })
+  );
+  return { success: true };
+}
+
+// Puts a failed or cancelled job back in the queue.
+async function handleRetryAnalysisJob(jobId) {
+  await updateAnalysisJobs((jobs) =>
+    jobs.map((job) =>
+      job.id === jobId &&
+      [JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status)
+        ? {
+            ...job,
+            status: JOB_STATUS.QUEUED,
+            progress: 0,
+            error: null,
+            cancelRequested: false,
+            finishedAt: null,
           }
-        }
+        : job
+    )
+  );
+  startAnalysisQueue();
+  return { success: true };
+}
+
+// Removes finished, failed and cancelled jobs from the list.
+async function handleClearFinishedJobs() {
+  await updateAnalysisJobs((jobs) =>
+    jobs.filter((job) =>
+      [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)
+    )
+  );
+  return { success: true };
+}
+
+// Starts the queue runner unless it is already running. Safe to call at any
+// time: the flag is set before the first await, so concurrent callers (the
+// alarm, new jobs, retries) cannot start a second runner.
+async function startAnalysisQueue() {
+  if (isProcessingQueue) return;
+  isProcessingQueue = true;
+
+  try {
+    await recoverAnalysisJobs();
+    await processAnalysisQueue();
+  } finally {
+    isProcessingQueue = false;
+  }
+}
+
+// Requeues jobs left "running" by a worker that was stopped mid-analysis.
+// Runs once per worker start; after that a running job really is running.
+function recoverAnalysisJobs() {
+  if (!queueRecovery) {
+    queueRecovery = requeueInterruptedJobs();
+    queueRecovery.catch(() => {
+      queueRecovery = null;
+    });
+  }
+  return queueRecovery;
+}
+
+async function requeueInterruptedJobs() {
+  // Jobs queued by older versions kept the extracted paper in the job.
+  const legacyJobs = (await getAnalysisJobs()).filter((job) => job.paperData);
+  for (const job of legacyJobs) {
+    await libraryStore.saveJobData(job.id, job.paperData);
+  }
+
+  await updateAnalysisJobs((jobs) =>
+    jobs.map((job) => {
+      if (job.paperData) {
+        const { paperData, ...rest } = job;
+        job = { ...rest, hasPaperData: true };
+      }
+      if (job.status === JOB_STATUS.RUNNING) {
+        return { ...job, status: JOB_STATUS.QUEUED, progress: 0 };
+      }
+      // Items queued before jobs had a status.
+      if (!job.status) {
+        return {
+          ...job,
+          status: job.error ? JOB_STATUS.FAILED : JOB_STATUS.QUEUED,
+          progress: 0,
+        };
+      }
+      return job;
+    })
+  );
+}
+
+// Runs queued jobs one at a time until none are left. An alarm wakes the
+// worker while jobs remain, in case it is stopped mid-run. Only called by
+// startAnalysisQueue, which keeps it to one runner.
+async function processAnalysisQueue() {
+  while (true) {
+    const jobs = await getAnalysisJobs();
+    const job = jobs.find((entry) => entry.status === JOB_STATUS.QUEUED);
+    if (!job) break;
+
+    chrome.alarms.create(ANALYSIS_QUEUE_ALARM, { periodInMinutes: 1 });
+    runningJobId = job.id;
+    await updateAnalysisJob(job.id, {
+      status: JOB_STATUS.RUNNING,
+      startedAt: new Date().toISOString(),
+    });
+
+    try {
+      console.log("[NovaMind] Running analysis job:", job.url);
+      const analysis = await runAnalysisJob(job);
+      await updateAnalysisJob(job.id, {
+        status: JOB_STATUS.DONE,
+        progress: 100,
+        paperId: analysis.timestamp,
+        hasPaperData: false,
+        finishedAt: new Date().toISOString(),
       });
+      if (job.hasPaperData) await libraryStore.deleteJobData([job.id]);
+    } catch (error) {
+      const cancelled = error instanceof JobCancelledError;
+      if (!cancelled) {
+        console.error("[NovaMind] Analysis job failed:", job.url, error);
+      }
+      await updateAnalysisJob(job.id, {
+        status: cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED,
+        error: cancelled ? null : error.message || "Analysis failed",
+        finishedAt: new Date().toISOString(),
+      });
+    } finally {
+      runningJobId = null;
     }
+  }
+  chrome.alarms.clear(ANALYSIS_QUEUE_ALARM);
+}
 
-    // Limit to 50 papers
-    if (analyses.length > 50) {
-      analyses.length = 50;
+// Throws if the user cancelled the job.
+async function throwIfJobCancelled(jobId) {
+  const jobs = await getAnalysisJobs();
+  const job = jobs.find((entry) => entry.id === jobId);
+  if (!job || job.cancelRequested) {
+    throw new JobCancelledError();
+  }
+}
+
+// Extracts the paper if needed, then analyses it. Returns the saved analysis.
+async function runAnalysisJob(job) {
+  const options = {
+    shouldContinue: () => throwIfJobCancelled(job.id),
+    reanalyseId: job.reanalyseId,
+  };
+  if (job.hasPaperData) {
+    const paperData = await libraryStore.getJobData(job.id);
+    if (!paperData) {
+      throw new Error("The extracted paper is no longer available");
     }
-    await chrome.storage.local.set({ analyses });
-  } catch (error) {
-    console.error("❌ Failed to save analysis:", error);
+    return analysePaperData(paperData, options);
+  }
+
+  // Auto-analyses read the page the user has open, if it is still there.
+  if (job.tabId) {
+    const userTab = await chrome.tabs.get(job.tabId).catch(() => null);
+    if (userTab && userTab.url === job.url) {
+      const response = await requestTabExtraction(job.tabId);
+      if (!response || !response.success || !response.data) {
+        throw new Error("Failed to extract paper content");
+      }
+      return analysePaperData(response.data, options);
+    }
+  }
+
+  const tab = await chrome.tabs.create({ url: job.url, active: false });
+  try {
+    await waitForTabLoad(tab.id);
+    const response = await requestTabExtraction(tab.id);
+    if (!response || !response.success || !response.data) {
+      throw new Error("Failed to extract paper content");
+    }
+
+    // The tab may have redirected (e.g. from doi.org) to a paper we have.
+    if (!job.reanalyseId) {
+      const existing = await libraryStore.findPaper(response.data);
+      if (existing) return existing;
+    }
+
+    return await analysePaperData(response.data, options);
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {});
   }
 }
 
+async function analysePaperData(paperData, options) {
+  await options.shouldContinue();
+  const result = await handleAnalysis(paperData, options);
+  if (!result.success) {
+    if (result.cancelled) throw new JobCancelledError();
+    throw new Error(result.error || "Analysis failed");
+  }
+  return result.data;
+}
+
+// Resolves when a tab has finished loading.
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error("Timed out loading the paper page"));
+    }, TAB_LOAD_TIMEOUT_MS);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === "complete") {
+        clearTimeout(timeout);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    }
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+// Asks the tab's content script to extract the paper, retrying briefly while
+// the script is still being injected.
+async function requestTabExtraction(tabId, attempts = 5) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, { action: "extractContent" });
+    } catch (error) {
+      if (attempt >= attempts) {
+        throw new Error("This page is not a supported paper site");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+// Queues an analysis of a supported page the user has opened, if auto-analyse
+// is on and the paper is neither in the library nor already queued.
+async function handleSiteDetected(tab) {
+  if (!tab || !tab.url) return { queued: false };
+
+  const { settings = {} } = await chrome.storage.local.get("settings");
+  // Older versions saved the toggle as "autoAnalyze".
+  const autoAnalyse =
+    "autoAnalyse" in settings ? settings.autoAnalyse : settings.autoAnalyze;
+  if (!autoAnalyse) return { queued: false };
+
+  // Tabs opened by the queue itself report the site too.
+  const jobs = await getAnalysisJobs();
+  const isQueued = jobs.some(
+    (job) =>
+      normalisePaperUrl(job.url) === normalisePaperUrl(tab.url) &&
+      [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)
+  );
+  if (isQueued) return { queued: false };
+
+  const result = await handleQueueAnalyses({
+    source: "auto",
+    items: [{ url: tab.url, title: tab.title, tabId: tab.id }],
+  });
+  if (result.jobIds.length === 0) return { queued: false };
+
+  console.log("[NovaMind] Auto-analysing:", tab.url);
+  return { queued: true, jobId: result.jobIds[0] };
+}
+
+// Fetches arXiv's HTML rendering of a paper for the content script, which
+// cannot read ar5iv across origins: arxiv.org/html first, then ar5iv for
+// papers arXiv has not converted. Returns { url, html }; html is null when
+// neither has the paper.
+async function handleFetchArxivHtml({ arxivId, version }) {
+  if (!parseArxivUrl(`https://arxiv.org/abs/${arxivId}`)) {
+    return { url: null, html: null };
+  }
+
+  const candidates = [
+    `https://arxiv.org/html/${arxivId}${version ? `v${version}` : ""}`,
+    `https://ar5iv.labs.arxiv.org/html/${arxivId}`,
+  ];
+  for (const url of candidates) {
+    try {
+      const response = await fetch(url);
+      // ar5iv redirects to the abstract page when it has no rendering.
+      if (response.ok && response.url.includes("/html/")) {
+        return { url: response.url, html: await response.text() };
+      }
+    } catch (error) {
+      console.warn(`[NovaMind] Could not fetch ${url}:`, error);
+    }
+  }
+  return { url: null, html: null };
+}
+
+// Opens an analysis in a results window.
+async function openResultsWindow(paperId = "latest") {
+  await chrome.windows.create({
+    url: chrome.runtime.getURL(`results/results.html?id=${paperId}`),
+    type: "popup",
+    width: 1000,
+    height: 800,
+  });
+}
+
+// Resume interrupted jobs whenever the worker starts or the alarm fires.
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ANALYSIS_QUEUE_ALARM) startAnalysisQueue();
+});
+startAnalysisQueue();
+
 // Handle saving highlights
 async function handleSaveHighlight(request) {
   try {
@@ -890,20 +2213,12 @@ async function handleSaveHighlight(request) {
       id: Date.now().toString(),
       text: text,
       paperTitle: paperTitle || "Unknown Paper",
-      paperUrl: paperUrl || pageUrl,
+      paperUrl: normalisePaperUrl(paperUrl || pageUrl),
       pageUrl: pageUrl,
       timestamp: new Date().toISOString(),
     };
 
-    const { highlights = [] } = await chrome.storage.local.get("highlights");
-    highlights.unshift(highlight);
-
-    // Keep only last 500 highlights
-    if (highlights.length > 500) {
-      highlights.length = 500;
-    }
-
-    await chrome.storage.local.set({ highlights });
+    await libraryStore.saveHighlight(highlight);
 
     console.log("[NovaMind] Highlight saved:", highlight.id);
     return { success: true, highlight };
@@ -920,6 +2235,11 @@ chrome.runtime.onSuspend.addListener(() => {
 
 // Create context menu on installation
 chrome.runtime.onInstalled.addListener(() => {
+  // Opening the library migrates data saved by older versions.
+  libraryStore.open().catch((error) => {
+    console.error("[NovaMind] Failed to open library:", error);
+  });
+
   chrome.contextMenus.create({
     id: "novamind-assistant",
     title: "NovaMind",
@@ -982,8 +2302,10 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
       console.log(
         `[NovaMind] Attempting to get full paper data from tab ${tab.id}`
       );
+      // Only the title is needed here, so skip reading the middle of long PDFs.
       const response = await chrome.tabs.sendMessage(tab.id, {
         action: "extractContent",
+        pdfMode: "edges",
       });
 
       if (response && response.success && response.data) {
@@ -10,36 +10,15 @@ if (typeof pdfjsLib !== "undefined") {
 }
 
 // Attempts to identify if the current website is a supported academic site.
+// Returns { key, domain, adapter }; `adapter` is null for unrecognised sites
+// that merely look like papers.
 function detectSite() {
   const hostname = window.location.hostname;
-  const url = window.location.href.toLowerCase();
-
-  // Define a dictionary of explicitly supported academic sites and their rules.
-  const supportedSites = {
-    "arxiv.org": {
-      key: "arXiv",
-      domain: "arxiv.org",
-      isSupported:
-        hostname.includes("arxiv.org") &&
-        (url.includes("/abs/") || url.includes("/pdf/")),
-    },
 
-    "ieeexplore.ieee.org": {
-      key: "IEEE",
-      domain: "ieeexplore.ieee.org",
-      isSupported:
-        hostname.includes("ieeexplore.ieee.org") && url.includes("/document/"),
-    },
-  };
-
-  // Check if current site is in the explicit list.
-  for (const [key, site] of Object.entries(supportedSites)) {
-    if (site.isSupported) {
-      return {
-        key: site.key,
-        domain: site.domain,
-      };
-    }
+  // Check the publishers with a dedicated site adapter first.
+  const adapter = findSiteAdapter(window.location.href);
+  if (adapter) {
+    return { key: adapter.key, domain: hostname, adapter };
   }
 
   // Fallback: check if it looks like a research paper on an unsupported site.
@@ -47,6 +26,7 @@ function detectSite() {
     return {
       key: getSiteName(hostname), // Generate a user-friendly name.
       domain: hostname,
+      adapter: null,
     };
   }
 
@@ -113,7 +93,7 @@ function looksLikeResearchPaper() {
 }
 
 // Fetches the /abs/ page for an arXiv PDF to get reliable metadata.
-async function extractArxivDataFromPdfUrl() {
+async function extractArxivDataFromPdfUrl(options = {}) {
   const pdfUrl = window.location.href;
 
   // 1. Convert the PDF URL to its corresponding /abs/ (abstract) page URL.
@@ -122,6 +102,8 @@ async function extractArxivDataFromPdfUrl() {
   let fetchedTitle = null;
   let fetchedAbstract = null;
   let fetchedAuthors = null;
+  let citation = null;
+  let arxivVersion = getArxivVersion(pdfUrl, null);
 
   try {
     // 2. Fetch the HTML content of the /abs/ page.
@@ -137,25 +119,13 @@ async function extractArxivDataFromPdfUrl() {
     const doc = parser.parseFromString(htmlText, "text/html");
 
     // 4. Extract reliable metadata from the parsed HTML.
-    const titleElement = doc.querySelector("h1.title");
-    if (titleElement) {
-      fetchedTitle = titleElement.textContent.replace("Title:", "").trim();
-    }
-
-    const abstractElement = doc.querySelector("blockquote.abstract-full");
-    if (abstractElement) {
-      fetchedAbstract = abstractElement.textContent
-        .replace(/^Abstract\s*:/i, "")
-        .trim();
-    }
+    const metadata = findSiteAdapter(absUrl).extractMetadata(doc);
+    fetchedTitle = metadata.title;
+    fetchedAbstract = metadata.abstract;
+    fetchedAuthors = metadata.authors;
 
-    const authorsElement = doc.querySelector("div.authors");
-    if (authorsElement) {
-      const authorLinks = authorsElement.querySelectorAll("a");
-      fetchedAuthors = Array.from(authorLinks)
-        .map((a) => a.textContent.trim())
-        .join(", ");
-    }
+    citation = extractCitationMetadata(doc, absUrl);
+    arxivVersion = getArxivVersion(pdfUrl, doc);
 
     console.log("[NovaMind] Successfully fetched metadata from /abs/ page.");
   } catch (error) {
@@ -166,29 +136,66 @@ async function extractArxivDataFromPdfUrl() {
     // If fetching fails, we will just fall back to the PDF parser's results.
   }
 
-  // 5. We still need the full text (Introduction/Conclusion) from the PDF itself.
+  // 5. We still need the full text (Introduction/Conclusion). arXiv's HTML
+  // rendering keeps the paper's structure, so it is preferred over the PDF.
   let intro = "";
+  let methodology = "";
   let conclusion = "";
   let fullText = "";
+  let sections = [];
+  let figures = [];
+  let references = [];
+  let fullTextUrl = null;
+  let pageCount = 0;
   let parsedTitle = null;
   let parsedAbstract = null;
+  let parsedAuthors = null;
 
   try {
-    if (typeof pdfjsLib === "undefined") {
-      throw new Error("PDF.js library (pdfjsLib) is not loaded.");
+    const html = await fetchArxivHtmlFullText(pdfUrl);
+    if (html && hasBodySections(html.sections)) {
+      sections = html.sections;
+      figures = html.figures;
+      references = html.references;
+      fullTextUrl = html.url;
+      intro = getSectionText(sections, "introduction");
+      methodology =
+        getSectionText(sections, "method") ||
+        getSectionText(sections, "experiments");
+      conclusion =
+        getSectionText(sections, "conclusion") ||
+        getSectionText(sections, "discussion");
+      parsedTitle = html.metadata.title;
+      parsedAbstract = html.metadata.abstract;
+      parsedAuthors = html.metadata.authors;
+    }
+  } catch (error) {
+    console.warn("[NovaMind] Could not read the arXiv HTML version:", error);
+  }
+
+  if (!fullTextUrl) {
+    try {
+      if (typeof pdfjsLib === "undefined") {
+        throw new Error("PDF.js library (pdfjsLib) is not loaded.");
+      }
+      const extracted = await extractTextFromPDF(pdfUrl, options);
+      fullText = extracted.fullText;
+      pageCount = extracted.numPages;
+      sections = segmentSections(extracted.pages);
+      const parsed = parseResearchPaperFromText(fullText, sections);
+
+      intro = parsed.introduction;
+      methodology = parsed.methodology;
+      conclusion = parsed.conclusion;
+      parsedTitle = parsed.title; // Get fallback title from PDF.
+      parsedAbstract = parsed.abstract; // Get fallback abstract from PDF.
+      references = parseReferences(getSectionText(sections, "references"));
+    } catch (pdfError) {
+      console.error(
+        "[NovaMind] PDF text extraction failed during /abs/ fetch:",
+        pdfError
+      );
     }
-    fullText = await extractTextFromPDF(pdfUrl);
-    const parsed = parseResearchPaperFromText(fullText);
-
-    intro = parsed.introduction;
-    conclusion = parsed.conclusion;
-    parsedTitle = parsed.title; // Get fallback title from PDF.
-    parsedAbstract = parsed.abstract; // Get fallback abstract from PDF.
-  } catch (pdfError) {
-    console.error(
-      "[NovaMind] PDF text extraction failed during /abs/ fetch:",
-      pdfError
-    );
   }
 
   // 6. Combine and return the data.
@@ -197,40 +204,80 @@ async function extractArxivDataFromPdfUrl() {
     title:
       fetchedTitle || parsedTitle || extractTitleFromURL() || "Untitled Paper",
     abstract: fetchedAbstract || parsedAbstract || "",
-    authors: fetchedAuthors || "", // Authors are hard to parse from PDF.
+    // Authors are hard to parse from PDF.
+    authors: fetchedAuthors || parsedAuthors || "",
     content:
       fetchedAbstract || parsedAbstract || intro || fullText.substring(0, 3000),
     introductionText: intro,
+    methodologyText: methodology,
     conclusionText: conclusion,
+    sections: sections,
+    figures: figures,
+    references: references,
+    citation: citation || {
+      authors: [],
+      arxivId: findArxivId(pdfUrl),
+      doi: normaliseDoi(fullText.substring(0, 5000)),
+      type: "preprint",
+    },
     url: window.location.href,
+    arxivVersion,
     site: "arXiv",
-    extractedFromPDF: true,
+    pageCount: pageCount,
+    ...(fullTextUrl ? { fullTextUrl } : { extractedFromPDF: true }),
   };
 }
 
 // Main function to extract paper content, routing to PDF or HTML methods.
-async function extractPaperContent() {
+// `options` is passed through to the PDF extractor (mode, onPage callback).
+async function extractPaperContent(options = {}) {
   const site = detectSite();
   if (!site) {
     return null;
   }
 
-  // Special case for arXiv PDFs: fetch metadata from the /abs/ page.
+  let paperData;
   if (site.key === "arXiv" && isPDFPage()) {
+    // Special case for arXiv PDFs: fetch metadata from the /abs/ page.
     console.log(
       "[NovaMind] arXiv PDF detected. Using /abs/ page fetch strategy."
     );
-    return await extractArxivDataFromPdfUrl();
+    paperData = await extractArxivDataFromPdfUrl(options);
+  } else if (isPDFPage()) {
+    // For all other PDFs, use the generic PDF text extractor.
+    console.log("[NovaMind] PDF detected - using PDF text extraction");
+    paperData = await extractFromPDF(options);
+  } else {
+    // For standard HTML pages, use DOM extraction.
+    paperData = await extractFromPage(site, options);
   }
 
-  // For all other PDFs, use the generic PDF text extractor.
-  if (isPDFPage()) {
-    console.log("[NovaMind] PDF detected - using PDF text extraction");
-    return await extractFromPDF();
+  // Save every paper under one URL, whichever of its pages was open.
+  if (paperData) {
+    paperData.pageUrl = paperData.url;
+    paperData.url = normalisePaperUrl(paperData.url);
+    if (!paperData.arxivVersion) {
+      paperData.arxivVersion = getArxivVersion(
+        paperData.pageUrl,
+        isPDFPage() ? null : document
+      );
+    }
   }
+  return paperData;
+}
 
-  // For standard HTML pages, use DOM extraction.
-  return extractFromPage();
+// Returns the arXiv version a page shows: the one in its URL, or else the
+// latest listed in the abstract page's submission history. Null elsewhere.
+function getArxivVersion(url, doc) {
+  const arxiv = parseArxivUrl(url);
+  if (!arxiv) return null;
+  if (arxiv.version) return arxiv.version;
+
+  const history = doc && doc.querySelector(".submission-history");
+  const versions = history
+    ? [...history.textContent.matchAll(/\[v(\d+)\]/g)].map((m) => Number(m[1]))
+    : [];
+  return versions.length > 0 ? Math.max(...versions) : null;
 }
 
 // Helper function to check if the current page is displaying a PDF.
@@ -244,7 +291,7 @@ function isPDFPage() {
 }
 
 // Generic function to extract and parse text from any PDF.
-async function extractFromPDF() {
+async function extractFromPDF(options = {}) {
   try {
     console.log("[NovaMind] Starting PDF text extraction...");
 
@@ -252,28 +299,19 @@ async function extractFromPDF() {
       throw new Error("PDF.js library (pdfjsLib) is not loaded.");
     }
 
-    // Extract raw text from the PDF URL.
+    // Extract and parse the text of the PDF open in this tab.
     const pdfUrl = window.location.href;
-    const fullText = await extractTextFromPDF(pdfUrl);
-
-    if (!fullText || fullText.length < 100) {
-      throw new Error("Failed to extract sufficient text from PDF");
-    }
-
-    console.log("[NovaMind] Extracted", fullText.length, "characters from PDF");
-
-    // Parse the raw text to find paper sections.
-    const parsed = parseResearchPaperFromText(fullText);
+    const paper = await readPaperFromPdf(pdfUrl, options);
     const site = detectSite();
 
     return {
-      title: parsed.title || extractTitleFromURL() || "Untitled Paper",
-      abstract: parsed.abstract || "",
+      ...paper,
+      title: paper.title || extractTitleFromURL() || "Untitled Paper",
       authors: "", // PDFs do not reliably expose author info.
-      content:
-        parsed.abstract || parsed.introduction || fullText.substring(0, 3000),
-      introductionText: parsed.introduction || "",
-      conclusionText: parsed.conclusion || "",
+      citation: {
+        ...paper.citation,
+        arxivId: findArxivId(pdfUrl) || paper.citation.arxivId,
+      },
       url: window.location.href,
       site: site ? site.key : "PDF",
       extractedFromPDF: true,
@@ -296,194 +334,17 @@ async function extractFromPDF() {
   }
 }
 
-// Core PDF.js function to extract raw text from a PDF document.
-async function extractTextFromPDF(pdfUrl) {
-  try {
-    const pdfjsLib = window.pdfjsLib;
-
-    // Load the PDF document.
-    const loadingTask = pdfjsLib.getDocument({
-      url: pdfUrl,
-      verbosity: 0, // Reduce console spam.
+// Reports PDF extraction progress to the popup while pages are being read.
+function sendPdfExtractionProgress({ pageNumber, numPages }) {
+  chrome.runtime
+    .sendMessage({
+      action: "pdfExtractionProgress",
+      pageNumber,
+      numPages,
+    })
+    .catch(() => {
+      // Ignore errors if popup is not open.
     });
-
-    const pdf = await loadingTask.promise;
-    console.log(`[NovaMind] PDF loaded: ${pdf.numPages} pages`);
-
-    // Extract text from the first 10 pages (for Intro/Abstract).
-    const maxPages = Math.min(pdf.numPages, 10);
-    let fullText = "";
-
-    for (let pageNum = 1; pageNum <= maxPages; pageNum++) {
-      const page = await pdf.getPage(pageNum);
-      const textContent = await page.getTextContent();
-
-      const pageText = textContent.items
-        .map((item) => item.str)
-        .join(" ")
-        .replace(/\s+/g, " "); // Normalise spaces.
-      fullText += pageText + "\n\n";
-    }
-
-    // Also try to get the last few pages for the conclusion.
-    if (pdf.numPages > maxPages) {
-      const lastPages = Math.max(pdf.numPages - 5, maxPages + 1);
-      for (let pageNum = lastPages; pageNum <= pdf.numPages; pageNum++) {
-        const page = await pdf.getPage(pageNum);
-        const textContent = await page.getTextContent();
-        const pageText = textContent.items
-          .map((item) => item.str)
-          .join(" ")
-          .replace(/\s+/g, " ");
-        fullText += pageText + "\n\n";
-      }
-      console.log(
-        `[NovaMind] Also extracted last ${
-          pdf.numPages - lastPages + 1
-        } pages for conclusion`
-      );
-    }
-
-    return fullText;
-  } catch (error) {
-    console.error("[NovaMind] PDF text extraction error:", error);
-    throw error;
-  }
-}
-
-// Parses raw text to find the Title, Abstract, Introduction, and Conclusion.
-function parseResearchPaperFromText(fullText) {
-  console.log("[NovaMind] Parsing paper structure from text...");
-  const result = {
-    title: "",
-    abstract: "",
-    introduction: "",
-    conclusion: "",
-  };
-
-  const cleanedText = fullText.replace(/\s+/g, " ").replace(/\n+/g, "\n");
-
-  // 1. Define regex for our section "anchors" (headings).
-  const abstractRegex = /\b(Abstract|Summary)\b[\s\n:]*/i;
-  const introRegex = /\b(1\.?|I\.?)\s*Introduction\b/i;
-  const conclusionRegex =
-    /\b(\d+\.?|[IVX]+\.?)\s*(Conclusion|Discussion|Limitations|Future Work)\b/i;
-  const referencesRegex =
-    /\b(References|REFERENCES|Bibliography|Acknowledgment[s]?)\b/i;
-
-  // 2. Find the *index* (position) of these anchors.
-  const abstractMatch = cleanedText.match(abstractRegex);
-  const introMatch = cleanedText.match(introRegex);
-  const conclusionMatch = cleanedText.match(conclusionRegex);
-  const referencesMatch = cleanedText.match(referencesRegex);
-
-  const abstractStartIndex = abstractMatch ? abstractMatch.index : -1;
-  const introStartIndex = introMatch ? introMatch.index : -1;
-  const conclusionStartIndex = conclusionMatch ? conclusionMatch.index : -1;
-  const referencesStartIndex = referencesMatch ? referencesMatch.index : -1;
-
-  const abstractEndIndex = abstractMatch
-    ? abstractStartIndex + abstractMatch[0].length
-    : -1;
-  const introEndIndex = introMatch
-    ? introStartIndex + introMatch[0].length
-    : -1;
-  const conclusionEndIndex = conclusionMatch
-    ? conclusionStartIndex + conclusionMatch[0].length
-    : -1;
-
-  // 3. Determine the "end" points for each section.
-  // Title ends where Abstract or Introduction begins.
-  const endOfTitleIndex =
-    abstractStartIndex !== -1 ? abstractStartIndex : introStartIndex;
-  // Abstract ends where Introduction begins.
-  const endOfAbstractIndex = introStartIndex;
-  // Introduction ends where Conclusion or References begin.
-  const endOfIntroIndex =
-    conclusionStartIndex !== -1 ? conclusionStartIndex : referencesStartIndex;
-  // Conclusion ends where References begin.
-  const endOfConclusionIndex = referencesStartIndex;
-
-  // 4. Extract Title.
-  if (endOfTitleIndex !== -1) {
-    let titleText = cleanedText.substring(0, endOfTitleIndex).trim();
-    // Clean up common PDF artefacts (page numbers, arXiv watermarks).
-    titleText = titleText
-      .replace(/arXiv:\d+\.\d+v?\d*\s*\[.*\]\s*\d+\s*\w*\s*\d{4}/gi, "")
-      .replace(/^\d+|\s+\d+$/g, "");
-
-    const titleLines = titleText
-      .split("\n")
-      .filter((line) => line.trim().length > 15); // Filter out short junk lines.
-    result.title = titleLines.join(" ").replace(/\s+/g, " ").trim();
-  }
-  // Fallback: If no anchors, try to get the first long line.
-  if (!result.title && cleanedText.length > 100) {
-    const fallbackTitleMatch = cleanedText.match(/^([^\n]{20,300}?)\n/m);
-    if (fallbackTitleMatch) {
-      result.title = fallbackTitleMatch[1].trim();
-    }
-  }
-  console.log("[NovaMind] Extracted title:", result.title.substring(0, 80));
-
-  // 5. Extract Abstract.
-  if (abstractEndIndex !== -1 && endOfAbstractIndex !== -1) {
-    result.abstract = cleanedText
-      .substring(abstractEndIndex, endOfAbstractIndex)
-      .trim()
-      .substring(0, 3000);
-    console.log(
-      "[NovaMind] Extracted abstract (keyword):",
-      result.abstract.length,
-      "chars"
-    );
-  } else if (introStartIndex !== -1) {
-    // FALLBACK: No "Abstract" keyword. Grab text between Title and Introduction.
-    const start = result.title
-      ? cleanedText.indexOf(result.title) + result.title.length
-      : 0;
-    const end = introStartIndex;
-
-    if (start < end) {
-      result.abstract = cleanedText
-        .substring(start, end)
-        .trim()
-        .substring(0, 3000);
-      console.log(
-        "[NovaMind] Extracted abstract (fallback):",
-        result.abstract.length,
-        "chars"
-      );
-    }
-  }
-
-  // 6. Extract Introduction.
-  if (introEndIndex !== -1 && endOfIntroIndex !== -1) {
-    result.introduction = cleanedText
-      .substring(introEndIndex, endOfIntroIndex)
-      .trim()
-      .substring(0, 6000);
-    console.log(
-      "[NovaMind] Extracted introduction:",
-      result.introduction.length,
-      "chars"
-    );
-  }
-
-  // 7. Extract Conclusion.
-  if (conclusionEndIndex !== -1 && endOfConclusionIndex !== -1) {
-    result.conclusion = cleanedText
-      .substring(conclusionEndIndex, endOfConclusionIndex)
-      .trim()
-      .substring(0, 4000);
-    console.log(
-      "[NovaMind] Extracted conclusion:",
-      result.conclusion.length,
-      "chars"
-    );
-  }
-
-  return result;
 }
 
 // Fallback function to generate a title from the URL.
@@ -505,14 +366,19 @@ function extractTitleFromURL() {
   return null;
 }
 
-// Extracts paper content from a standard HTML page (not a PDF).
-function extractFromPage() {
+// Extracts paper content from a standard HTML page (not a PDF). The site's
+// adapter is tried first, then meta tags and generic DOM patterns. When the
+// page shows no full text, the body sections come from another rendering of
+// the paper (arXiv's HTML version) or else its PDF.
+async function extractFromPage(site, options = {}) {
   console.log("[NovaMind] Extracting paper content from HTML page");
+  const adapter = site && site.adapter;
 
-  // Strategy 1: Try meta tags (most reliable).
-  let title = extractFromMeta();
-  let abstract = extractAbstractFromMeta();
-  let authors = extractAuthorsFromMeta();
+  // Strategy 1: Try the site adapter and meta tags (most reliable).
+  const metadata = adapter ? adapter.extractMetadata(document) : {};
+  let title = metadata.title || extractFromMeta();
+  let abstract = metadata.abstract || extractAbstractFromMeta();
+  let authors = metadata.authors || extractAuthorsFromMeta();
 
   // Strategy 2: Try semantic HTML and common DOM patterns.
   if (!title) {
@@ -525,9 +391,64 @@ function extractFromPage() {
     authors = extractAuthorsFromDOM();
   }
 
-  // Strategy 3: Extract Introduction and Conclusion text from the DOM.
-  let introduction = extractIntroductionFromDOM();
-  let conclusion = extractConclusionFromDOM();
+  // Strategy 3: Read the body sections from the page, another rendering of
+  // the paper, or else the PDF.
+  let sections = adapter ? adapter.extractSections(document) : [];
+  let figures =
+    adapter && adapter.extractFigures ? adapter.extractFigures(document) : [];
+  let references =
+    adapter && adapter.extractReferences
+      ? adapter.extractReferences(document)
+      : [];
+  if (references.length === 0) {
+    references = extractReferencesFromDOM();
+  }
+  let fullTextUrl = null;
+  let pdfUrl = null;
+  let pageCount = 0;
+
+  if (!hasBodySections(sections) && adapter && adapter.fetchFullText) {
+    try {
+      const fullText = await adapter.fetchFullText(window.location.href);
+      if (fullText && hasBodySections(fullText.sections)) {
+        sections = fullText.sections;
+        figures = fullText.figures;
+        if (fullText.references.length > 0) references = fullText.references;
+        fullTextUrl = fullText.url;
+      }
+    } catch (error) {
+      console.warn("[NovaMind] Could not fetch the paper's full text:", error);
+    }
+  }
+
+  if (!hasBodySections(sections) && adapter) {
+    pdfUrl = adapter.getPdfUrl(window.location.href, document);
+    if (pdfUrl) {
+      try {
+        console.log(`[NovaMind] No full text on page; reading ${pdfUrl}`);
+        const extracted = await extractTextFromPDF(pdfUrl, options);
+        sections = segmentSections(extracted.pages);
+        pageCount = extracted.numPages;
+        if (references.length === 0) {
+          references = parseReferences(getSectionText(sections, "references"));
+        }
+      } catch (error) {
+        console.warn("[NovaMind] Could not read the paper's PDF:", error);
+        pdfUrl = null;
+      }
+    }
+  }
+
+  // Strategy 4: Find Introduction and Conclusion headings in the DOM.
+  const introduction =
+    getSectionText(sections, "introduction") || extractIntroductionFromDOM();
+  const methodology =
+    getSectionText(sections, "method") ||
+    getSectionText(sections, "experiments");
+  const conclusion =
+    getSectionText(sections, "conclusion") ||
+    getSectionText(sections, "discussion") ||
+    extractConclusionFromDOM();
 
   // Fallback: use the page's <title> tag.
   if (!title) {
@@ -536,21 +457,41 @@ function extractFromPage() {
 
   // Fallback: use main content if abstract is still missing.
   if (!abstract || abstract.length < 50) {
-    abstract = extractMainContent();
+    abstract =
+      getSectionText(sections, "abstract").substring(0, 3000) ||
+      extractMainContent();
   }
 
-  const site = detectSite();
-
-  return {
+  const paperData = {
     title: title || "Untitled Paper",
     abstract: abstract || "",
     authors: authors || "",
     content: abstract || "", // 'content' is the primary text.
     introductionText: introduction || "",
+    methodologyText: methodology || "",
     conclusionText: conclusion || "",
+    sections: sections,
+    references: references,
+    citation: extractCitationMetadata(),
     url: window.location.href,
     site: site ? site.key : "generic",
   };
+  if (figures.length > 0) paperData.figures = figures;
+  if (fullTextUrl) paperData.fullTextUrl = fullTextUrl;
+  if (pdfUrl) {
+    paperData.pdfUrl = pdfUrl;
+    paperData.pageCount = pageCount;
+  }
+  return paperData;
+}
+
+// Checks whether a section list holds any of the paper's body text.
+function hasBodySections(sections) {
+  return sections.some((section) =>
+    ["introduction", "method", "experiments", "results", "conclusion"].includes(
+      section.kind
+    )
+  );
 }
 
 // Extracts the paper title from common meta tags.
@@ -838,6 +779,148 @@ function extractAuthorsFromDOM() {
     : null;
 }
 
+// Returns the content of the first matching meta tag in `doc`.
+function getMetaContent(doc, names) {
+  for (const name of names) {
+    const element = doc.querySelector(`meta[name="${name}"]`);
+    if (element && element.content && element.content.trim()) {
+      return element.content.trim();
+    }
+  }
+  return null;
+}
+
+// Reads bibliographic metadata from Highwire `citation_*` meta tags (and
+// Dublin Core fallbacks) in `doc`, for citation export.
+function extractCitationMetadata(doc = document, url = window.location.href) {
+  const authors = Array.from(
+    doc.querySelectorAll('meta[name="citation_author"]')
+  )
+    .map((el) => (el.content || "").trim())
+    .filter(Boolean);
+
+  const publicationDate = getMetaContent(doc, [
+    "citation_publication_date",
+    "citation_date",
+    "citation_online_date",
+    "DC.date",
+  ]);
+  const year = publicationDate && publicationDate.match(/(19|20)\d{2}/);
+  const doi = normaliseDoi(
+    getMetaContent(doc, ["citation_doi", "DC.identifier", "dc.identifier"])
+  );
+  const arxivId =
+    getMetaContent(doc, ["citation_arxiv_id"]) ||
+    findArxivId(url) ||
+    findArxivId(doi);
+  const journal = getMetaContent(doc, ["citation_journal_title"]);
+  const conference = getMetaContent(doc, [
+    "citation_conference_title",
+    "citation_inbook_title",
+  ]);
+
+  let type = null;
+  if (conference) type = "conference";
+  else if (journal) type = "journal";
+  else if (arxivId) type = "preprint";
+
+  return {
+    authors,
+    doi,
+    arxivId,
+    publicationDate: publicationDate
+      ? publicationDate.replace(/\//g, "-")
+      : null,
+    year: year ? Number(year[0]) : null,
+    venue: conference || journal || null,
+    publisher: getMetaContent(doc, ["citation_publisher", "DC.publisher"]),
+    volume: getMetaContent(doc, ["citation_volume"]),
+    issue: getMetaContent(doc, ["citation_issue"]),
+    firstPage: getMetaContent(doc, ["citation_firstpage"]),
+    lastPage: getMetaContent(doc, ["citation_lastpage"]),
+    type,
+  };
+}
+
+// Parses a Highwire `citation_reference` meta tag, whose content looks like
+// "citation_title=...; citation_author=...; citation_year=...".
+function parseCitationReferenceMeta(content) {
+  const fields = {};
+  const authors = [];
+  content.split(/;\s*/).forEach((pair) => {
+    const [key, ...rest] = pair.split("=");
+    const value = rest.join("=").trim();
+    if (!key || !value) return;
+    if (key.trim() === "citation_author") {
+      authors.push(value);
+    } else {
+      fields[key.trim()] = value;
+    }
+  });
+
+  if (!fields.citation_title) return null;
+  const year = (
+    fields.citation_publication_date ||
+    fields.citation_year ||
+    ""
+  ).match(/(19|20)\d{2}/);
+  return {
+    raw: content.substring(0, 500),
+    authors,
+    title: fields.citation_title,
+    venue:
+      fields.citation_journal_title || fields.citation_conference_title || null,
+    year: year ? Number(year[0]) : null,
+    arxivId: fields.citation_arxiv_id || null,
+    doi: fields.citation_doi || null,
+  };
+}
+
+// Extracts the bibliography from an HTML paper page, preferring publisher
+// meta tags and falling back to common reference list markup.
+function extractReferencesFromDOM() {
+  const metaReferences = Array.from(
+    document.querySelectorAll('meta[name="citation_reference"]')
+  )
+    .map((el) => parseCitationReferenceMeta(el.content || ""))
+    .filter(Boolean);
+  if (metaReferences.length > 0) {
+    console.log(
+      "[NovaMind] Extracted",
+      metaReferences.length,
+      "references from meta tags"
+    );
+    return metaReferences;
+  }
+
+  const referenceSelectors = [
+    ".ltx_bibliography .ltx_bibitem", // arXiv HTML / ar5iv
+    ".reference-container", // IEEE Xplore
+    ".c-article-references__item", // Springer / Nature
+    "#references li",
+    "ol.references li",
+    '[class*="references" i] li',
+    '[id*="references" i] li',
+    '[class*="bibliography" i] li',
+  ];
+
+  for (const selector of referenceSelectors) {
+    const entries = Array.from(document.querySelectorAll(selector))
+      .map((el) => el.textContent.replace(/\s+/g, " ").trim())
+      .map((text) => text.replace(/^\[?\d{1,3}[\].]\s*/, ""))
+      .filter((text) => text.length > 20);
+    if (entries.length >= 2) {
+      console.log(
+        `[NovaMind] Extracted ${entries.length} references using ${selector}`
+      );
+      return entries.map(parseReferenceEntry);
+    }
+  }
+
+  console.log("[NovaMind] Could not extract references from DOM");
+  return [];
+}
+
 // A fallback function to extract the main article text if the abstract is missing.
 function extractMainContent() {
   // Look for the largest block of text in common containers.
@@ -888,7 +971,10 @@ function extractMainContent() {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // Handle the "extractContent" action from the popup.
   if (request.action === "extractContent") {
-    extractPaperContent()
+    extractPaperContent({
+      mode: request.pdfMode || PDF_EXTRACTION_MODES.FULL,
+      onPage: sendPdfExtractionProgress,
+    })
       .then((paperData) => {
         sendResponse({ success: !!paperData, data: paperData });
       })
@@ -903,20 +989,109 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     const site = detectSite();
     sendResponse({ detected: !!site, site: site ? site.key : null });
     return true;
+
+    // Progress of an auto-analysis started from this page.
+  } else if (request.action === "analysisJobUpdated") {
+    if (request.job.id === autoAnalysisJobId) {
+      updateAutoAnalysisBadge(request.job);
+    }
   }
 });
 
-// Notify the popup when a supported page loads.
-window.addEventListener("load", () => {
-  const site = detectSite();
-  if (site) {
-    chrome.runtime
-      .sendMessage({
-        action: "siteDetected",
-        site: site.key,
-      })
-      .catch(() => {
-        // Ignore errors if popup is not open.
-      });
+// ID of the background job analysing this page, if auto-analyse started one.
+let autoAnalysisJobId = null;
+
+// Shows a small badge in the corner of the page while the paper is being
+// auto-analysed, with a link to the results once it is done.
+function updateAutoAnalysisBadge(job) {
+  let badge = document.getElementById("novamind-auto-analysis");
+  if (!badge) {
+    badge = document.createElement("div");
+    badge.id = "novamind-auto-analysis";
+    Object.assign(badge.style, {
+      position: "fixed",
+      bottom: "20px",
+      right: "20px",
+      display: "flex",
+      alignItems: "center",
+      gap: "10px",
+      background: "#1f2937",
+      color: "white",
+      padding: "10px 16px",
+      borderRadius: "8px",
+      fontFamily: "system-ui, sans-serif",
+      fontSize: "13px",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+      zIndex: "2147483647",
+    });
+    document.body.appendChild(badge);
   }
-});
+
+  const labels = {
+    queued: "NovaMind: waiting to analyse…",
+    running: `NovaMind: analysing… ${job.progress || 0}%`,
+    done: "NovaMind: analysis ready",
+    failed: `NovaMind: analysis failed${job.error ? ` (${job.error})` : ""}`,
+    cancelled: "NovaMind: analysis cancelled",
+  };
+  badge.textContent = labels[job.status] || labels.queued;
+
+  if (job.status === "done" && job.paperId) {
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = "View results";
+    Object.assign(link.style, { color: "#93c5fd", fontWeight: "600" });
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      chrome.runtime
+        .sendMessage({ action: "openResults", paperId: job.paperId })
+        .catch(() => {});
+    });
+    badge.appendChild(link);
+  }
+
+  if (["done", "failed", "cancelled"].includes(job.status)) {
+    const close = document.createElement("button");
+    close.textContent = "×";
+    close.title = "Dismiss";
+    Object.assign(close.style, {
+      background: "none",
+      border: "none",
+      color: "inherit",
+      fontSize: "16px",
+      cursor: "pointer",
+      padding: "0",
+    });
+    close.addEventListener("click", () => badge.remove());
+    badge.appendChild(close);
+  }
+}
+
+// Tell the background a supported page has loaded; it starts an analysis if
+// auto-analyse is on and the paper is not in the library yet.
+function notifySiteDetected() {
+  const site = detectSite();
+  if (!site) return;
+
+  chrome.runtime
+    .sendMessage({
+      action: "siteDetected",
+      site: site.key,
+    })
+    .then((response) => {
+      if (response && response.queued) {
+        autoAnalysisJobId = response.jobId;
+        updateAutoAnalysisBadge({ id: response.jobId, status: "queued" });
+      }
+    })
+    .catch(() => {
+      // The extension may have been reloaded since this page was opened.
+    });
+}
+
+// Content scripts run at document_idle, which can be after the load event.
+if (document.readyState === "complete") {
+  notifySiteDetected();
+} else {
+  window.addEventListener("load", notifySiteDetected);
+}
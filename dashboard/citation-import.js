@@ -0,0 +1,289 @@
+// Parses BibTeX and RIS reading lists and resolves each entry to a paper URL
+// NovaMind can analyse (arXiv, IEEE Xplore or another supported publisher).
+
+// DOI prefixes whose doi.org links redirect to a site with a site adapter:
+// IEEE, ACM, Springer, Elsevier (ScienceDirect) and bioRxiv/medRxiv.
+const SUPPORTED_DOI_PREFIXES = [
+  "10.1109",
+  "10.1145",
+  "10.1007",
+  "10.1016",
+  "10.1101",
+];
+
+// Delay between arXiv API title lookups, as requested by arXiv's API terms.
+const ARXIV_LOOKUP_DELAY_MS = 3000;
+
+// Parses a citation file, choosing the format from its name or contents.
+function parseCitationFile(filename, text) {
+  const isRis =
+    /\.ris$/i.test(filename) ||
+    (!/\.bib$/i.test(filename) && /^TY  - /m.test(text));
+  return isRis ? parseRIS(text) : parseBibTeX(text);
+}
+
+// Returns the index of the brace or parenthesis closing the one at `open`.
+function findClosingDelimiter(text, open) {
+  const closeChar = text[open] === "(" ? ")" : "}";
+  const openChar = text[open];
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (text[i] === openChar) {
+      depth++;
+    } else if (text[i] === closeChar && --depth === 0) {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+// Removes LaTeX braces and simple commands from a BibTeX value.
+function cleanBibTeXValue(value) {
+  return value
+    .replace(/\\[`'^"~=.uvHcdbtk]\s*\{?(\w)\}?/g, "$1")
+    .replace(/\\(?:textit|textbf|emph|url|mathrm)\s*/g, "")
+    .replace(/\\([&%$#_])/g, "$1")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Splits the inside of a BibTeX entry into lower-case field names and values.
+function parseBibTeXFields(body) {
+  const fields = {};
+  // Skip the citation key.
+  let i = body.indexOf(",") + 1;
+  if (i === 0) return fields;
+
+  while (i < body.length) {
+    const nameMatch = body.slice(i).match(/^\s*([\w-]+)\s*=\s*/);
+    if (!nameMatch) break;
+    const name = nameMatch[1].toLowerCase();
+    i += nameMatch[0].length;
+
+    let value = "";
+    if (body[i] === "{") {
+      const end = findClosingDelimiter(body, i);
+      value = body.slice(i + 1, end);
+      i = end + 1;
+    } else if (body[i] === '"') {
+      let end = i + 1;
+      let depth = 0;
+      while (end < body.length && (body[end] !== '"' || depth > 0)) {
+        if (body[end] === "{") depth++;
+        if (body[end] === "}") depth--;
+        end++;
+      }
+      value = body.slice(i + 1, end);
+      i = end + 1;
+    } else {
+      const end = body.indexOf(",", i);
+      value = body.slice(i, end === -1 ? body.length : end);
+      i = end === -1 ? body.length : end;
+    }
+
+    fields[name] = cleanBibTeXValue(value);
+    const comma = body.indexOf(",", i);
+    if (comma === -1) break;
+    i = comma + 1;
+  }
+  return fields;
+}
+
+function parseBibTeX(text) {
+  const entries = [];
+  const entryPattern = /@(\w+)\s*[{(]/g;
+  let match;
+
+  while ((match = entryPattern.exec(text)) !== null) {
+    const type = match[1].toLowerCase();
+    const open = entryPattern.lastIndex - 1;
+    const close = findClosingDelimiter(text, open);
+    entryPattern.lastIndex = close + 1;
+    if (["comment", "string", "preamble"].includes(type)) continue;
+
+    const fields = parseBibTeXFields(text.slice(open + 1, close));
+    if (!fields.title) continue;
+
+    const isArxivEprint =
+      /arxiv/i.test(fields.archiveprefix || fields.eprinttype || "") ||
+      /^\d{4}\.\d{4,5}(v\d+)?$/.test(fields.eprint || "");
+
+    entries.push({
+      title: fields.title,
+      authors: fields.author ? fields.author.split(/\s+and\s+/) : [],
+      year: fields.year ? Number(fields.year) || null : null,
+      doi: fields.doi || null,
+      arxivId: isArxivEprint ? fields.eprint : null,
+      urls: [fields.url, fields.pdf].filter(Boolean),
+      // Fields that sometimes hide an arXiv ID, e.g. "arXiv preprint arXiv:…".
+      notes: [fields.journal, fields.note, fields.howpublished, fields.volume]
+        .filter(Boolean)
+        .join(" "),
+    });
+  }
+  return entries;
+}
+
+function parseRIS(text) {
+  const entries = [];
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^([A-Z][A-Z0-9])  -\s?(.*)$/);
+    if (!match) continue;
+    const [, tag, value] = match;
+
+    if (tag === "TY") {
+      current = {
+        title: "",
+        authors: [],
+        year: null,
+        doi: null,
+        urls: [],
+        notes: "",
+      };
+    } else if (!current) {
+      continue;
+    } else if (tag === "ER") {
+      if (current.title) entries.push({ arxivId: null, ...current });
+      current = null;
+    } else if (["TI", "T1"].includes(tag)) {
+      current.title = value.trim();
+    } else if (["AU", "A1"].includes(tag)) {
+      current.authors.push(value.trim());
+    } else if (["PY", "Y1", "DA"].includes(tag) && !current.year) {
+      const year = value.match(/\d{4}/);
+      current.year = year ? Number(year[0]) : null;
+    } else if (tag === "DO") {
+      current.doi = value.trim();
+    } else if (["UR", "L1", "L2"].includes(tag)) {
+      current.urls.push(value.trim());
+    } else if (["N1", "JO", "T2", "M3"].includes(tag)) {
+      current.notes += ` ${value}`;
+    }
+  }
+  return entries;
+}
+
+// Returns an analysable URL for an entry without any network lookups, or
+// null if it only has a title.
+function resolveEntryUrl(entry) {
+  const arxivId =
+    entry.arxivId ||
+    findArxivIdInText(entry.doi) ||
+    entry.urls.map(findArxivIdInText).find(Boolean) ||
+    findArxivIdInText(entry.notes);
+  if (arxivId) {
+    return `https://arxiv.org/abs/${arxivId.replace(/v\d+$/, "")}`;
+  }
+
+  for (const url of entry.urls) {
+    const ieeeMatch = url.match(
+      /ieeexplore\.ieee\.org\/(?:abstract\/)?document\/(\d+)|arnumber=(\d+)/
+    );
+    if (ieeeMatch) {
+      return `https://ieeexplore.ieee.org/document/${
+        ieeeMatch[1] || ieeeMatch[2]
+      }`;
+    }
+  }
+
+  for (const url of entry.urls) {
+    if (findPaperSite(url)) return url;
+  }
+
+  // DOIs of supported publishers redirect to the paper's landing page.
+  const doi = (entry.doi || "").replace(/^https?:\/\/(dx\.)?doi\.org\//, "");
+  if (SUPPORTED_DOI_PREFIXES.includes(doi.split("/")[0])) {
+    return `https://doi.org/${doi}`;
+  }
+  return null;
+}
+
+function findArxivIdInText(text) {
+  if (!text) return null;
+  const match = text.match(
+    /(?:arxiv\.org\/(?:abs|pdf)\/|arxiv[.:]\s*)([a-z-]+(?:\.[a-z]{2})?\/\d{7}|\d{4}\.\d{4,5})(v\d+)?/i
+  );
+  return match ? match[1] : null;
+}
+
+function normaliseTitleForLookup(title) {
+  return (title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Searches the arXiv API for a paper with exactly this title.
+async function lookupArxivUrlByTitle(title) {
+  const query = normaliseTitleForLookup(title)
+    .split(" ")
+    .filter((word) => word.length > 2)
+    .slice(0, 12)
+    .map((word) => `ti:${word}`)
+    .join(" AND ");
+  if (!query) return null;
+
+  const response = await fetch(
+    `https://export.arxiv.org/api/query?search_query=${encodeURIComponent(
+      query
+    )}&max_results=5`
+  );
+  if (!response.ok) throw new Error(`arXiv API error: ${response.status}`);
+
+  const feed = new DOMParser().parseFromString(
+    await response.text(),
+    "application/xml"
+  );
+  const wanted = normaliseTitleForLookup(title);
+  for (const entry of feed.querySelectorAll("entry")) {
+    const entryTitle = entry.querySelector("title");
+    const id = entry.querySelector("id");
+    if (
+      entryTitle &&
+      id &&
+      normaliseTitleForLookup(entryTitle.textContent) === wanted
+    ) {
+      const arxivId = findArxivIdInText(id.textContent);
+      if (arxivId) return `https://arxiv.org/abs/${arxivId}`;
+    }
+  }
+  return null;
+}
+
+// Resolves every entry to a URL, looking titles up on arXiv when the entry
+// has no identifier. Returns { resolved: [{ entry, url }], unresolved: [] }.
+async function resolveImportEntries(entries, onProgress = () => {}) {
+  const resolved = [];
+  const unresolved = [];
+  let lookups = 0;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    let url = resolveEntryUrl(entry);
+
+    if (!url) {
+      if (lookups > 0) {
+        await new Promise((r) => setTimeout(r, ARXIV_LOOKUP_DELAY_MS));
+      }
+      lookups++;
+      try {
+        url = await lookupArxivUrlByTitle(entry.title);
+      } catch (error) {
+        console.warn("[Dashboard] arXiv title lookup failed:", error);
+      }
+    }
+
+    if (url) {
+      resolved.push({ entry, url });
+    } else {
+      unresolved.push(entry);
+    }
+    onProgress(i + 1, entries.length);
+  }
+  return { resolved, unresolved };
+}
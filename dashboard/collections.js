@@ -0,0 +1,46 @@
+// Tags and collections for organising the library. Tags are free-form labels
+// on a paper (normalised by normaliseTag in shared/library-store.js); the
+// analysis suggests some from the summary, which the user can accept.
+// Collections are named reading lists a paper can belong to any number of.
+
+function createCollectionId() {
+  return `collection-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Every tag used in the given papers with its paper count, most used first.
+function getTagCounts(papers) {
+  const counts = new Map();
+  papers.forEach((paper) =>
+    (paper.tags || []).forEach((tag) =>
+      counts.set(tag, (counts.get(tag) || 0) + 1)
+    )
+  );
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// Suggested tags the paper does not have yet.
+function getPendingTagSuggestions(paper) {
+  const tags = paper.tags || [];
+  return (paper.suggestedTags || []).filter((tag) => !tags.includes(tag));
+}
+
+// Whether a paper is in the collection (any paper when none is chosen) and
+// has every one of the tags.
+function matchesLibraryFilters(paper, collectionId, tags) {
+  if (collectionId && !(paper.collectionIds || []).includes(collectionId)) {
+    return false;
+  }
+  return [...tags].every((tag) => (paper.tags || []).includes(tag));
+}
+
+// A file name for a collection export, e.g. "thesis-ch-3".
+function getCollectionFileName(collection) {
+  return (
+    collection.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "collection"
+  );
+}
@@ -1,23 +1,73 @@
 // Dashboard state
 let allPapers = [];
 let filteredPapers = [];
-let currentSort = "recent";
+let currentSort = "relevance";
 let allHighlights = [];
+let allNotes = [];
+let searchIndex = null;
+let searchMatches = new Map(); // paper timestamp -> search result
+let selectedPaperIds = new Set();
+let analysisJobs = [];
+let doneJobIds = new Set();
+let allCollections = [];
+let activeCollectionId = null; // shown collection, or null for all papers
+let activeTags = new Set(); // papers must have every one of these tags
+
+// Labels for analysis job states
+const JOB_STATUS_LABELS = {
+  queued: "Queued",
+  running: "Running",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+// Fields that are not shown on a card, labelled for match snippets
+const SNIPPET_FIELD_LABELS = {
+  findings: "Finding",
+  methodology: "Methodology",
+  question: "Research question",
+  gaps: "Gap",
+  trajectories: "Trajectory",
+  highlights: "Highlight",
+  notes: "Note",
+};
 
 // Initialise dashboard
 async function initialiseDashboard() {
   await loadPapers();
   await loadHighlights();
+  await loadNotes();
+  await loadCollections();
+  rebuildSearchIndex();
   updateStats();
+  renderLibrarySidebar();
   renderPapers();
   setupEventListeners();
+  await updateQueueStatus();
+}
+
+// Reload papers after they change in the background
+async function refreshLibrary() {
+  await loadPapers();
+  await loadNotes();
+  await loadCollections();
+  rebuildSearchIndex();
+  updateStats();
+  renderLibrarySidebar();
+  applyFilters();
+  await updateQueueStatus();
+}
+
+// Rebuild the search index from the loaded papers, highlights and notes
+function rebuildSearchIndex() {
+  searchIndex = SearchIndex.build(allPapers, allHighlights, allNotes);
 }
 
 // Load papers from storage
 async function loadPapers() {
   try {
-    const { analyses = [] } = await chrome.storage.local.get("analyses");
-    allPapers = analyses;
+    allPapers = await libraryStore.getAllPapers();
     filteredPapers = [...allPapers];
     console.log("[Dashboard] Loaded", allPapers.length, "papers");
   } catch (error) {
@@ -29,8 +79,7 @@ async function loadPapers() {
 // Load highlights from storage
 async function loadHighlights() {
   try {
-    const { highlights = [] } = await chrome.storage.local.get("highlights");
-    allHighlights = highlights;
+    allHighlights = await libraryStore.getAllHighlights();
     console.log("[Dashboard] Loaded", allHighlights.length, "highlights");
     updateHighlightsBadge();
   } catch (error) {
@@ -38,6 +87,27 @@ async function loadHighlights() {
   }
 }
 
+// Load personal notes from storage, for search
+async function loadNotes() {
+  try {
+    allNotes = await libraryStore.getAllNotes();
+  } catch (error) {
+    console.error("[Dashboard] Failed to load notes:", error);
+  }
+}
+
+// Load collections from storage
+async function loadCollections() {
+  try {
+    allCollections = await libraryStore.getAllCollections();
+    if (!allCollections.some((c) => c.id === activeCollectionId)) {
+      activeCollectionId = null;
+    }
+  } catch (error) {
+    console.error("[Dashboard] Failed to load collections:", error);
+  }
+}
+
 //  Update highlights badge
 function updateHighlightsBadge() {
   const badge = document.getElementById("highlightsBadge");
@@ -86,7 +156,7 @@ function renderPapers() {
 
   resultsCount.textContent = `${filteredPapers.length} ${
     filteredPapers.length === 1 ? "paper" : "papers"
-  }`;
+  }${selectedPaperIds.size > 0 ? ` · ${selectedPaperIds.size} selected` : ""}`;
 
   papersGrid.innerHTML = filteredPapers
     .map((paper) => createPaperCard(paper))
@@ -98,7 +168,9 @@ function renderPapers() {
       if (
         !e.target.closest(".connection-badge") &&
         !e.target.closest(".view-details-btn") &&
-        !e.target.closest(".delete-paper-btn")
+        !e.target.closest(".delete-paper-btn") &&
+        !e.target.closest(".paper-select") &&
+        !e.target.closest(".paper-tags")
       ) {
         openResultsWindow(filteredPapers[index].timestamp);
       }
@@ -124,6 +196,18 @@ function renderPapers() {
     });
   });
 
+  document.querySelectorAll(".paper-select-checkbox").forEach((checkbox) => {
+    checkbox.addEventListener("change", (e) => {
+      const paperId = e.currentTarget.dataset.paperId;
+      if (e.currentTarget.checked) {
+        selectedPaperIds.add(paperId);
+      } else {
+        selectedPaperIds.delete(paperId);
+      }
+      renderPapers();
+    });
+  });
+
   // Add delete button handlers
   document.querySelectorAll(".delete-paper-btn").forEach((btn) => {
     btn.addEventListener("click", async (e) => {
@@ -132,6 +216,32 @@ function renderPapers() {
       await deletePaper(paperId);
     });
   });
+
+  // Tags: click one to filter by it, remove it, accept a suggestion or add one
+  document.querySelectorAll(".paper-tags").forEach((container) => {
+    const paper = allPapers.find(
+      (p) => p.timestamp === container.dataset.paperId
+    );
+
+    container.addEventListener("click", (e) => {
+      const target = e.target.closest("[data-tag], .tag-add-btn");
+      if (!target) return;
+      const tag = target.dataset.tag;
+
+      if (target.classList.contains("tag-remove-btn")) {
+        updatePaperTags(
+          paper,
+          paper.tags.filter((t) => t !== tag)
+        );
+      } else if (target.classList.contains("tag-suggestion")) {
+        updatePaperTags(paper, [...(paper.tags || []), tag]);
+      } else if (target.classList.contains("tag-add-btn")) {
+        startAddingTag(paper, target);
+      } else {
+        toggleTagFilter(tag);
+      }
+    });
+  });
 }
 
 // Helper function to open results in popup window (same as popup.js)
@@ -154,23 +264,46 @@ function createPaperCard(paper) {
   const hasConnections = paper.connections && paper.connections.length > 0;
   const timestamp = new Date(paper.timestamp);
   const timeAgo = getTimeAgo(timestamp);
+  const match = searchMatches.get(paper.timestamp);
+  const terms = match ? match.terms : [];
+  const isSelected = selectedPaperIds.has(paper.timestamp);
+  const collectionNames = allCollections
+    .filter((c) => (paper.collectionIds || []).includes(c.id))
+    .map((c) => c.name);
 
   return `
-    <div class="paper-card ${
-      hasConnections ? "has-connections" : ""
-    }" data-paper-id="${paper.timestamp}">
+    <div class="paper-card ${hasConnections ? "has-connections" : ""} ${
+    isSelected ? "selected" : ""
+  }" data-paper-id="${paper.timestamp}">
       <button class="delete-paper-btn" data-paper-id="${
         paper.timestamp
       }" title="Delete paper">
         ×
       </button>
       <div class="paper-header">
-        <h3 class="paper-title">${escapeHtml(paper.title)}</h3>
+        <label class="paper-select" title="Select to export or add to a collection">
+          <input
+            type="checkbox"
+            class="paper-select-checkbox"
+            data-paper-id="${paper.timestamp}"
+            ${isSelected ? "checked" : ""}
+          />
+        </label>
+        <h3 class="paper-title">${highlightSearchTerms(paper.title, terms)}</h3>
       </div>
-      <p class="paper-summary">${escapeHtml(paper.summary)}</p>
+      <p class="paper-summary">${highlightSearchTerms(paper.summary, terms)}</p>
+      ${match ? createMatchSnippet(match) : ""}
+      ${createPaperTags(paper)}
       <div class="paper-meta">
         <span class="meta-tag">${timeAgo}</span>
         <span class="meta-tag">${paper.keyFindings.length} findings</span>
+        ${
+          collectionNames.length > 0
+            ? `<span class="meta-tag" title="Collections">In ${escapeHtml(
+                collectionNames.join(", ")
+              )}</span>`
+            : ""
+        }
       </div>
       <div class="paper-actions">
         ${
@@ -192,6 +325,77 @@ function createPaperCard(paper) {
   `;
 }
 
+// Tag chips for a card: the paper's tags, then suggestions not yet accepted
+function createPaperTags(paper) {
+  const tags = paper.tags || [];
+  const suggestions = getPendingTagSuggestions(paper);
+
+  return `
+    <div class="paper-tags" data-paper-id="${paper.timestamp}">
+      ${tags
+        .map(
+          (tag) => `
+        <span class="tag-chip ${
+          activeTags.has(tag) ? "active" : ""
+        }" data-tag="${escapeHtml(tag)}" title="Show papers tagged ${escapeHtml(
+            tag
+          )}">
+          ${escapeHtml(tag)}
+          <button class="tag-remove-btn" data-tag="${escapeHtml(
+            tag
+          )}" title="Remove tag">×</button>
+        </span>
+      `
+        )
+        .join("")}
+      ${suggestions
+        .map(
+          (tag) => `
+        <button class="tag-suggestion" data-tag="${escapeHtml(
+          tag
+        )}" title="Suggested from the summary. Click to add">+ ${escapeHtml(
+            tag
+          )}</button>
+      `
+        )
+        .join("")}
+      <button class="tag-add-btn" title="Add a tag">+ Tag</button>
+    </div>
+  `;
+}
+
+// Escape text and wrap words matching the search terms in <mark>
+function highlightSearchTerms(text, terms) {
+  if (!terms || terms.length === 0) return escapeHtml(text);
+
+  return (text || "")
+    .split(/([A-Za-z0-9]+)/)
+    .map((part, i) => {
+      // Odd indices are the captured words
+      if (i % 2 === 1 && terms.includes(stemTerm(part.toLowerCase()))) {
+        return `<mark class="search-match">${escapeHtml(part)}</mark>`;
+      }
+      return escapeHtml(part);
+    })
+    .join("");
+}
+
+// Show where a result matched when it is not in the title or summary
+function createMatchSnippet(match) {
+  const field = match.fields.find((f) => SNIPPET_FIELD_LABELS[f]);
+  if (!field) return "";
+
+  const snippet = searchIndex.getSnippet(match.id, field, match.terms);
+  if (!snippet) return "";
+
+  return `
+    <p class="paper-match-snippet">
+      <span class="match-field">${SNIPPET_FIELD_LABELS[field]}:</span>
+      ${highlightSearchTerms(snippet, match.terms)}
+    </p>
+  `;
+}
+
 // NEW: Delete a paper
 async function deletePaper(paperId) {
   const paper = allPapers.find((p) => p.timestamp === paperId);
@@ -204,25 +408,13 @@ async function deletePaper(paperId) {
   if (!confirmed) return;
 
   try {
-    const { analyses = [] } = await chrome.storage.local.get("analyses");
-
-    // Remove the paper
-    const updatedAnalyses = analyses.filter((a) => a.timestamp !== paperId);
-
-    // Remove connections to this paper from other papers
-    updatedAnalyses.forEach((analysis) => {
-      if (analysis.connections && analysis.connections.length > 0) {
-        analysis.connections = analysis.connections.filter(
-          (conn) => conn.paperId !== paperId
-        );
-      }
-    });
-
-    // Save updated analyses
-    await chrome.storage.local.set({ analyses: updatedAnalyses });
+    // Removes the paper and all connections to and from it
+    await libraryStore.deletePaper(paperId);
+    selectedPaperIds.delete(paperId);
 
     // Reload and re-render
     await loadPapers();
+    rebuildSearchIndex();
     updateStats();
     applyFilters(); // This will re-render with current filters
 
@@ -235,11 +427,8 @@ async function deletePaper(paperId) {
 
 // Get site name from URL
 function getSiteName(url) {
-  if (url.includes("arxiv.org")) return "arXiv";
-
-  if (url.includes("ieee")) return "IEEE";
-
-  return "Unknown";
+  const site = findPaperSite(url);
+  return site ? site.key : "Unknown";
 }
 
 // Get time ago string
@@ -329,9 +518,11 @@ function openConnectionModal(paper) {
     return;
   }
 
-  // Sort connections by when they were detected (newest first)
+  // Strongest connections first, then newest
   const sortedConnections = [...paper.connections].sort(
-    (a, b) => new Date(b.detectedAt) - new Date(a.detectedAt)
+    (a, b) =>
+      (b.strength || 0) - (a.strength || 0) ||
+      new Date(b.detectedAt) - new Date(a.detectedAt)
   );
 
   modalBody.innerHTML = `
@@ -342,7 +533,13 @@ function openConnectionModal(paper) {
         <div class="connection-item clickable-connection" data-paper-id="${
           conn.paperId
         }">
-          <h4 class="connection-item-title">${escapeHtml(conn.paperTitle)}</h4>
+          <h4 class="connection-item-title">${escapeHtml(conn.paperTitle)}${
+            conn.type
+              ? ` <span class="connection-type">${escapeHtml(conn.type)}${
+                  conn.strength ? ` · ${conn.strength}/10` : ""
+                }</span>`
+              : ""
+          }</h4>
           <p class="connection-description">${markdownToHtml(
             conn.description
           )}</p>
@@ -498,6 +695,7 @@ function openHighlightsModal(paperUrl) {
 
       // Reload and re-render
       await loadHighlights();
+      rebuildSearchIndex();
       renderHighlightsPanel();
 
       // If no more highlights for this paper, close modal
@@ -519,9 +717,7 @@ function openHighlightsModal(paperUrl) {
 // NEW: Delete a highlight
 async function deleteHighlight(highlightId) {
   try {
-    const { highlights = [] } = await chrome.storage.local.get("highlights");
-    const updatedHighlights = highlights.filter((h) => h.id !== highlightId);
-    await chrome.storage.local.set({ highlights: updatedHighlights });
+    await libraryStore.deleteHighlight(highlightId);
     showNotification("Highlight deleted", "success");
   } catch (error) {
     console.error("[Dashboard] Failed to delete highlight:", error);
@@ -577,6 +773,133 @@ function setupEventListeners() {
     .getElementById("connectionFilter")
     .addEventListener("change", applyFilters);
 
+  // Collections
+  document
+    .getElementById("newCollectionBtn")
+    .addEventListener("click", () => createCollection());
+  document
+    .getElementById("renameCollectionBtn")
+    .addEventListener("click", renameActiveCollection);
+  document
+    .getElementById("exportCollectionBtn")
+    .addEventListener("click", exportActiveCollection);
+  document
+    .getElementById("deleteCollectionBtn")
+    .addEventListener("click", deleteActiveCollection);
+  document
+    .getElementById("collectionActionSelect")
+    .addEventListener("change", (e) => {
+      if (e.target.value) applyCollectionAction(e.target.value);
+      e.target.value = "";
+    });
+
+  // Tag filters
+  document.getElementById("clearTagFilterBtn").addEventListener("click", () => {
+    activeTags.clear();
+    renderLibrarySidebar();
+    applyFilters();
+  });
+
+  // Citation export
+  document
+    .getElementById("citationExportSelect")
+    .addEventListener("change", (e) => {
+      if (e.target.value) exportCitations(e.target.value);
+      e.target.value = "";
+    });
+
+  // Backup and restore
+  document
+    .getElementById("backupBtn")
+    .addEventListener("click", downloadBackup);
+
+  const restoreFileInput = document.getElementById("restoreFileInput");
+  document.getElementById("restoreBtn").addEventListener("click", () => {
+    restoreFileInput.click();
+  });
+  restoreFileInput.addEventListener("change", async () => {
+    const [file] = restoreFileInput.files;
+    restoreFileInput.value = "";
+    if (file) await restoreBackupFile(file);
+  });
+
+  // Citation import
+  const importFileInput = document.getElementById("importFileInput");
+  document.getElementById("importBtn").addEventListener("click", () => {
+    importFileInput.click();
+  });
+  importFileInput.addEventListener("change", async () => {
+    const [file] = importFileInput.files;
+    importFileInput.value = "";
+    if (file) await importCitationFile(file);
+  });
+
+  // Local PDF files, picked or dropped anywhere on the page
+  const pdfFileInput = document.getElementById("pdfFileInput");
+  document.getElementById("addPdfBtn").addEventListener("click", () => {
+    pdfFileInput.click();
+  });
+  pdfFileInput.addEventListener("change", async () => {
+    const files = [...pdfFileInput.files];
+    pdfFileInput.value = "";
+    if (files.length > 0) await analyseLocalPdfFiles(files);
+  });
+
+  const pdfDropOverlay = document.getElementById("pdfDropOverlay");
+  const isFileDrag = (e) => e.dataTransfer.types.includes("Files");
+  document.addEventListener("dragover", (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    pdfDropOverlay.classList.add("active");
+  });
+  document.addEventListener("dragleave", (e) => {
+    // relatedTarget is null once the drag leaves the window.
+    if (!e.relatedTarget) pdfDropOverlay.classList.remove("active");
+  });
+  document.addEventListener("drop", async (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    pdfDropOverlay.classList.remove("active");
+    await analyseLocalPdfFiles([...e.dataTransfer.files]);
+  });
+
+  // Analysis queue
+  document.getElementById("queueStatus").addEventListener("click", () => {
+    renderQueueModal();
+    document.getElementById("queueModal").classList.add("active");
+  });
+
+  document
+    .getElementById("clearFinishedJobsBtn")
+    .addEventListener("click", () => {
+      chrome.runtime.sendMessage({ action: "clearFinishedJobs" });
+    });
+
+  // Follow job updates, refreshing the library when a paper finishes
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === "analysisQueueUpdated") {
+      const hadNewResults = setAnalysisJobs(request.jobs || []);
+      if (hadNewResults) refreshLibrary();
+    } else if (request.action === "notesUpdated") {
+      // Notes edited on a results page
+      loadNotes().then(() => {
+        rebuildSearchIndex();
+        applyFilters();
+      });
+    }
+  });
+
+  // Connection graph
+  document.getElementById("graphBtn").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("graph/graph.html") });
+  });
+
+  // Duplicate papers
+  document.getElementById("duplicatesBtn").addEventListener("click", () => {
+    renderDuplicatesModal();
+    document.getElementById("duplicatesModal").classList.add("active");
+  });
+
   // Highlights button
   document.getElementById("highlightsBtn").addEventListener("click", () => {
     toggleHighlightsPanel();
@@ -611,26 +934,23 @@ function setupEventListeners() {
 
 // Apply filters and search
 function applyFilters() {
-  const searchQuery = document
-    .getElementById("searchInput")
-    .value.toLowerCase()
-    .trim();
+  // Untrimmed, so the search knows whether the last word is finished
+  const searchText = document.getElementById("searchInput").value;
   const connectionFilter = document.getElementById("connectionFilter").value;
 
   // Start with all papers
   filteredPapers = [...allPapers];
-
-  // Apply search
-  if (searchQuery) {
-    filteredPapers = filteredPapers.filter((paper) => {
-      return (
-        paper.title.toLowerCase().includes(searchQuery) ||
-        paper.summary.toLowerCase().includes(searchQuery) ||
-        paper.methodology.toLowerCase().includes(searchQuery) ||
-        paper.keyFindings.some((f) => f.toLowerCase().includes(searchQuery)) ||
-        paper.researchGaps.some((g) => g.toLowerCase().includes(searchQuery))
-      );
-    });
+  searchMatches = new Map();
+
+  // Apply search, keeping results in ranked order. Queries with nothing to
+  // search for (e.g. only stop words) leave every paper listed.
+  const results = searchIndex ? searchIndex.search(searchText) : null;
+  const isSearching = results !== null;
+  if (isSearching) {
+    results.forEach((result) => searchMatches.set(result.id, result));
+    filteredPapers = results
+      .map((result) => allPapers.find((p) => p.timestamp === result.id))
+      .filter(Boolean);
   }
 
   // Apply connection filter
@@ -644,8 +964,21 @@ function applyFilters() {
     );
   }
 
+  // Apply collection and tag filters
+  filteredPapers = filteredPapers.filter((paper) =>
+    matchesLibraryFilters(paper, activeCollectionId, activeTags)
+  );
+
   // Apply sorting
   switch (currentSort) {
+    case "relevance":
+      // Search results are already ranked; otherwise show most recent
+      if (!isSearching) {
+        filteredPapers.sort(
+          (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
+        );
+      }
+      break;
     case "recent":
       filteredPapers.sort(
         (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
@@ -668,6 +1001,806 @@ function applyFilters() {
   renderPapers();
 }
 
+// Download the whole library as a JSON backup
+async function downloadBackup() {
+  try {
+    const backup = await createLibraryBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `novamind-backup-${backup.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    showNotification(
+      `Backed up ${backup.papers.length} papers and ${backup.highlights.length} highlights`,
+      "success"
+    );
+  } catch (error) {
+    console.error("[Dashboard] Failed to create backup:", error);
+    showNotification("Failed to create backup", "error");
+  }
+}
+
+// Restore a backup file chosen by the user, merging it into the library
+async function restoreBackupFile(file) {
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch (error) {
+    showNotification("The file is not valid JSON", "error");
+    return;
+  }
+
+  const errors = validateLibraryBackup(backup);
+  if (errors.length > 0) {
+    renderRestoreReport(null, errors);
+    return;
+  }
+
+  try {
+    const report = await restoreLibraryBackup(backup);
+
+    await loadPapers();
+    await loadHighlights();
+    await loadCollections();
+    rebuildSearchIndex();
+    updateStats();
+    renderLibrarySidebar();
+    applyFilters();
+
+    renderRestoreReport(report, []);
+  } catch (error) {
+    console.error("[Dashboard] Failed to restore backup:", error);
+    showNotification("Failed to restore backup", "error");
+  }
+}
+
+// Show a report in the shared report modal
+function showReportModal(title, html) {
+  document.getElementById("reportModalTitle").textContent = title;
+  document.getElementById("reportModalBody").innerHTML = html;
+  document.getElementById("reportModal").classList.add("active");
+}
+
+// Show the outcome of a restore, or why the file was rejected
+function renderRestoreReport(report, errors) {
+  let html;
+
+  if (errors.length > 0) {
+    html = `
+      <p><strong>The backup could not be restored.</strong> Nothing was changed.</p>
+      <ul>${errors.map((e) => `<li>${escapeHtml(e)}</li>`).join("")}</ul>
+    `;
+  } else {
+    const { added, unchanged, conflicts, settingsRestored } = report;
+    html = `
+      <ul>
+        <li><strong>${added.papers}</strong> papers added</li>
+        <li><strong>${added.connections}</strong> connections added</li>
+        <li><strong>${added.highlights}</strong> highlights added</li>
+        <li><strong>${added.notes}</strong> notes added</li>
+        <li><strong>${added.collections}</strong> collections added</li>
+        <li><strong>${unchanged}</strong> items already in your library</li>
+        ${settingsRestored ? "<li>Settings restored</li>" : ""}
+      </ul>
+      ${
+        conflicts.length > 0
+          ? `
+        <p><strong>${conflicts.length} ${
+              conflicts.length === 1 ? "conflict" : "conflicts"
+            }</strong> — your library was left unchanged for these:</p>
+        <ul>
+          ${conflicts
+            .map(
+              (c) =>
+                `<li><strong>${c.kind}:</strong> ${escapeHtml(
+                  c.title || ""
+                )} — ${escapeHtml(c.reason)}</li>`
+            )
+            .join("")}
+        </ul>
+      `
+          : "<p>No conflicts.</p>"
+      }
+    `;
+  }
+
+  showReportModal("Restore Report", html);
+}
+
+// Parse a BibTeX/RIS file, resolve its entries and queue them for analysis
+async function importCitationFile(file) {
+  const entries = parseCitationFile(file.name, await file.text());
+  if (entries.length === 0) {
+    showNotification("No entries found in the file", "warning");
+    return;
+  }
+
+  const importBtn = document.getElementById("importBtn");
+  const idleButtonHtml = importBtn.innerHTML;
+  importBtn.disabled = true;
+
+  try {
+    const { resolved, unresolved } = await resolveImportEntries(
+      entries,
+      (done, total) => {
+        importBtn.innerHTML = `<span>Resolving ${done}/${total}...</span>`;
+      }
+    );
+
+    let response = { queued: 0, skipped: 0 };
+    if (resolved.length > 0) {
+      response = await chrome.runtime.sendMessage({
+        action: "queueAnalyses",
+        source: "import",
+        items: resolved.map(({ entry, url }) => ({ url, title: entry.title })),
+      });
+      if (!response.success) {
+        throw new Error(response.error || "Failed to queue papers");
+      }
+    }
+
+    showReportModal(
+      "Import Report",
+      `
+      <ul>
+        <li><strong>${entries.length}</strong> entries read from ${escapeHtml(
+        file.name
+      )}</li>
+        <li><strong>${response.queued}</strong> papers queued for analysis</li>
+        <li><strong>${
+          response.skipped
+        }</strong> already in your library or queue</li>
+        <li><strong>${
+          unresolved.length
+        }</strong> could not be matched to a page on a supported site</li>
+      </ul>
+      ${
+        unresolved.length > 0
+          ? `
+        <p><strong>Not imported:</strong></p>
+        <ul>${unresolved
+          .map((entry) => `<li>${escapeHtml(entry.title)}</li>`)
+          .join("")}</ul>
+      `
+          : ""
+      }
+    `
+    );
+    await updateQueueStatus();
+  } catch (error) {
+    console.error("[Dashboard] Failed to import citations:", error);
+    showNotification("Failed to import citation file", "error");
+  } finally {
+    importBtn.disabled = false;
+    importBtn.innerHTML = idleButtonHtml;
+  }
+}
+
+// Extract local PDF files and queue them for analysis
+async function analyseLocalPdfFiles(files) {
+  const pdfs = files.filter(isPdfFile);
+  if (pdfs.length === 0) {
+    showNotification("Only PDF files can be analysed", "warning");
+    return;
+  }
+
+  const addPdfBtn = document.getElementById("addPdfBtn");
+  const idleButtonHtml = addPdfBtn.innerHTML;
+  addPdfBtn.disabled = true;
+
+  try {
+    const items = [];
+    const failed = [];
+    for (let i = 0; i < pdfs.length; i++) {
+      const file = pdfs[i];
+      try {
+        const paperData = await readLocalPdf(
+          file,
+          ({ pageNumber, numPages }) => {
+            addPdfBtn.innerHTML = `<span>Reading ${i + 1}/${
+              pdfs.length
+            } · page ${pageNumber}/${numPages}</span>`;
+          }
+        );
+        items.push({ url: paperData.url, title: paperData.title, paperData });
+      } catch (error) {
+        console.error("[Dashboard] Failed to read PDF:", file.name, error);
+        failed.push(file.name);
+      }
+    }
+
+    let response = { queued: 0, skipped: 0 };
+    if (items.length > 0) {
+      response = await chrome.runtime.sendMessage({
+        action: "queueAnalyses",
+        source: "local",
+        items,
+      });
+      if (!response.success) {
+        throw new Error(response.error || "Failed to queue papers");
+      }
+    }
+
+    const messages = [];
+    if (response.queued > 0) {
+      messages.push(`Queued ${response.queued} PDF(s) for analysis`);
+    }
+    if (response.skipped > 0) {
+      messages.push(`${response.skipped} already in your library or queue`);
+    }
+    if (failed.length > 0) {
+      messages.push(`Could not read ${failed.join(", ")}`);
+    }
+    let type = response.queued > 0 ? "success" : "info";
+    if (failed.length > 0) type = "error";
+    showNotification(messages.join(". "), type);
+    await updateQueueStatus();
+  } catch (error) {
+    console.error("[Dashboard] Failed to analyse local PDFs:", error);
+    showNotification("Failed to queue PDF files", "error");
+  } finally {
+    addPdfBtn.disabled = false;
+    addPdfBtn.innerHTML = idleButtonHtml;
+  }
+}
+
+// Load the analysis queue from storage and update its views
+async function updateQueueStatus() {
+  const { analysisQueue = [] } = await chrome.storage.local.get(
+    "analysisQueue"
+  );
+  setAnalysisJobs(analysisQueue);
+}
+
+// Store the latest job list and re-render the queue button and modal.
+// Returns true if any job finished since the last update.
+function setAnalysisJobs(jobs) {
+  const nowDone = jobs.filter((j) => j.status === "done").map((j) => j.id);
+  const hadNewResults = nowDone.some((id) => !doneJobIds.has(id));
+  analysisJobs = jobs;
+  doneJobIds = new Set(nowDone);
+
+  const queueStatus = document.getElementById("queueStatus");
+  const countByStatus = (status) =>
+    jobs.filter((j) => j.status === status).length;
+  const pending = countByStatus("queued") + countByStatus("running");
+  const failed = countByStatus("failed");
+
+  if (jobs.length === 0) {
+    queueStatus.style.display = "none";
+  } else {
+    queueStatus.style.display = "inline-block";
+    queueStatus.textContent =
+      [
+        pending > 0 ? `Analysing ${pending} queued` : "",
+        failed > 0 ? `${failed} failed` : "",
+      ]
+        .filter(Boolean)
+        .join(" · ") || "Queue";
+  }
+
+  if (document.getElementById("queueModal").classList.contains("active")) {
+    renderQueueModal();
+  }
+  return hadNewResults;
+}
+
+// Render the job list with cancel, retry and view actions
+function renderQueueModal() {
+  const body = document.getElementById("queueModalBody");
+
+  if (analysisJobs.length === 0) {
+    body.innerHTML = '<p class="empty-message">The queue is empty.</p>';
+    return;
+  }
+
+  body.innerHTML = [...analysisJobs]
+    .reverse()
+    .map(
+      (job) => `
+      <div class="job-item">
+        <div class="job-info">
+          <div class="job-title">${escapeHtml(job.title)}</div>
+          <div class="job-meta">
+            <span class="job-status ${job.status}">${
+        JOB_STATUS_LABELS[job.status] || job.status
+      }${job.status === "running" ? ` · ${job.progress || 0}%` : ""}</span>
+            <span>${getTimeAgo(new Date(job.addedAt))}</span>
+            ${
+              job.error
+                ? `<span class="job-error">${escapeHtml(job.error)}</span>`
+                : ""
+            }
+          </div>
+        </div>
+        <div class="job-actions">
+          ${
+            ["queued", "running"].includes(job.status)
+              ? `<button class="job-action-btn" data-action="cancel" data-job-id="${
+                  job.id
+                }" ${job.cancelRequested ? "disabled" : ""}>${
+                  job.cancelRequested ? "Cancelling..." : "Cancel"
+                }</button>`
+              : ""
+          }
+          ${
+            ["failed", "cancelled"].includes(job.status)
+              ? `<button class="job-action-btn" data-action="retry" data-job-id="${job.id}">Retry</button>`
+              : ""
+          }
+          ${
+            job.status === "done" && job.paperId
+              ? `<button class="job-action-btn" data-action="view" data-paper-id="${job.paperId}">View</button>`
+              : ""
+          }
+        </div>
+      </div>
+    `
+    )
+    .join("");
+
+  body.querySelectorAll(".job-action-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const { action, jobId, paperId } = btn.dataset;
+      if (action === "cancel") {
+        chrome.runtime.sendMessage({ action: "cancelAnalysisJob", jobId });
+      } else if (action === "retry") {
+        chrome.runtime.sendMessage({ action: "retryAnalysisJob", jobId });
+      } else if (action === "view") {
+        openResultsWindow(paperId);
+      }
+    });
+  });
+}
+
+// Group papers that are the same paper saved under different URLs. IDs are
+// recomputed, so papers saved before URLs were normalised are found too.
+function findDuplicateGroups(papers) {
+  const groups = new Map();
+  for (const paper of papers) {
+    const paperId = getCanonicalPaperId(paper);
+    if (!groups.has(paperId)) groups.set(paperId, []);
+    groups.get(paperId).push(paper);
+  }
+  return [...groups.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([paperId, group]) => ({ paperId, papers: group }));
+}
+
+function renderDuplicatesModal() {
+  const body = document.getElementById("duplicatesModalBody");
+  const groups = findDuplicateGroups(allPapers);
+
+  if (groups.length === 0) {
+    body.innerHTML = '<p class="empty-message">No duplicate papers found.</p>';
+    return;
+  }
+
+  body.innerHTML = `
+    <p class="duplicates-intro">
+      Each group is one paper saved from several URLs. Merging keeps the
+      selected copy; the other analyses become its earlier revisions, and
+      their connections, notes and highlights move to it.
+    </p>
+    ${groups
+      .map(
+        (group, groupIndex) => `
+      <div class="duplicate-group">
+        <div class="duplicate-group-header">
+          <span class="duplicate-id">${escapeHtml(group.paperId)}</span>
+          <button class="job-action-btn" data-group="${groupIndex}">Merge</button>
+        </div>
+        ${group.papers
+          .map(
+            (paper, paperIndex) => `
+          <label class="duplicate-item">
+            <input
+              type="radio"
+              name="keep-${groupIndex}"
+              value="${paper.timestamp}"
+              ${paperIndex === 0 ? "checked" : ""}
+            />
+            <div class="job-info">
+              <div class="job-title">${escapeHtml(paper.title)}</div>
+              <div class="job-meta">
+                <span>${escapeHtml(
+                  paper.localFile ? paper.localFile.name : paper.url
+                )}</span>
+                <span>${getTimeAgo(new Date(paper.timestamp))}</span>
+                <span>${(paper.connections || []).length} connections</span>
+              </div>
+            </div>
+          </label>
+        `
+          )
+          .join("")}
+      </div>
+    `
+      )
+      .join("")}
+  `;
+
+  body.querySelectorAll("[data-group]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const group = groups[btn.dataset.group];
+      const keepId = body.querySelector(
+        `input[name="keep-${btn.dataset.group}"]:checked`
+      ).value;
+      btn.disabled = true;
+      await mergeDuplicates(
+        keepId,
+        group.papers
+          .map((paper) => paper.timestamp)
+          .filter((id) => id !== keepId)
+      );
+    });
+  });
+}
+
+// Merge duplicate copies into the kept paper and refresh the library
+async function mergeDuplicates(keepId, duplicateIds) {
+  try {
+    await libraryStore.mergePapers(keepId, duplicateIds);
+    duplicateIds.forEach((id) => selectedPaperIds.delete(id));
+    await loadHighlights();
+    await refreshLibrary();
+    renderDuplicatesModal();
+    showNotification(
+      `Merged ${duplicateIds.length} duplicate ${
+        duplicateIds.length === 1 ? "copy" : "copies"
+      }`,
+      "success"
+    );
+  } catch (error) {
+    console.error("[Dashboard] Failed to merge duplicates:", error);
+    showNotification("Failed to merge duplicates", "error");
+  }
+}
+
+// Export selected papers (or every shown paper) as a citation file
+function exportCitations(formatKey) {
+  const papers =
+    selectedPaperIds.size > 0
+      ? allPapers.filter((p) => selectedPaperIds.has(p.timestamp))
+      : filteredPapers;
+
+  if (papers.length === 0) {
+    showNotification("No papers to export", "warning");
+    return;
+  }
+
+  try {
+    downloadCitations(papers, formatKey);
+    showNotification(
+      `Exported ${papers.length} ${
+        papers.length === 1 ? "paper" : "papers"
+      } as ${CITATION_FORMATS[formatKey].label}`,
+      "success"
+    );
+  } catch (error) {
+    console.error("[Dashboard] Failed to export citations:", error);
+    showNotification("Failed to export citations", "error");
+  }
+}
+
+// Render the collections and tags in the sidebar, with paper counts
+function renderLibrarySidebar() {
+  const activeCollection = allCollections.find(
+    (c) => c.id === activeCollectionId
+  );
+  document.getElementById("papersHeading").textContent = activeCollection
+    ? activeCollection.name
+    : "Research Papers";
+
+  const collectionList = document.getElementById("collectionList");
+  const countIn = (collectionId) =>
+    allPapers.filter((p) => (p.collectionIds || []).includes(collectionId))
+      .length;
+
+  collectionList.innerHTML = [
+    { id: "", name: "All papers", count: allPapers.length },
+    ...allCollections.map((c) => ({ ...c, count: countIn(c.id) })),
+  ]
+    .map(
+      (collection) => `
+      <li>
+        <button class="sidebar-item ${
+          (activeCollectionId || "") === collection.id ? "active" : ""
+        }" data-collection-id="${collection.id}">
+          <span class="sidebar-item-label">${escapeHtml(collection.name)}</span>
+          <span class="sidebar-item-count">${collection.count}</span>
+        </button>
+      </li>
+    `
+    )
+    .join("");
+  collectionList.querySelectorAll(".sidebar-item").forEach((item) => {
+    item.addEventListener("click", () =>
+      selectCollection(item.dataset.collectionId || null)
+    );
+  });
+  document.getElementById("collectionActions").hidden = !activeCollection;
+
+  // Tags no paper has any more stop filtering
+  const tagCounts = getTagCounts(allPapers);
+  activeTags = new Set(
+    [...activeTags].filter((tag) => tagCounts.some((t) => t.tag === tag))
+  );
+
+  const tagList = document.getElementById("tagList");
+  tagList.innerHTML =
+    tagCounts.length === 0
+      ? '<li class="sidebar-empty">Tag papers from their cards to filter by topic</li>'
+      : tagCounts
+          .map(
+            ({ tag, count }) => `
+        <li>
+          <button class="sidebar-item ${
+            activeTags.has(tag) ? "active" : ""
+          }" data-tag="${escapeHtml(tag)}">
+            <span class="sidebar-item-label">${escapeHtml(tag)}</span>
+            <span class="sidebar-item-count">${count}</span>
+          </button>
+        </li>
+      `
+          )
+          .join("");
+  tagList.querySelectorAll(".sidebar-item").forEach((item) => {
+    item.addEventListener("click", () => toggleTagFilter(item.dataset.tag));
+  });
+  document.getElementById("clearTagFilterBtn").hidden = activeTags.size === 0;
+
+  document.getElementById("tagOptions").innerHTML = tagCounts
+    .map(({ tag }) => `<option value="${escapeHtml(tag)}"></option>`)
+    .join("");
+
+  renderCollectionActionSelect(activeCollection);
+}
+
+// Fill the "Add to collection" menu for the selected papers
+function renderCollectionActionSelect(activeCollection) {
+  const select = document.getElementById("collectionActionSelect");
+
+  select.innerHTML = `
+    <option value="">Add to collection...</option>
+    ${allCollections
+      .map((c) => `<option value="add:${c.id}">${escapeHtml(c.name)}</option>`)
+      .join("")}
+    <option value="new">New collection...</option>
+    ${
+      activeCollection
+        ? `<option value="remove:${
+            activeCollection.id
+          }">Remove from ${escapeHtml(activeCollection.name)}</option>`
+        : ""
+    }
+  `;
+}
+
+function selectCollection(collectionId) {
+  activeCollectionId = collectionId;
+  renderLibrarySidebar();
+  applyFilters();
+}
+
+function toggleTagFilter(tag) {
+  if (activeTags.has(tag)) {
+    activeTags.delete(tag);
+  } else {
+    activeTags.add(tag);
+  }
+  renderLibrarySidebar();
+  applyFilters();
+}
+
+// Ask for a collection name, rejecting names already in use. Returns null
+// if cancelled.
+function promptCollectionName(message, currentName = "") {
+  const name = (prompt(message, currentName) || "").trim();
+  if (!name) return null;
+
+  const taken = allCollections.some(
+    (c) =>
+      c.name.toLowerCase() === name.toLowerCase() &&
+      c.name.toLowerCase() !== currentName.toLowerCase()
+  );
+  if (taken) {
+    showNotification(
+      `There is already a collection named "${name}"`,
+      "warning"
+    );
+    return null;
+  }
+  return name;
+}
+
+// Create a collection, optionally holding the given papers
+async function createCollection(paperIds = []) {
+  const name = promptCollectionName(
+    'Name the new collection, e.g. "Thesis ch.3" or "Reading group week 4":'
+  );
+  if (!name) return;
+
+  try {
+    const collection = {
+      id: createCollectionId(),
+      name,
+      createdAt: new Date().toISOString(),
+    };
+    await libraryStore.saveCollection(collection);
+    if (paperIds.length > 0) {
+      await libraryStore.setCollectionMembership(collection.id, paperIds);
+    }
+    await refreshLibrary();
+    showNotification(`Created collection "${name}"`, "success");
+  } catch (error) {
+    console.error("[Dashboard] Failed to create collection:", error);
+    showNotification("Failed to create collection", "error");
+  }
+}
+
+async function renameActiveCollection() {
+  const collection = allCollections.find((c) => c.id === activeCollectionId);
+  if (!collection) return;
+  const name = promptCollectionName("Rename the collection:", collection.name);
+  if (!name || name === collection.name) return;
+
+  try {
+    await libraryStore.saveCollection({ ...collection, name });
+    await loadCollections();
+    renderLibrarySidebar();
+    applyFilters();
+  } catch (error) {
+    console.error("[Dashboard] Failed to rename collection:", error);
+    showNotification("Failed to rename collection", "error");
+  }
+}
+
+async function deleteActiveCollection() {
+  const collection = allCollections.find((c) => c.id === activeCollectionId);
+  if (!collection) return;
+  if (
+    !confirm(
+      `Delete the collection "${collection.name}"?\n\nIts papers stay in your library.`
+    )
+  ) {
+    return;
+  }
+
+  try {
+    await libraryStore.deleteCollection(collection.id);
+    activeCollectionId = null;
+    await refreshLibrary();
+    showNotification(`Deleted collection "${collection.name}"`, "success");
+  } catch (error) {
+    console.error("[Dashboard] Failed to delete collection:", error);
+    showNotification("Failed to delete collection", "error");
+  }
+}
+
+// Download the shown collection as a backup file others can restore
+async function exportActiveCollection() {
+  const collection = allCollections.find((c) => c.id === activeCollectionId);
+  if (!collection) return;
+
+  try {
+    const backup = await createCollectionBackup(collection.id);
+    const blob = new Blob([JSON.stringify(backup, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `novamind-${getCollectionFileName(
+      collection
+    )}-${backup.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    showNotification(
+      `Exported ${backup.papers.length} ${
+        backup.papers.length === 1 ? "paper" : "papers"
+      } from "${collection.name}"`,
+      "success"
+    );
+  } catch (error) {
+    console.error("[Dashboard] Failed to export collection:", error);
+    showNotification("Failed to export collection", "error");
+  }
+}
+
+// Add the selected papers to a collection (or a new one), or remove them
+// from the shown collection
+async function applyCollectionAction(action) {
+  const paperIds = [...selectedPaperIds];
+  if (paperIds.length === 0) {
+    showNotification("Select papers first", "warning");
+    return;
+  }
+  if (action === "new") {
+    await createCollection(paperIds);
+    return;
+  }
+
+  const [kind, collectionId] = action.split(":");
+  const collection = allCollections.find((c) => c.id === collectionId);
+  if (!collection) return;
+
+  try {
+    await libraryStore.setCollectionMembership(
+      collectionId,
+      paperIds,
+      kind === "remove"
+    );
+    await refreshLibrary();
+    const papersLabel = `${paperIds.length} ${
+      paperIds.length === 1 ? "paper" : "papers"
+    }`;
+    showNotification(
+      kind === "remove"
+        ? `Removed ${papersLabel} from "${collection.name}"`
+        : `Added ${papersLabel} to "${collection.name}"`,
+      "success"
+    );
+  } catch (error) {
+    console.error("[Dashboard] Failed to update collection:", error);
+    showNotification("Failed to update collection", "error");
+  }
+}
+
+// Save a paper's tags and update the views that show them
+async function updatePaperTags(paper, tags) {
+  const normalised = [...new Set(tags.map(normaliseTag).filter(Boolean))];
+  try {
+    await libraryStore.setPaperTags(paper.timestamp, normalised);
+    paper.tags = normalised;
+    rebuildSearchIndex();
+    renderLibrarySidebar();
+    applyFilters();
+  } catch (error) {
+    console.error("[Dashboard] Failed to save tags:", error);
+    showNotification("Failed to save tags", "error");
+  }
+}
+
+// Replace a card's "+ Tag" button with an input; Enter adds the tag
+function startAddingTag(paper, button) {
+  const input = document.createElement("input");
+  input.className = "tag-input";
+  input.setAttribute("list", "tagOptions");
+  input.placeholder = "New tag";
+  input.maxLength = MAX_TAG_LENGTH;
+  button.replaceWith(input);
+  input.focus();
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    const tag = normaliseTag(input.value);
+    if (save && tag && !(paper.tags || []).includes(tag)) {
+      updatePaperTags(paper, [...(paper.tags || []), tag]);
+    } else {
+      renderPapers();
+    }
+  };
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === "Escape") {
+      finish(false);
+    }
+  });
+  input.addEventListener("blur", () => finish(true));
+}
+
 // Show notification
 function showNotification(message, type = "info") {
   const notification = document.createElement("div");
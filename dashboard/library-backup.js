@@ -0,0 +1,365 @@
+// Versioned JSON backup of the whole library (papers, connections,
+// highlights, notes, collections and settings) and a non-destructive restore
+// that merges papers by canonical paper ID and reports conflicts instead of
+// overwriting. A collection can be exported on its own in the same format.
+
+const LIBRARY_BACKUP_FORMAT = "novamind-backup";
+const LIBRARY_BACKUP_VERSION = 1;
+
+// Builds a backup object from the current library.
+async function createLibraryBackup() {
+  const records = await libraryStore.exportRecords();
+  const { settings = null } = await chrome.storage.local.get("settings");
+
+  return {
+    format: LIBRARY_BACKUP_FORMAT,
+    version: LIBRARY_BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    papers: records.papers,
+    connections: records.connections,
+    highlights: records.highlights,
+    notes: records.notes,
+    collections: records.collections,
+    settings,
+  };
+}
+
+// Builds a backup holding one collection: its papers, the connections
+// between them, their highlights and notes. Settings are left out, and other
+// collections are dropped from the papers.
+async function createCollectionBackup(collectionId) {
+  const records = await libraryStore.exportRecords();
+  const collection = records.collections.find((c) => c.id === collectionId);
+  if (!collection) throw new Error("Collection not found");
+
+  const papers = records.papers
+    .filter((paper) => (paper.collectionIds || []).includes(collectionId))
+    .map((paper) => ({ ...paper, collectionIds: [collectionId] }));
+  const paperIds = new Set(papers.map((paper) => paper.timestamp));
+  const paperUrls = new Set(papers.map((paper) => paper.url));
+
+  return {
+    format: LIBRARY_BACKUP_FORMAT,
+    version: LIBRARY_BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    papers,
+    connections: records.connections.filter(
+      (c) => paperIds.has(c.fromId) && paperIds.has(c.toId)
+    ),
+    highlights: records.highlights.filter((h) => paperUrls.has(h.paperUrl)),
+    notes: records.notes.filter((n) => paperIds.has(n.paperId)),
+    collections: [collection],
+    settings: null,
+  };
+}
+
+// Checks a parsed backup file against the schema. Returns a list of problems;
+// an empty list means the backup can be restored.
+function validateLibraryBackup(data) {
+  const errors = [];
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return ["The file does not contain a NovaMind backup."];
+  }
+  if (data.format !== LIBRARY_BACKUP_FORMAT) {
+    return ["The file is not a NovaMind backup."];
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return ["The backup has no valid version number."];
+  }
+  if (data.version > LIBRARY_BACKUP_VERSION) {
+    return [
+      `The backup was made by a newer version of NovaMind (format v${data.version}).`,
+    ];
+  }
+
+  const schema = {
+    papers: ["timestamp", "url", "title"],
+    connections: ["fromId", "toId"],
+    highlights: ["id", "text", "timestamp"],
+    notes: ["id", "paperId", "updatedAt"],
+    collections: ["id", "name"],
+  };
+
+  for (const [key, requiredFields] of Object.entries(schema)) {
+    // Backups made before collections have none.
+    if (key === "collections" && data[key] === undefined) continue;
+    if (!Array.isArray(data[key])) {
+      errors.push(`"${key}" must be a list.`);
+      continue;
+    }
+    data[key].forEach((record, i) => {
+      if (!record || typeof record !== "object") {
+        errors.push(`${key}[${i}] is not an object.`);
+        return;
+      }
+      requiredFields
+        .filter((field) => typeof record[field] !== "string")
+        .forEach((field) => errors.push(`${key}[${i}].${field} is missing.`));
+    });
+  }
+
+  if (
+    data.settings !== undefined &&
+    data.settings !== null &&
+    (typeof data.settings !== "object" || Array.isArray(data.settings))
+  ) {
+    errors.push(`"settings" must be an object.`);
+  }
+
+  // Keep the report readable for badly broken files.
+  if (errors.length > 10) {
+    const remaining = errors.length - 10;
+    errors.length = 10;
+    errors.push(`...and ${remaining} more problems.`);
+  }
+  return errors;
+}
+
+// Merges a validated backup into the library. Existing records are never
+// overwritten; differences are returned as conflicts.
+async function restoreLibraryBackup(backup) {
+  const existing = await libraryStore.exportRecords();
+  const report = {
+    added: {
+      papers: 0,
+      connections: 0,
+      highlights: 0,
+      notes: 0,
+      collections: 0,
+    },
+    unchanged: 0,
+    conflicts: [],
+    settingsRestored: false,
+  };
+  const toImport = {
+    papers: [],
+    connections: [],
+    highlights: [],
+    notes: [],
+    collections: [],
+  };
+
+  // Collections: matched by name, so a shared collection joins the one the
+  // library already has.
+  const collectionsByName = new Map(
+    existing.collections.map((c) => [c.name.toLowerCase(), c])
+  );
+  const collectionIds = new Set(existing.collections.map((c) => c.id));
+  const collectionIdMap = new Map();
+  for (const collection of backup.collections || []) {
+    const match = collectionsByName.get(collection.name.toLowerCase());
+    if (match) {
+      collectionIdMap.set(collection.id, match.id);
+      report.unchanged++;
+      continue;
+    }
+    const record = collectionIds.has(collection.id)
+      ? { ...collection, id: createCollectionId() }
+      : collection;
+    collectionIdMap.set(collection.id, record.id);
+    collectionsByName.set(record.name.toLowerCase(), record);
+    collectionIds.add(record.id);
+    toImport.collections.push(record);
+    report.added.collections++;
+  }
+  const mapCollectionIds = (ids) =>
+    (ids || []).map((id) => collectionIdMap.get(id)).filter(Boolean);
+
+  // Papers: match by canonical ID (any URL of the same paper), mapping
+  // backup IDs to library IDs.
+  const papersByPaperId = new Map(
+    existing.papers.map((p) => [getCanonicalPaperId(p), p])
+  );
+  const existingIds = new Set(existing.papers.map((p) => p.timestamp));
+  const titles = new Map(existing.papers.map((p) => [p.timestamp, p.title]));
+  const idMap = new Map();
+
+  for (const paper of backup.papers) {
+    const { connections, ...backupRecord } = paper;
+    const record = {
+      ...backupRecord,
+      collectionIds: mapCollectionIds(backupRecord.collectionIds),
+    };
+    const match = papersByPaperId.get(getCanonicalPaperId(record));
+
+    if (match) {
+      idMap.set(record.timestamp, match.timestamp);
+      // A paper already in the library still joins the backup's collections
+      // and gains its tags.
+      const merged = mergePaperMembership(match, record);
+      if (merged) toImport.papers.push(merged);
+
+      // Backups made before canonical IDs have no stored paperId.
+      if (
+        isSameRecord(withoutMembership(match), {
+          ...withoutMembership(record),
+          paperId: match.paperId,
+        })
+      ) {
+        report.unchanged++;
+      } else {
+        report.conflicts.push({
+          kind: "Paper",
+          title: record.title,
+          reason:
+            "A different analysis of this paper is already in the library; kept the library copy.",
+        });
+      }
+    } else if (existingIds.has(record.timestamp)) {
+      report.conflicts.push({
+        kind: "Paper",
+        title: record.title,
+        reason: `Its ID is already used by "${titles.get(
+          record.timestamp
+        )}"; skipped.`,
+      });
+    } else {
+      idMap.set(record.timestamp, record.timestamp);
+      papersByPaperId.set(getCanonicalPaperId(record), record);
+      existingIds.add(record.timestamp);
+      titles.set(record.timestamp, record.title);
+      toImport.papers.push(record);
+      report.added.papers++;
+    }
+  }
+
+  // Connections: only between papers that exist after the merge.
+  const connectionsByKey = new Map(
+    existing.connections.map((c) => [`${c.fromId}|${c.toId}`, c])
+  );
+  for (const connection of backup.connections) {
+    const fromId = idMap.get(connection.fromId);
+    const toId = idMap.get(connection.toId);
+    if (!fromId || !toId || fromId === toId) continue;
+
+    const record = { ...connection, fromId, toId };
+    const current = connectionsByKey.get(`${fromId}|${toId}`);
+    if (!current) {
+      connectionsByKey.set(`${fromId}|${toId}`, record);
+      toImport.connections.push(record);
+      report.added.connections++;
+    } else if (isSameRecord(withoutId(current), withoutId(record))) {
+      report.unchanged++;
+    } else {
+      report.conflicts.push({
+        kind: "Connection",
+        title: `${titles.get(fromId)} → ${titles.get(toId)}`,
+        reason: "The library already links these papers; kept its version.",
+      });
+    }
+  }
+
+  // Highlights: match by ID, and skip the same text saved under another ID.
+  const highlightsById = new Map(existing.highlights.map((h) => [h.id, h]));
+  const highlightKeys = new Set(
+    existing.highlights.map((h) => `${h.paperUrl}|${h.text}`)
+  );
+  for (const highlight of backup.highlights) {
+    const current = highlightsById.get(highlight.id);
+    const key = `${highlight.paperUrl}|${highlight.text}`;
+
+    if (current) {
+      if (isSameRecord(current, highlight)) {
+        report.unchanged++;
+      } else {
+        report.conflicts.push({
+          kind: "Highlight",
+          title: highlight.paperTitle || "Unknown Paper",
+          reason:
+            "A different highlight has the same ID; kept the library copy.",
+        });
+      }
+    } else if (highlightKeys.has(key)) {
+      report.unchanged++;
+    } else {
+      highlightKeys.add(key);
+      toImport.highlights.push(highlight);
+      report.added.highlights++;
+    }
+  }
+
+  // Notes: attached to the merged paper, matched by ID.
+  const notesById = new Map(existing.notes.map((n) => [n.id, n]));
+  for (const note of backup.notes) {
+    const paperId = idMap.get(note.paperId);
+    if (!paperId) continue;
+
+    const record = { ...note, paperId };
+    const current = notesById.get(note.id);
+    if (!current) {
+      toImport.notes.push(record);
+      report.added.notes++;
+    } else if (isSameRecord(current, record)) {
+      report.unchanged++;
+    } else {
+      report.conflicts.push({
+        kind: "Note",
+        title: titles.get(paperId),
+        reason: "The library has a different version of this note; kept it.",
+      });
+    }
+  }
+
+  await libraryStore.importRecords(toImport);
+
+  // Settings: restored only if none are saved yet.
+  if (backup.settings) {
+    const { settings } = await chrome.storage.local.get("settings");
+    if (!settings) {
+      await chrome.storage.local.set({ settings: backup.settings });
+      report.settingsRestored = true;
+    } else if (!isSameRecord(settings, backup.settings)) {
+      report.conflicts.push({
+        kind: "Settings",
+        title: "Extension settings",
+        reason: "The backup's settings differ; kept the current settings.",
+      });
+    }
+  }
+
+  console.log("[Dashboard] Backup restored:", report);
+  return report;
+}
+
+// Compares two records regardless of key order.
+function isSameRecord(a, b) {
+  const canonical = (record) =>
+    JSON.stringify(
+      Object.keys(record)
+        .sort()
+        .map((key) => [key, record[key]])
+    );
+  return canonical(a) === canonical(b);
+}
+
+function withoutId(record) {
+  const { id, ...rest } = record;
+  return rest;
+}
+
+function withoutMembership(paper) {
+  const { tags, collectionIds, ...rest } = paper;
+  return rest;
+}
+
+// The library paper with the backup copy's tags and collections added, or
+// null if it already has them all.
+function mergePaperMembership(paper, backupPaper) {
+  const tags = [
+    ...new Set([...(paper.tags || []), ...(backupPaper.tags || [])]),
+  ];
+  const collectionIds = [
+    ...new Set([
+      ...(paper.collectionIds || []),
+      ...(backupPaper.collectionIds || []),
+    ]),
+  ];
+  if (
+    tags.length === (paper.tags || []).length &&
+    collectionIds.length === (paper.collectionIds || []).length
+  ) {
+    return null;
+  }
+  return { ...paper, tags, collectionIds };
+}
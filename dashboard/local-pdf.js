@@ -0,0 +1,53 @@
+// Reads PDF files from the user's computer with the bundled PDF.js and turns
+// them into paper data for the analysis queue, so papers from email, shared
+// drives or paywalled downloads can be analysed without opening them in a tab.
+
+if (typeof pdfjsLib !== "undefined") {
+  pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL(
+    "extensions/pdfjs/pdf.worker.min.js"
+  );
+} else {
+  console.error("[Dashboard] pdfjsLib is not defined; local PDFs are disabled");
+}
+
+function isPdfFile(file) {
+  return file.type === "application/pdf" || /\.pdf$/i.test(file.name);
+}
+
+// Returns the SHA-256 of the file's bytes as hex.
+async function hashFileBytes(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Returns the URL a local paper is saved under: its arXiv page or DOI when
+// the PDF prints one, so it matches copies analysed on the web.
+function getLocalPdfPaperUrl(citation, hash) {
+  if (citation.arxivId) return `https://arxiv.org/abs/${citation.arxivId}`;
+  if (citation.doi) return `https://doi.org/${citation.doi}`;
+  return `${LOCAL_PDF_URL_PREFIX}${hash}`;
+}
+
+// Extracts a local PDF. `onPage` is called as each page is read.
+async function readLocalPdf(file, onPage = null) {
+  const bytes = await file.arrayBuffer();
+  // Hash first: PDF.js hands the buffer to its worker, detaching it.
+  const hash = await hashFileBytes(bytes);
+  const paper = await readPaperFromPdf(bytes, { onPage });
+
+  return {
+    ...paper,
+    title: paper.title || file.name.replace(/\.pdf$/i, ""),
+    authors: "", // PDFs do not reliably expose author info.
+    citation: {
+      ...paper.citation,
+      type: paper.citation.arxivId ? "preprint" : null,
+    },
+    url: getLocalPdfPaperUrl(paper.citation, hash),
+    site: "Local PDF",
+    localFile: { name: file.name, size: file.size },
+    extractedFromPDF: true,
+  };
+}
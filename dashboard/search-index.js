@@ -0,0 +1,342 @@
+// Local lexical search over the library: an inverted index with light
+// stemming, BM25 ranking, phrase queries and field-scoped queries such as
+// `title:transformer gap:"small dataset"`.
+
+// Words too common to be worth indexing. Positions still count them, so a
+// phrase like "state of the art" keeps its shape.
+const SEARCH_STOP_WORDS = new Set(
+  `a an and are as at be by for from has have in into is it its of on or that
+  the their this to was were which with`.split(/\s+/)
+);
+
+// Searchable fields, their ranking weight, and the names accepted in queries.
+const SEARCH_FIELDS = {
+  title: { weight: 3, aliases: ["title"] },
+  summary: { weight: 1.5, aliases: ["summary"] },
+  findings: { weight: 1.5, aliases: ["finding", "findings"] },
+  methodology: { weight: 1, aliases: ["method", "methods", "methodology"] },
+  question: { weight: 1, aliases: ["question", "rq"] },
+  gaps: { weight: 1, aliases: ["gap", "gaps"] },
+  trajectories: { weight: 0.75, aliases: ["trajectory", "future"] },
+  highlights: { weight: 1, aliases: ["highlight", "highlights"] },
+  notes: { weight: 1, aliases: ["note", "notes"] },
+  tags: { weight: 2, aliases: ["tag", "tags"] },
+};
+
+// BM25 parameters.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Reduces a word to a rough stem so "models", "modeling" and "modeled" match.
+function stemTerm(term) {
+  if (term.length <= 3) return term;
+
+  let stem = term
+    .replace(/sses$/, "ss")
+    .replace(/ies$/, "y")
+    .replace(/([^su])s$/, "$1");
+
+  const suffixes = [
+    ["ational", "ate"],
+    ["ization", "ize"],
+    ["fulness", "ful"],
+    ["ousness", "ous"],
+    ["iveness", "ive"],
+    ["ation", "ate"],
+    ["ness", ""],
+    ["ment", ""],
+    ["ing", ""],
+    ["ed", ""],
+    ["ly", ""],
+  ];
+  for (const [suffix, replacement] of suffixes) {
+    const base = stem.slice(0, -suffix.length);
+    if (stem.endsWith(suffix) && base.length >= 3 && /[aeiouy]/.test(base)) {
+      stem = base + replacement;
+      // "running" -> "runn" -> "run", but keep "ll"/"ss"/"zz".
+      if (!replacement && /([^aeioulsz])\1$/.test(stem)) {
+        stem = stem.slice(0, -1);
+      }
+      break;
+    }
+  }
+  return stem;
+}
+
+// Splits text into { term, position } pairs. Stop words are dropped but still
+// advance the position counter.
+function tokeniseForSearch(text) {
+  const words = (text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+  const tokens = [];
+  words.forEach((word, position) => {
+    if (!SEARCH_STOP_WORDS.has(word)) {
+      tokens.push({ term: stemTerm(word), position });
+    }
+  });
+  return tokens;
+}
+
+// Parses a query into clauses: { field, terms, isPhrase }. Unknown field
+// prefixes are treated as plain words. A word at the very end of the query
+// is probably still being typed, so its term also gets `prefix`, the word as
+// typed, and matches any indexed term starting with it.
+function parseSearchQuery(query) {
+  const clauses = [];
+  const pattern = /(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const [, prefix, phrase, word] = match;
+    const field = prefix ? resolveSearchField(prefix) : null;
+    let text = phrase !== undefined ? phrase : word;
+    if (prefix && !field) {
+      text = `${prefix} ${text}`;
+    }
+
+    const terms = tokeniseForSearch(text);
+    if (terms.length === 0) continue;
+
+    const isTyping =
+      phrase === undefined &&
+      pattern.lastIndex === query.length &&
+      /[a-z0-9]$/i.test(query);
+    const lastWord = text.toLowerCase().match(/[a-z0-9]+$/);
+    if (isTyping && lastWord && !SEARCH_STOP_WORDS.has(lastWord[0])) {
+      terms[terms.length - 1].prefix = lastWord[0];
+    }
+    clauses.push({ field, terms, isPhrase: phrase !== undefined });
+  }
+  return clauses;
+}
+
+// Maps a query prefix such as "gap" to its field name.
+function resolveSearchField(prefix) {
+  const lower = prefix.toLowerCase();
+  return (
+    Object.keys(SEARCH_FIELDS).find((field) =>
+      SEARCH_FIELDS[field].aliases.includes(lower)
+    ) || null
+  );
+}
+
+class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // id -> { fieldTexts, fieldLengths }
+    this.postings = new Map(); // term -> Map(id -> Map(field -> positions[]))
+    this.totalFieldLengths = {};
+  }
+
+  // Builds the index from stored analyses, highlights and notes. Highlights
+  // are attached to the paper they were saved from (matched by normalised
+  // URL), notes to the paper they were written on.
+  static build(papers, highlights = [], notes = []) {
+    const index = new SearchIndex();
+    for (const paper of papers) {
+      const paperUrl = normalisePaperUrl(paper.url);
+      const paperHighlights = highlights
+        .filter((h) => normalisePaperUrl(h.paperUrl) === paperUrl)
+        .map((h) => h.text);
+
+      index.addDocument(paper.timestamp, {
+        title: paper.title,
+        summary: paper.summary,
+        findings: (paper.keyFindings || []).join("\n"),
+        methodology: paper.methodology,
+        question: paper.researchQuestion,
+        gaps: (paper.researchGaps || []).join("\n"),
+        trajectories: (paper.trajectorySuggestions || []).join("\n"),
+        highlights: paperHighlights.join("\n"),
+        notes: notes
+          .filter((n) => n.paperId === paper.timestamp)
+          .map((n) => n.text)
+          .join("\n"),
+        tags: (paper.tags || []).join("\n"),
+      });
+    }
+    console.log(
+      "[Dashboard] Search index built:",
+      index.documents.size,
+      "papers"
+    );
+    return index;
+  }
+
+  addDocument(id, fieldTexts) {
+    const fieldLengths = {};
+
+    for (const [field, text] of Object.entries(fieldTexts)) {
+      const tokens = tokeniseForSearch(text);
+      fieldLengths[field] = tokens.length;
+      this.totalFieldLengths[field] =
+        (this.totalFieldLengths[field] || 0) + tokens.length;
+
+      for (const { term, position } of tokens) {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const docs = this.postings.get(term);
+        if (!docs.has(id)) docs.set(id, new Map());
+        const fields = docs.get(id);
+        if (!fields.has(field)) fields.set(field, []);
+        fields.get(field).push(position);
+      }
+    }
+
+    this.documents.set(id, { fieldTexts, fieldLengths });
+  }
+
+  // Returns ranked results: [{ id, score, terms, fields }], best first.
+  // Every clause must match; `terms` and `fields` drive result highlighting.
+  // Returns null when the query has nothing to search for (e.g. only stop
+  // words), so callers can show every paper instead of none.
+  search(query) {
+    const clauses = parseSearchQuery(query);
+    if (clauses.length === 0) return null;
+    clauses.forEach((clause) =>
+      clause.terms.forEach((term) => {
+        term.variants = this.getMatchingTerms(term);
+      })
+    );
+
+    const results = [];
+    for (const id of this.documents.keys()) {
+      let score = 0;
+      const matchedTerms = new Set();
+      const matchedFields = new Set();
+      let matchesAll = true;
+
+      for (const clause of clauses) {
+        const clauseScore = this.scoreClause(id, clause, matchedFields);
+        if (clauseScore === 0) {
+          matchesAll = false;
+          break;
+        }
+        score += clauseScore;
+        clause.terms.forEach(({ variants }) =>
+          variants.forEach((term) => matchedTerms.add(term))
+        );
+      }
+
+      if (matchesAll) {
+        results.push({
+          id,
+          score,
+          terms: [...matchedTerms],
+          fields: [...matchedFields],
+        });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  // Scores one clause against one document, summing BM25 over the fields it
+  // may match in. Returns 0 if the clause does not match.
+  scoreClause(id, clause, matchedFields) {
+    const fields = clause.field ? [clause.field] : Object.keys(SEARCH_FIELDS);
+    let score = 0;
+
+    for (const field of fields) {
+      const frequency = clause.isPhrase
+        ? this.countPhrase(id, field, clause.terms)
+        : this.countTerms(id, field, clause.terms);
+      if (frequency === 0) continue;
+
+      matchedFields.add(field);
+      const idf = clause.terms.reduce(
+        (sum, { variants }) => sum + this.inverseDocumentFrequency(variants),
+        0
+      );
+      score +=
+        SEARCH_FIELDS[field].weight *
+        idf *
+        this.bm25Weight(id, field, frequency);
+    }
+    return score;
+  }
+
+  // Term frequency of a plain clause in a field: every term must be present.
+  countTerms(id, field, terms) {
+    let frequency = 0;
+    for (const { variants } of terms) {
+      const count = variants.reduce(
+        (sum, term) => sum + this.getPositions(term, id, field).length,
+        0
+      );
+      if (count === 0) return 0;
+      frequency += count;
+    }
+    return frequency;
+  }
+
+  // Indexed terms a query term matches: just its stem, or for a word still
+  // being typed, every term starting with the word or its stem, and stems
+  // the word has already run past ("modeli" matches "model").
+  getMatchingTerms({ term, prefix }) {
+    if (!prefix) return [term];
+    return [...this.postings.keys()].filter(
+      (indexed) =>
+        indexed.startsWith(prefix) ||
+        indexed.startsWith(term) ||
+        (indexed.length >= 4 && prefix.startsWith(indexed))
+    );
+  }
+
+  // Number of times a phrase occurs in a field, using token positions.
+  countPhrase(id, field, terms) {
+    const [first, ...rest] = terms;
+    return this.getPositions(first.term, id, field).filter((start) =>
+      rest.every(({ term, position }) =>
+        this.getPositions(term, id, field).includes(
+          start + position - first.position
+        )
+      )
+    ).length;
+  }
+
+  getPositions(term, id, field) {
+    const docs = this.postings.get(term);
+    const fields = docs && docs.get(id);
+    return (fields && fields.get(field)) || [];
+  }
+
+  // IDF of a query term, counting documents containing any of its variants.
+  inverseDocumentFrequency(variants) {
+    const ids = new Set();
+    variants.forEach((term) =>
+      (this.postings.get(term) || new Map()).forEach((_, id) => ids.add(id))
+    );
+    const documentFrequency = ids.size;
+    const total = this.documents.size;
+    return Math.log(
+      1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5)
+    );
+  }
+
+  bm25Weight(id, field, frequency) {
+    const length = this.documents.get(id).fieldLengths[field] || 0;
+    const averageLength =
+      (this.totalFieldLengths[field] || 0) / Math.max(1, this.documents.size) ||
+      1;
+    return (
+      (frequency * (BM25_K1 + 1)) /
+      (frequency + BM25_K1 * (1 - BM25_B + (BM25_B * length) / averageLength))
+    );
+  }
+
+  // Returns a short excerpt of a field around its first matching term.
+  getSnippet(id, field, stems, maxLength = 160) {
+    const doc = this.documents.get(id);
+    const text = ((doc && doc.fieldTexts[field]) || "").replace(/\s+/g, " ");
+    const wordPattern = /[A-Za-z0-9]+/g;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+      if (stems.includes(stemTerm(match[0].toLowerCase()))) {
+        const start = Math.max(0, match.index - maxLength / 3);
+        const snippet = text.substring(start, start + maxLength).trim();
+        return `${start > 0 ? "…" : ""}${snippet}${
+          start + maxLength < text.length ? "…" : ""
+        }`;
+      }
+    }
+    return "";
+  }
+}
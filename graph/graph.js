@@ -0,0 +1,716 @@
+// Connection graph of the library: every analysed paper is a node and every
+// detected connection an edge, laid out by a small force simulation. Nodes
+// are sized by their number of connections and coloured by topic cluster
+// (see topic-clusters.js); clicking one opens its analysis.
+
+// Graph state
+let allPapers = [];
+let nodes = [];
+let edges = [];
+let clusters = [];
+let view = { x: 0, y: 0, scale: 1 };
+let simulationAlpha = 0;
+let animationFrame = null;
+let drag = null;
+let focusedNode = null;
+let doneJobIds = new Set();
+
+// Colours for topic clusters, largest cluster first. Papers that share a
+// topic with no other paper are grey.
+const TOPIC_COLOURS = [
+  "#8a6bda",
+  "#0ea5e9",
+  "#10b981",
+  "#f59e0b",
+  "#ec4899",
+  "#14b8a6",
+  "#6366f1",
+  "#84cc16",
+  "#f97316",
+  "#1a2653",
+];
+const UNCLUSTERED_COLOUR = "#94a3b8";
+
+// Labels and colours by connection type. Connections detected before types
+// were recorded are shown as "Related".
+const RELATIONSHIP_STYLES = {
+  extends: { label: "Extends", colour: "#8a6bda" },
+  contradicts: { label: "Contradicts", colour: "#ef4444" },
+  applies: { label: "Applies", colour: "#10b981" },
+  "same-dataset": { label: "Same dataset", colour: "#f59e0b" },
+  "same-method": { label: "Same method", colour: "#0ea5e9" },
+  "same-problem": { label: "Same problem", colour: "#6366f1" },
+  related: { label: "Related", colour: "#94a3b8" },
+};
+
+// Force simulation settings
+const GRAPH_LAYOUT = {
+  repulsion: 4000,
+  linkDistance: 140,
+  linkStiffness: 0.04,
+  clusterGravity: 0.03,
+  centreGravity: 0.004,
+  velocityDecay: 0.6,
+  alphaDecay: 0.985,
+  minAlpha: 0.005,
+  // Steps run before the first frame, so the graph opens mostly settled
+  warmUpSteps: 120,
+};
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const MAX_NODE_LABEL_LENGTH = 40;
+
+// Initialise graph
+async function initialiseGraph() {
+  await loadPapers();
+  setupEventListeners();
+  renderGraph();
+}
+
+// Load papers from storage
+async function loadPapers() {
+  try {
+    allPapers = await libraryStore.getAllPapers();
+  } catch (error) {
+    console.error("[Graph] Failed to load papers:", error);
+    allPapers = [];
+  }
+  populateTagFilter();
+}
+
+// Fill the tag filter with every tag used in the library
+function populateTagFilter() {
+  const select = document.getElementById("tagFilter");
+  const current = select.value;
+  const tags = [...new Set(allPapers.flatMap((paper) => paper.tags || []))];
+  tags.sort((a, b) => a.localeCompare(b));
+
+  select.innerHTML = '<option value="">All tags</option>';
+  tags.forEach((tag) => {
+    const option = document.createElement("option");
+    option.value = tag;
+    option.textContent = tag;
+    select.appendChild(option);
+  });
+  select.value = tags.includes(current) ? current : "";
+  select.disabled = tags.length === 0;
+  select.title =
+    tags.length === 0 ? "No papers are tagged yet" : "Show papers with a tag";
+}
+
+// Papers analysed within the date range (inclusive, local time) and carrying
+// the selected tag
+function getFilteredPapers() {
+  const from = document.getElementById("dateFrom").value;
+  const to = document.getElementById("dateTo").value;
+  const tag = document.getElementById("tagFilter").value;
+
+  return allPapers.filter((paper) => {
+    const day = toDateInputValue(new Date(paper.timestamp));
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    if (tag && !(paper.tags || []).includes(tag)) return false;
+    return true;
+  });
+}
+
+// Formats a date as YYYY-MM-DD in local time, like <input type="date">
+function toDateInputValue(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+// Build nodes and edges from the papers shown, then cluster them by topic.
+// Connections are stored once per direction, so a pair linked both ways
+// becomes one edge, keeping the stronger connection.
+function buildGraph(papers) {
+  const nodesById = new Map();
+  nodes = papers.map((paper) => {
+    const node = {
+      id: paper.timestamp,
+      paper,
+      degree: 0,
+      neighbours: new Set(),
+      x: 0,
+      y: 0,
+      vx: 0,
+      vy: 0,
+    };
+    nodesById.set(node.id, node);
+    return node;
+  });
+
+  const edgesByKey = new Map();
+  for (const node of nodes) {
+    for (const connection of node.paper.connections || []) {
+      const target = nodesById.get(connection.paperId);
+      if (!target || target === node) continue;
+
+      const key = [node.id, target.id].sort().join("|");
+      const strength = connection.strength || 5;
+      const existing = edgesByKey.get(key);
+      if (existing && existing.strength >= strength) continue;
+
+      edgesByKey.set(key, {
+        source: node,
+        target,
+        type: RELATIONSHIP_STYLES[connection.type]
+          ? connection.type
+          : "related",
+        strength,
+        description: connection.description || "",
+      });
+    }
+  }
+
+  edges = [...edgesByKey.values()];
+  edges.forEach(({ source, target }) => {
+    source.degree++;
+    target.degree++;
+    source.neighbours.add(target);
+    target.neighbours.add(source);
+  });
+
+  if (document.getElementById("connectedOnly").checked) {
+    nodes = nodes.filter((node) => node.degree > 0);
+  }
+
+  const indexes = new Map(nodes.map((node, index) => [node, index]));
+  clusters = clusterPapersByTopic(
+    nodes.map((node) => node.paper),
+    edges.map((edge) => [
+      indexes.get(edge.source),
+      indexes.get(edge.target),
+      edge.strength,
+    ])
+  );
+
+  let colourIndex = 0;
+  clusters.forEach((cluster) => {
+    cluster.colour =
+      cluster.members.length > 1
+        ? TOPIC_COLOURS[colourIndex++ % TOPIC_COLOURS.length]
+        : UNCLUSTERED_COLOUR;
+    cluster.members.forEach((index) => {
+      nodes[index].cluster = cluster;
+    });
+  });
+}
+
+// Start each cluster around its own point on a circle, so the simulation
+// only has to settle it
+function placeNodes() {
+  const radius = 60 * Math.sqrt(nodes.length);
+  clusters.forEach((cluster, clusterIndex) => {
+    const angle = (2 * Math.PI * clusterIndex) / clusters.length;
+    const centreX = clusters.length > 1 ? radius * Math.cos(angle) : 0;
+    const centreY = clusters.length > 1 ? radius * Math.sin(angle) : 0;
+
+    // Members spiral out from the centre by the golden angle
+    cluster.members.forEach((index, position) => {
+      const node = nodes[index];
+      const distance = 30 * Math.sqrt(position);
+      node.x = centreX + distance * Math.cos(position * 2.4);
+      node.y = centreY + distance * Math.sin(position * 2.4);
+      node.vx = 0;
+      node.vy = 0;
+    });
+  });
+}
+
+// Advance the layout by one step: nodes repel each other, edges pull their
+// papers to a set distance (stronger connections pull harder), and every
+// node drifts towards its cluster's centre and the middle of the graph.
+function stepSimulation(alpha) {
+  const {
+    repulsion,
+    linkDistance,
+    linkStiffness,
+    clusterGravity,
+    centreGravity,
+    velocityDecay,
+  } = GRAPH_LAYOUT;
+
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const a = nodes[i];
+      const b = nodes[j];
+      let dx = b.x - a.x;
+      let dy = b.y - a.y;
+      let distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared < 1) {
+        dx = Math.random() - 0.5;
+        dy = Math.random() - 0.5;
+        distanceSquared = 1;
+      }
+      const distance = Math.sqrt(distanceSquared);
+      const force = (repulsion * alpha) / distanceSquared;
+      const fx = (dx / distance) * force;
+      const fy = (dy / distance) * force;
+      a.vx -= fx;
+      a.vy -= fy;
+      b.vx += fx;
+      b.vy += fy;
+    }
+  }
+
+  for (const edge of edges) {
+    const { source, target } = edge;
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+    const force =
+      (distance - linkDistance) *
+      linkStiffness *
+      alpha *
+      (0.5 + edge.strength / 10);
+    const fx = (dx / distance) * force;
+    const fy = (dy / distance) * force;
+    source.vx += fx;
+    source.vy += fy;
+    target.vx -= fx;
+    target.vy -= fy;
+  }
+
+  const centres = new Map();
+  for (const node of nodes) {
+    const centre = centres.get(node.cluster) || { x: 0, y: 0, count: 0 };
+    centre.x += node.x;
+    centre.y += node.y;
+    centre.count++;
+    centres.set(node.cluster, centre);
+  }
+
+  for (const node of nodes) {
+    const centre = centres.get(node.cluster);
+    node.vx +=
+      (centre.x / centre.count - node.x) * clusterGravity * alpha -
+      node.x * centreGravity * alpha;
+    node.vy +=
+      (centre.y / centre.count - node.y) * clusterGravity * alpha -
+      node.y * centreGravity * alpha;
+
+    if (node.fixed) {
+      node.vx = 0;
+      node.vy = 0;
+      continue;
+    }
+    node.vx *= velocityDecay;
+    node.vy *= velocityDecay;
+    node.x += node.vx;
+    node.y += node.vy;
+  }
+}
+
+// Run the simulation (again) with at least the given energy
+function startSimulation(alpha) {
+  simulationAlpha = Math.max(simulationAlpha, alpha);
+  if (!animationFrame) {
+    animationFrame = requestAnimationFrame(tickSimulation);
+  }
+}
+
+function stopSimulation() {
+  if (animationFrame) cancelAnimationFrame(animationFrame);
+  animationFrame = null;
+  simulationAlpha = 0;
+}
+
+function tickSimulation() {
+  stepSimulation(simulationAlpha);
+  updatePositions();
+  simulationAlpha *= GRAPH_LAYOUT.alphaDecay;
+  animationFrame =
+    simulationAlpha > GRAPH_LAYOUT.minAlpha
+      ? requestAnimationFrame(tickSimulation)
+      : null;
+}
+
+// Rebuild and lay out the graph for the current filters
+function renderGraph() {
+  stopSimulation();
+  focusedNode = null;
+  buildGraph(getFilteredPapers());
+  placeNodes();
+
+  let alpha = 1;
+  for (let i = 0; i < GRAPH_LAYOUT.warmUpSteps; i++) {
+    stepSimulation(alpha);
+    alpha *= GRAPH_LAYOUT.alphaDecay;
+  }
+
+  renderElements();
+  renderLegend();
+  updateGraphStats();
+  fitView();
+  startSimulation(alpha);
+}
+
+// Create the SVG elements for every edge and node
+function renderElements() {
+  const edgeLayer = document.getElementById("edgeLayer");
+  const nodeLayer = document.getElementById("nodeLayer");
+  const empty = document.getElementById("graphEmpty");
+  edgeLayer.innerHTML = "";
+  nodeLayer.innerHTML = "";
+
+  if (nodes.length === 0) {
+    empty.textContent =
+      allPapers.length === 0
+        ? "No papers analysed yet. Analyse a few papers to see how they connect."
+        : "No papers match these filters.";
+    empty.style.display = "flex";
+    return;
+  }
+  empty.style.display = "none";
+
+  for (const edge of edges) {
+    const style = RELATIONSHIP_STYLES[edge.type];
+    const group = createSvgElement("g", { class: "edge" });
+
+    const line = createSvgElement("line", {
+      stroke: style.colour,
+      "stroke-width": 1 + edge.strength / 4,
+    });
+    const label = createSvgElement("text", {
+      class: "edge-label",
+      fill: style.colour,
+    });
+    label.textContent = style.label;
+
+    const title = createSvgElement("title");
+    title.textContent = `${edge.source.paper.title} ↔ ${
+      edge.target.paper.title
+    }\n${style.label} · ${edge.strength}/10${
+      edge.description ? `\n${edge.description}` : ""
+    }`;
+
+    group.append(line, label, title);
+    edgeLayer.appendChild(group);
+    Object.assign(edge, { element: group, line, label });
+  }
+
+  nodes.forEach((node, index) => {
+    const group = createSvgElement("g", {
+      class: "node",
+      "data-index": index,
+    });
+
+    const circle = createSvgElement("circle", {
+      r: getNodeRadius(node),
+      fill: node.cluster.colour,
+    });
+    const label = createSvgElement("text", {
+      class: "node-label",
+      y: getNodeRadius(node) + 14,
+    });
+    label.textContent = truncateText(node.paper.title, MAX_NODE_LABEL_LENGTH);
+
+    const title = createSvgElement("title");
+    title.textContent = `${node.paper.title}\n${node.degree} ${
+      node.degree === 1 ? "connection" : "connections"
+    }${
+      node.cluster.members.length > 1 ? ` · Topic: ${node.cluster.label}` : ""
+    }\nClick to view analysis`;
+
+    group.append(circle, label, title);
+    nodeLayer.appendChild(group);
+    node.element = group;
+  });
+
+  updatePositions();
+}
+
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    element.setAttribute(name, value);
+  }
+  return element;
+}
+
+// Nodes grow with the square root of their connection count
+function getNodeRadius(node) {
+  return 8 + 4 * Math.sqrt(node.degree);
+}
+
+function truncateText(text, maxLength) {
+  const value = text || "Untitled";
+  return value.length > maxLength
+    ? `${value.substring(0, maxLength - 1).trim()}…`
+    : value;
+}
+
+// Move the SVG elements to the simulated positions
+function updatePositions() {
+  for (const node of nodes) {
+    if (!node.element) continue;
+    node.element.setAttribute(
+      "transform",
+      `translate(${node.x.toFixed(1)},${node.y.toFixed(1)})`
+    );
+  }
+  for (const edge of edges) {
+    if (!edge.line) continue;
+    const { source, target } = edge;
+    edge.line.setAttribute("x1", source.x.toFixed(1));
+    edge.line.setAttribute("y1", source.y.toFixed(1));
+    edge.line.setAttribute("x2", target.x.toFixed(1));
+    edge.line.setAttribute("y2", target.y.toFixed(1));
+    edge.label.setAttribute("x", ((source.x + target.x) / 2).toFixed(1));
+    edge.label.setAttribute("y", ((source.y + target.y) / 2).toFixed(1));
+  }
+}
+
+// Show the topics and relationship types in the graph, with counts
+function renderLegend() {
+  const topicLegend = document.getElementById("topicLegend");
+  const relationshipLegend = document.getElementById("relationshipLegend");
+
+  const topics = clusters.filter((cluster) => cluster.members.length > 1);
+  const unclustered = clusters.length - topics.length;
+  const topicItems = topics.map((cluster) =>
+    createLegendItem(cluster.colour, cluster.label, cluster.members.length)
+  );
+  if (unclustered > 0) {
+    topicItems.push(
+      createLegendItem(UNCLUSTERED_COLOUR, "No shared topic", unclustered)
+    );
+  }
+  topicLegend.replaceChildren(...topicItems);
+
+  const typeCounts = new Map();
+  edges.forEach((edge) =>
+    typeCounts.set(edge.type, (typeCounts.get(edge.type) || 0) + 1)
+  );
+  const relationshipItems = Object.entries(RELATIONSHIP_STYLES)
+    .filter(([type]) => typeCounts.has(type))
+    .map(([type, style]) =>
+      createLegendItem(style.colour, style.label, typeCounts.get(type), "line")
+    );
+  if (relationshipItems.length === 0) {
+    const item = document.createElement("li");
+    item.className = "legend-empty";
+    item.textContent = "No connections shown";
+    relationshipItems.push(item);
+  }
+  relationshipLegend.replaceChildren(...relationshipItems);
+}
+
+function createLegendItem(colour, label, count, shape = "dot") {
+  const item = document.createElement("li");
+  const swatch = document.createElement("span");
+  swatch.className = `legend-${shape}`;
+  swatch.style.background = colour;
+  const text = document.createElement("span");
+  text.className = "legend-label";
+  text.textContent = label || "Untitled";
+  const countBadge = document.createElement("span");
+  countBadge.className = "legend-count";
+  countBadge.textContent = count;
+  item.append(swatch, text, countBadge);
+  return item;
+}
+
+function updateGraphStats() {
+  const topicCount = clusters.filter((c) => c.members.length > 1).length;
+  document.getElementById("graphStats").textContent = [
+    `${nodes.length} ${nodes.length === 1 ? "paper" : "papers"}`,
+    `${edges.length} ${edges.length === 1 ? "connection" : "connections"}`,
+    `${topicCount} ${topicCount === 1 ? "topic" : "topics"}`,
+  ].join(" · ");
+}
+
+// --- View ---
+
+function applyView() {
+  document
+    .getElementById("graphViewport")
+    .setAttribute(
+      "transform",
+      `translate(${view.x},${view.y}) scale(${view.scale})`
+    );
+}
+
+// Zoom and centre the view so every node is visible
+function fitView() {
+  const svg = document.getElementById("graphCanvas");
+  const { width, height } = svg.getBoundingClientRect();
+  if (nodes.length === 0 || width === 0 || height === 0) {
+    view = { x: width / 2, y: height / 2, scale: 1 };
+    applyView();
+    return;
+  }
+
+  const padding = 60;
+  const xs = nodes.map((node) => node.x);
+  const ys = nodes.map((node) => node.y);
+  const minX = Math.min(...xs) - padding;
+  const maxX = Math.max(...xs) + padding;
+  const minY = Math.min(...ys) - padding;
+  const maxY = Math.max(...ys) + padding;
+
+  const scale = Math.min(2, width / (maxX - minX), height / (maxY - minY));
+  view = {
+    x: width / 2 - ((minX + maxX) / 2) * scale,
+    y: height / 2 - ((minY + maxY) / 2) * scale,
+    scale,
+  };
+  applyView();
+}
+
+// Converts a pointer position to graph coordinates
+function toGraphPoint(event) {
+  const rect = document.getElementById("graphCanvas").getBoundingClientRect();
+  return {
+    x: (event.clientX - rect.left - view.x) / view.scale,
+    y: (event.clientY - rect.top - view.y) / view.scale,
+  };
+}
+
+// Fade everything except a node and its direct connections
+function setFocus(node) {
+  if (node === focusedNode) return;
+  focusedNode = node;
+  document
+    .getElementById("graphCanvas")
+    .classList.toggle("focused", Boolean(node));
+  nodes.forEach((other) =>
+    other.element.classList.toggle(
+      "active",
+      Boolean(node) && (other === node || node.neighbours.has(other))
+    )
+  );
+  edges.forEach((edge) =>
+    edge.element.classList.toggle(
+      "active",
+      Boolean(node) && (edge.source === node || edge.target === node)
+    )
+  );
+}
+
+function getNodeFromEvent(event) {
+  const element = event.target.closest(".node");
+  return element ? nodes[Number(element.dataset.index)] : null;
+}
+
+// Helper function to open results in popup window (same as dashboard.js)
+async function openResultsWindow(analysisId) {
+  try {
+    await chrome.windows.create({
+      url: chrome.runtime.getURL(`results/results.html?id=${analysisId}`),
+      type: "popup",
+      width: 1000,
+      height: 800,
+    });
+  } catch (error) {
+    console.error("[Graph] Failed to open results window:", error);
+  }
+}
+
+// Setup event listeners
+function setupEventListeners() {
+  // Filters
+  ["dateFrom", "dateTo", "tagFilter", "connectedOnly"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", renderGraph);
+  });
+
+  document.getElementById("showEdgeLabels").addEventListener("change", (e) => {
+    document
+      .getElementById("graphCanvas")
+      .classList.toggle("hide-edge-labels", !e.target.checked);
+  });
+
+  document.getElementById("fitBtn").addEventListener("click", fitView);
+
+  // Drag a node to move it, or the background to pan. A press without
+  // movement on a node opens its analysis.
+  const svg = document.getElementById("graphCanvas");
+
+  svg.addEventListener("pointerdown", (e) => {
+    if (e.button !== 0) return;
+    drag = {
+      node: getNodeFromEvent(e),
+      startX: e.clientX,
+      startY: e.clientY,
+      viewX: view.x,
+      viewY: view.y,
+      moved: false,
+    };
+    svg.setPointerCapture(e.pointerId);
+  });
+
+  svg.addEventListener("pointermove", (e) => {
+    if (!drag) {
+      setFocus(getNodeFromEvent(e));
+      return;
+    }
+
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (!drag.moved && Math.hypot(dx, dy) < 4) return;
+    drag.moved = true;
+
+    if (drag.node) {
+      const point = toGraphPoint(e);
+      drag.node.fixed = true;
+      drag.node.x = point.x;
+      drag.node.y = point.y;
+      updatePositions();
+      startSimulation(0.3);
+    } else {
+      view.x = drag.viewX + dx;
+      view.y = drag.viewY + dy;
+      applyView();
+    }
+  });
+
+  const endDrag = () => {
+    if (drag && drag.node) {
+      if (!drag.moved) openResultsWindow(drag.node.id);
+      drag.node.fixed = false;
+    }
+    drag = null;
+  };
+  svg.addEventListener("pointerup", endDrag);
+  svg.addEventListener("pointercancel", endDrag);
+  svg.addEventListener("pointerleave", () => {
+    if (!drag) setFocus(null);
+  });
+
+  // Zoom around the pointer
+  svg.addEventListener(
+    "wheel",
+    (e) => {
+      e.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      const pointerX = e.clientX - rect.left;
+      const pointerY = e.clientY - rect.top;
+      const scale = Math.min(
+        4,
+        Math.max(0.1, view.scale * Math.exp(-e.deltaY * 0.001))
+      );
+      view.x = pointerX - (pointerX - view.x) * (scale / view.scale);
+      view.y = pointerY - (pointerY - view.y) * (scale / view.scale);
+      view.scale = scale;
+      applyView();
+    },
+    { passive: false }
+  );
+
+  // Add papers to the graph as background analyses finish
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.action !== "analysisQueueUpdated") return;
+    const nowDone = (request.jobs || [])
+      .filter((job) => job.status === "done")
+      .map((job) => job.id);
+    const hadNewResults = nowDone.some((id) => !doneJobIds.has(id));
+    doneJobIds = new Set(nowDone);
+    if (hadNewResults) loadPapers().then(renderGraph);
+  });
+}
+
+// Initialise on load
+initialiseGraph();
@@ -0,0 +1,161 @@
+// Groups papers into topic clusters for the connection graph. Papers are
+// compared on the vocabulary of their titles and summaries (TF-IDF, with the
+// stemming and stop words of dashboard/search-index.js, which must be loaded
+// first), and connected papers are pulled together by their connection's
+// strength. Clusters are found by label propagation and named after the
+// words their papers share.
+
+// Words too generic to say anything about a paper's topic.
+const TOPIC_STOP_WORDS = new Set(
+  `also approach based can data demonstrate existing find findings how method
+  methods model models new novel our paper propose proposed provide result
+  results show shows study such than these they through two use used using we
+  well when while work`.split(/\s+/)
+);
+
+// Papers whose vocabularies are at least this similar (cosine) are treated
+// as neighbours even when no connection was detected between them.
+const TOPIC_SIMILARITY_THRESHOLD = 0.2;
+
+const TOPIC_MAX_ITERATIONS = 20;
+
+// Counts a paper's topic terms, the title counting twice. `displayWords`
+// collects the first word seen for each stem, for cluster labels.
+function getTopicTerms(paper, displayWords) {
+  const counts = new Map();
+  const add = (text, weight) => {
+    const words = (text || "").toLowerCase().match(/[a-z][a-z0-9]{2,}/g) || [];
+    for (const word of words) {
+      if (SEARCH_STOP_WORDS.has(word) || TOPIC_STOP_WORDS.has(word)) continue;
+      const stem = stemTerm(word);
+      counts.set(stem, (counts.get(stem) || 0) + weight);
+      if (!displayWords.has(stem)) displayWords.set(stem, word);
+    }
+  };
+  add(paper.title, 2);
+  add(paper.summary, 1);
+  return counts;
+}
+
+// Builds unit-length TF-IDF vectors (term -> weight) from term counts.
+function getTopicVectors(termCounts) {
+  const documentFrequency = new Map();
+  termCounts.forEach((counts) =>
+    counts.forEach((_, term) =>
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+    )
+  );
+
+  return termCounts.map((counts) => {
+    const vector = new Map();
+    let norm = 0;
+    counts.forEach((count, term) => {
+      const weight =
+        count * Math.log(1 + termCounts.length / documentFrequency.get(term));
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm) || 1;
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+    return vector;
+  });
+}
+
+function cosineSimilarity(a, b) {
+  const [smaller, larger] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  smaller.forEach((weight, term) => {
+    if (larger.has(term)) dot += weight * larger.get(term);
+  });
+  return dot;
+}
+
+// Clusters papers by topic. `links` are [indexA, indexB, strength] pairs of
+// connected papers, strength from 1 to 10. Returns the clusters, largest
+// first, as { label, members } with `members` holding paper indexes; papers
+// with no neighbours form clusters of their own.
+function clusterPapersByTopic(papers, links = []) {
+  const displayWords = new Map();
+  const vectors = getTopicVectors(
+    papers.map((paper) => getTopicTerms(paper, displayWords))
+  );
+
+  const neighbours = papers.map(() => new Map());
+  const addNeighbour = (a, b, weight) => {
+    neighbours[a].set(b, (neighbours[a].get(b) || 0) + weight);
+    neighbours[b].set(a, (neighbours[b].get(a) || 0) + weight);
+  };
+  for (let a = 0; a < papers.length; a++) {
+    for (let b = a + 1; b < papers.length; b++) {
+      const similarity = cosineSimilarity(vectors[a], vectors[b]);
+      if (similarity >= TOPIC_SIMILARITY_THRESHOLD) {
+        addNeighbour(a, b, similarity);
+      }
+    }
+  }
+  links.forEach(([a, b, strength]) => addNeighbour(a, b, strength / 10));
+
+  // Each paper repeatedly joins the cluster its neighbours weigh most
+  // towards; ties go to the lower label so the result is stable.
+  const labels = papers.map((_, index) => index);
+  for (let iteration = 0; iteration < TOPIC_MAX_ITERATIONS; iteration++) {
+    let changed = false;
+    neighbours.forEach((paperNeighbours, index) => {
+      const scores = new Map();
+      paperNeighbours.forEach((weight, neighbour) => {
+        const label = labels[neighbour];
+        scores.set(label, (scores.get(label) || 0) + weight);
+      });
+
+      let best = labels[index];
+      let bestScore = scores.get(best) || 0;
+      scores.forEach((score, label) => {
+        if (score > bestScore || (score === bestScore && label < best)) {
+          best = label;
+          bestScore = score;
+        }
+      });
+      if (best !== labels[index]) {
+        labels[index] = best;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+  }
+
+  const membersByLabel = new Map();
+  labels.forEach((label, index) => {
+    if (!membersByLabel.has(label)) membersByLabel.set(label, []);
+    membersByLabel.get(label).push(index);
+  });
+
+  return [...membersByLabel.values()]
+    .map((members) => ({
+      label: getClusterLabel(members, vectors, displayWords),
+      members,
+    }))
+    .sort((a, b) => b.members.length - a.members.length);
+}
+
+// Names a cluster after its two heaviest terms, preferring terms shared by
+// more than one of its papers.
+function getClusterLabel(members, vectors, displayWords) {
+  const weights = new Map();
+  const paperCounts = new Map();
+  members.forEach((index) =>
+    vectors[index].forEach((weight, term) => {
+      weights.set(term, (weights.get(term) || 0) + weight);
+      paperCounts.set(term, (paperCounts.get(term) || 0) + 1);
+    })
+  );
+
+  const terms = [...weights.keys()].sort(
+    (a, b) =>
+      Math.min(paperCounts.get(b), 2) - Math.min(paperCounts.get(a), 2) ||
+      weights.get(b) - weights.get(a)
+  );
+  return terms
+    .slice(0, 2)
+    .map((term) => displayWords.get(term))
+    .join(", ");
+}
@@ -9,15 +9,21 @@ const helpBtn = document.getElementById("helpBtn");
 const analyseBtn = document.getElementById("analyseBtn");
 
 const summaryLengthSelect = document.getElementById("summaryLength");
-const connectionDetectionToggle = document.getElementById(
+const connectionDetectionSelect = document.getElementById(
   "connectionDetection"
 );
+const maxConnectionCandidatesInput = document.getElementById(
+  "maxConnectionCandidates"
+);
+const minConnectionStrengthInput = document.getElementById(
+  "minConnectionStrength"
+);
 const autoAnalyseToggle = document.getElementById("autoAnalyse");
 const clearDataBtn = document.getElementById("clearDataBtn");
 
 // State
-let currentAnalysis = null;
 let isAnalysing = false;
+let isExtracting = false;
 
 // Status indicator elements
 const statusDot = document.querySelector(".status-dot");
@@ -42,6 +48,7 @@ async function initialisePopup() {
   await loadLatestInsight();
   await checkAPIAvailability();
   loadSettings();
+  await resumeRunningAnalysis();
 }
 
 async function checkAPIAvailability() {
@@ -116,10 +123,29 @@ async function openResultsWindow(analysisId = "latest") {
   }
 }
 
-// NEW: Check if paper already exists
-async function checkForDuplicate(paperUrl) {
-  const { analyses = [] } = await chrome.storage.local.get("analyses");
-  return analyses.find((analysis) => analysis.url === paperUrl);
+// Finds the paper in the library under any of its URLs.
+async function checkForDuplicate(paperData) {
+  return libraryStore.findPaper(paperData);
+}
+
+// Queues a new revision of a saved paper from the extracted page.
+async function queueReanalysis(existingPaper, paperData) {
+  const response = await chrome.runtime.sendMessage({
+    action: "queueAnalyses",
+    source: "popup",
+    items: [
+      {
+        url: paperData.url,
+        title: paperData.title,
+        paperData,
+        reanalyseId: existingPaper.timestamp,
+      },
+    ],
+  });
+  if (!response.success) {
+    throw new Error(response.error || "Failed to queue analysis");
+  }
+  return response.jobIds[0] || null;
 }
 
 async function analysePaper() {
@@ -132,9 +158,18 @@ async function analysePaper() {
       currentWindow: true,
     });
 
-    const contentResponse = await chrome.tabs.sendMessage(tab.id, {
-      action: "extractContent",
-    });
+    // PDFs are read page by page; content.js reports progress as it goes.
+    const idleButtonHtml = analyseBtn.innerHTML;
+    isExtracting = true;
+    let contentResponse;
+    try {
+      contentResponse = await chrome.tabs.sendMessage(tab.id, {
+        action: "extractContent",
+      });
+    } finally {
+      isExtracting = false;
+      analyseBtn.innerHTML = idleButtonHtml;
+    }
 
     if (!contentResponse.success || !contentResponse.data) {
       throw new Error("Failed to extract paper content");
@@ -148,8 +183,24 @@ async function analysePaper() {
       );
     }
 
-    // NEW: Check for duplicate and automatically show existing analysis
-    const existingPaper = await checkForDuplicate(contentResponse.data.url);
+    // Show the existing analysis, unless arXiv has a newer version of the
+    // paper than the one analysed.
+    const existingPaper = await checkForDuplicate(contentResponse.data);
+    const newVersion = contentResponse.data.arxivVersion;
+
+    if (
+      existingPaper &&
+      newVersion &&
+      existingPaper.arxivVersion &&
+      newVersion > existingPaper.arxivVersion
+    ) {
+      showNotification(
+        `Version ${newVersion} is newer than the analysed v${existingPaper.arxivVersion}; re-analysing`
+      );
+      const jobId = await queueReanalysis(existingPaper, contentResponse.data);
+      await followAnalysisJob(jobId, contentResponse.data.url);
+      return;
+    }
 
     if (existingPaper) {
       console.log("[NovaMind] Found existing analysis for this paper");
@@ -159,73 +210,109 @@ async function analysePaper() {
       return;
     }
 
-    // Continue with analysis for new papers
-    isAnalysing = true;
-    analyseBtn.disabled = true;
-    updateAnalysisProgress(0);
+    // Queue the analysis in the background so it keeps running if the
+    // popup closes, then follow the job's progress.
+    const queueResponse = await chrome.runtime.sendMessage({
+      action: "analysePaper",
+      paperData: contentResponse.data,
+    });
+    if (!queueResponse.success) {
+      throw new Error(queueResponse.error || "Failed to queue analysis");
+    }
+
+    await followAnalysisJob(
+      queueResponse.jobIds[0] || null,
+      contentResponse.data.url
+    );
+  } catch (error) {
+    console.error("Pre-analysis error:", error);
+    showNotification(error.message || "Failed to start analysis", "error");
+  }
+}
 
-    // Start polling for progress updates from storage
-    const progressInterval = setInterval(async () => {
+// Polls a queued analysis job until it finishes. With no job ID, follows the
+// active job for the URL (e.g. one queued before the popup was reopened).
+function waitForAnalysisJob(jobId, url, onProgress) {
+  return new Promise((resolve, reject) => {
+    const poll = setInterval(async () => {
       try {
-        const { analysisProgress } = await chrome.storage.local.get(
-          "analysisProgress"
+        const { analysisQueue = [] } = await chrome.storage.local.get(
+          "analysisQueue"
         );
-        if (analysisProgress !== undefined && isAnalysing) {
-          updateAnalysisProgress(analysisProgress);
+        const job = jobId
+          ? analysisQueue.find((j) => j.id === jobId)
+          : analysisQueue.find(
+              (j) => j.url === url && ["queued", "running"].includes(j.status)
+            );
+
+        if (!job) {
+          clearInterval(poll);
+          reject(new Error("The analysis job was removed"));
+          return;
+        }
+        jobId = job.id;
+        onProgress(job.progress || 0);
+
+        if (job.status === "done") {
+          clearInterval(poll);
+          resolve(job);
+        } else if (job.status === "failed" || job.status === "cancelled") {
+          clearInterval(poll);
+          reject(new Error(job.error || "Analysis cancelled"));
         }
       } catch (error) {
-        // Ignore errors
+        // Ignore transient storage errors and keep polling
       }
-    }, 100); // Poll every 100ms for smooth progress updates
-
-    try {
-      // Analyse with Chrome AI APIs
-      updateAnalysisProgress(15);
-      const analysisResponse = await chrome.runtime.sendMessage({
-        action: "analysePaper",
-        paperData: contentResponse.data,
-      });
-
-      if (!analysisResponse.success) {
-        throw new Error(analysisResponse.error || "Analysis failed");
-      }
-
-      currentAnalysis = analysisResponse.data;
+    }, 250);
+  });
+}
 
-      // Update UI
-      updateAnalysisProgress(100);
-      await loadStats();
-      await loadLatestInsight();
+// Shows a job's progress on the analyse button and opens its results.
+async function followAnalysisJob(jobId, url) {
+  isAnalysing = true;
+  analyseBtn.disabled = true;
+  updateAnalysisProgress(0);
 
-      // Clear progress from storage
-      await chrome.storage.local.remove("analysisProgress");
+  try {
+    const job = await waitForAnalysisJob(jobId, url, updateAnalysisProgress);
 
-      // Restore ready status
-      setStatus("ready", "Ready");
+    // Update UI
+    updateAnalysisProgress(100);
+    await loadStats();
+    await loadLatestInsight();
 
-      // Open results in popup window
-      await openResultsWindow("latest");
-    } catch (error) {
-      console.error("Analysis error:", error);
-      setStatus("error", "Error");
-      showNotification(error.message || "Failed to analyse paper", "error");
-
-      // Reset to ready status after 3 seconds
-      setTimeout(async () => {
-        await checkAPIAvailability();
-      }, 3000);
-    } finally {
-      // Stop polling for progress updates
-      clearInterval(progressInterval);
+    // Restore ready status
+    setStatus("ready", "Ready");
 
-      isAnalysing = false;
-      analyseBtn.disabled = false;
-      analyseBtn.innerHTML =
-        '<div class="btn-content"><span class="btn-text">Analyse Current Page</span></div>';
-    }
+    // Open results in popup window
+    await openResultsWindow(job.paperId);
   } catch (error) {
-    console.error("Pre-analysis error:", error);
-    showNotification(error.message || "Failed to start analysis", "error");
+    console.error("Analysis error:", error);
+    setStatus("error", "Error");
+    showNotification(error.message || "Failed to analyse paper", "error");
+
+    // Reset to ready status after 3 seconds
+    setTimeout(async () => {
+      await checkAPIAvailability();
+    }, 3000);
+  } finally {
+    isAnalysing = false;
+    analyseBtn.disabled = false;
+    analyseBtn.innerHTML =
+      '<div class="btn-content"><span class="btn-text">Analyse Current Page</span></div>';
+  }
+}
+
+// Picks up an analysis started from the popup before it was closed.
+async function resumeRunningAnalysis() {
+  const { analysisQueue = [] } = await chrome.storage.local.get(
+    "analysisQueue"
+  );
+  const job = analysisQueue.find(
+    (j) => j.source === "popup" && ["queued", "running"].includes(j.status)
+  );
+  if (job) {
+    followAnalysisJob(job.id, job.url);
   }
 }
 
@@ -233,6 +320,10 @@ function updateAnalysisProgress(percentage) {
   analyseBtn.innerHTML = `<span class="btn-icon">${percentage}%</span><div class="btn-content"><span class="btn-text">Analysing...</span></div>`;
 }
 
+function updateExtractionProgress(pageNumber, numPages) {
+  analyseBtn.innerHTML = `<span class="btn-icon">${pageNumber}/${numPages}</span><div class="btn-content"><span class="btn-text">Reading PDF...</span></div>`;
+}
+
 // View insights dashboard - open in new tab
 document
   .querySelector(".action-btn.secondary")
@@ -245,7 +336,7 @@ document
 
 async function loadStats() {
   try {
-    const { analyses = [] } = await chrome.storage.local.get("analyses");
+    const analyses = await libraryStore.getAllPapers();
 
     const statNumbers = document.querySelectorAll(".stat-number");
     statNumbers[0].textContent = analyses.length; // Analysed count
@@ -263,14 +354,14 @@ async function loadStats() {
 
 async function loadLatestInsight() {
   try {
-    const { analyses = [] } = await chrome.storage.local.get("analyses");
+    const latest = await libraryStore.getLatestPaper();
 
     const insightItem = document.querySelector(".insight-item");
     const insightTitle = document.querySelector(".insight-title");
     const insightText = document.querySelector(".insight-text");
 
     // If no analyses, show empty state
-    if (analyses.length === 0) {
+    if (!latest) {
       insightTitle.textContent = "No analyses yet";
       insightText.textContent = "Analyse your first paper to get started";
       insightItem.style.cursor = "default";
@@ -278,8 +369,6 @@ async function loadLatestInsight() {
     }
 
     // Show latest analysis
-    const latest = analyses[0];
-
     insightTitle.textContent = latest.title;
     insightText.textContent = latest.summary.slice(0, 150) + "...";
 
@@ -341,26 +430,70 @@ function closeModal(modal) {
 function loadSettings() {
   chrome.storage.local.get(["settings"], (result) => {
     const settings = result.settings || {
-      autoAnalyze: true,
+      autoAnalyse: false,
       summaryLength: "medium",
-      connectionDetection: true,
+      connectionDetection: "onSave",
     };
 
-    autoAnalyseToggle.checked = settings.autoAnalyse;
+    // Older versions saved the toggle as "autoAnalyze".
+    autoAnalyseToggle.checked = Boolean(
+      "autoAnalyse" in settings ? settings.autoAnalyse : settings.autoAnalyze
+    );
     summaryLengthSelect.value = settings.summaryLength;
-    connectionDetectionToggle.checked = settings.connectionDetection;
+
+    // Older versions saved connection detection as an on/off toggle.
+    let connectionMode = settings.connectionDetection;
+    if (connectionMode === false) connectionMode = "off";
+    if (!["off", "onSave", "onDemand"].includes(connectionMode)) {
+      connectionMode = "onSave";
+    }
+    connectionDetectionSelect.value = connectionMode;
+    maxConnectionCandidatesInput.value =
+      settings.maxConnectionCandidates !== undefined
+        ? settings.maxConnectionCandidates
+        : 10;
+    minConnectionStrengthInput.value = settings.minConnectionStrength || 1;
+    updateConnectionSettingsState();
   });
 }
 
+// Greys out the connection options that have no effect when detection is off.
+function updateConnectionSettingsState() {
+  const isOff = connectionDetectionSelect.value === "off";
+  maxConnectionCandidatesInput.disabled = isOff;
+  minConnectionStrengthInput.disabled = isOff;
+}
+
+// Reads a number input, clamped to its min and max.
+function readNumberInput(input, fallback) {
+  const value = Math.round(Number(input.value));
+  if (input.value === "" || Number.isNaN(value)) return fallback;
+  return Math.min(Number(input.max), Math.max(Number(input.min), value));
+}
+
 function saveSettings() {
-  const settings = {
-    autoAnalyze: autoAnalyseToggle.checked,
-    summaryLength: summaryLengthSelect.value,
-    connectionDetection: connectionDetectionToggle.checked,
-  };
-
-  chrome.storage.local.set({ settings }, () => {
-    showNotification("Settings saved successfully", "success");
+  chrome.storage.local.get(["settings"], (result) => {
+    // Keep settings saved from other pages.
+    const settings = {
+      ...result.settings,
+      autoAnalyse: autoAnalyseToggle.checked,
+      summaryLength: summaryLengthSelect.value,
+      connectionDetection: connectionDetectionSelect.value,
+      maxConnectionCandidates: readNumberInput(
+        maxConnectionCandidatesInput,
+        10
+      ),
+      minConnectionStrength: readNumberInput(minConnectionStrengthInput, 1),
+    };
+    delete settings.autoAnalyze;
+
+    maxConnectionCandidatesInput.value = settings.maxConnectionCandidates;
+    minConnectionStrengthInput.value = settings.minConnectionStrength;
+    updateConnectionSettingsState();
+
+    chrome.storage.local.set({ settings }, () => {
+      showNotification("Settings saved successfully", "success");
+    });
   });
 }
 
@@ -370,8 +503,10 @@ settingsBtn.addEventListener("click", () => openModal("settings"));
 helpBtn.addEventListener("click", () => openModal("help"));
 
 summaryLengthSelect.addEventListener("change", saveSettings);
-connectionDetectionToggle.addEventListener("change", saveSettings);
-autoAnalyseToggle.addEventListener("change", saveSettings); // This is the corrected line
+connectionDetectionSelect.addEventListener("change", saveSettings);
+maxConnectionCandidatesInput.addEventListener("change", saveSettings);
+minConnectionStrengthInput.addEventListener("change", saveSettings);
+autoAnalyseToggle.addEventListener("change", saveSettings);
 
 document.querySelectorAll(".modal-close").forEach((btn) => {
   btn.addEventListener("click", (e) => {
@@ -391,11 +526,11 @@ Object.values(modals).forEach((modal) => {
 clearDataBtn.addEventListener("click", async () => {
   const confirmed = confirm(
     "Are you sure you want to delete all analysed papers and insights?\n\n" +
-      "This action cannot be undone. Consider exporting your data first."
+      "This action cannot be undone. Consider backing up your library from the dashboard first."
   );
 
   if (confirmed) {
-    await chrome.storage.local.set({ analyses: [] });
+    await libraryStore.clearPapers();
     await loadStats();
     document.querySelector(".insight-title").textContent = "No analyses yet";
     document.querySelector(".insight-text").textContent =
@@ -437,12 +572,15 @@ CONNECTIONS
 ${
   analysis.connections && analysis.connections.length > 0
     ? analysis.connections
-        .map(
-          (c, i) =>
-            `${i + 1}. ${c.paperTitle} (${c.type}, strength: ${
-              c.strength
-            }/10)\n   ${c.description}`
-        )
+        .map((c, i) => {
+          // Connections saved before typing was added have no type/strength.
+          const label = [c.type, c.strength && `strength: ${c.strength}/10`]
+            .filter(Boolean)
+            .join(", ");
+          return `${i + 1}. ${c.paperTitle}${label ? ` (${label})` : ""}\n   ${
+            c.description
+          }`;
+        })
         .join("\n\n")
     : "No connections found"
 }
@@ -499,11 +637,11 @@ function showNotification(message, type = "info") {
 }
 
 // Listen for progress updates from background script
-// Note: We primarily use storage polling (in analysePaper function) for reliable updates,
-// but keep this listener as a backup in case direct messaging works
+// Note: Job progress is polled from storage (in waitForAnalysisJob); this
+// listener covers PDF extraction, which happens before a job is queued
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === "analysisProgress" && isAnalysing) {
-    updateAnalysisProgress(request.progress);
+  if (request.action === "pdfExtractionProgress" && isExtracting) {
+    updateExtractionProgress(request.pageNumber, request.numPages);
   }
 });
 
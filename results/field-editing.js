@@ -0,0 +1,163 @@
+// Inline editing of the analysed fields on the results page. Saved edits are
+// flagged on the paper (see libraryStore.saveFieldEdit) so re-analysis keeps
+// the user's text, and can be reverted to the generated text.
+
+// Labels of the editable fields. List fields are edited one item per line.
+const EDITABLE_FIELD_LABELS = {
+  summary: "Summary",
+  keyFindings: "Key Findings",
+  researchQuestion: "Research Question",
+  methodology: "Methodology",
+  researchGaps: "Research Gaps",
+  trajectorySuggestions: "Future Research Directions",
+};
+
+const LIST_FIELDS = ["keyFindings", "researchGaps", "trajectorySuggestions"];
+
+function isListField(field) {
+  return LIST_FIELDS.includes(field);
+}
+
+// Shows which fields are edited, with a Revert button for each.
+function updateFieldEditState(analysis) {
+  const edited = analysis.userEditedFields || {};
+
+  document.querySelectorAll("[data-edited-field]").forEach((badge) => {
+    const editedAt = edited[badge.dataset.editedField];
+    badge.hidden = !editedAt;
+    badge.title = editedAt
+      ? `Edited by you on ${new Date(
+          editedAt
+        ).toLocaleString()}. Re-analysis keeps this text.`
+      : "";
+  });
+  document.querySelectorAll(".field-revert-btn").forEach((button) => {
+    button.hidden = !edited[button.dataset.field];
+  });
+}
+
+// Labels of the fields the user has edited, for messages.
+function getEditedFieldLabels(analysis) {
+  return Object.keys(analysis.userEditedFields || {})
+    .filter((field) => EDITABLE_FIELD_LABELS[field])
+    .map((field) => EDITABLE_FIELD_LABELS[field]);
+}
+
+// Replaces a field's content with a text editor until it is saved or
+// cancelled.
+function startEditingField(field) {
+  if (!currentAnalysis) return;
+  const section = document.querySelector(
+    `.analysis-section[data-field="${field}"]`
+  );
+  if (section.querySelector(".field-editor")) return;
+
+  const value = currentAnalysis[field];
+  const contents = section.querySelectorAll(":scope > :not(.section-header)");
+  contents.forEach((element) => (element.hidden = true));
+  section.querySelector(".field-edit-btn").disabled = true;
+
+  const editor = document.createElement("div");
+  editor.className = "field-editor";
+  editor.innerHTML = `
+    <textarea class="field-editor-input" rows="${
+      isListField(field) ? 6 : 8
+    }"></textarea>
+    <div class="field-editor-footer">
+      <span class="field-editor-hint">${
+        isListField(field)
+          ? "One item per line. Markdown **bold** and *italic* are kept."
+          : "Markdown **bold**, *italic* and - lists are kept."
+      } Ctrl+Enter saves, Esc cancels.</span>
+      <div class="field-editor-actions">
+        <button class="note-btn field-cancel-btn">Cancel</button>
+        <button class="note-btn primary field-save-btn">Save</button>
+      </div>
+    </div>
+  `;
+  section.appendChild(editor);
+
+  const input = editor.querySelector("textarea");
+  input.value = Array.isArray(value) ? value.join("\n") : value || "";
+  input.focus();
+
+  const close = () => {
+    editor.remove();
+    contents.forEach((element) => (element.hidden = false));
+    section.querySelector(".field-edit-btn").disabled = false;
+  };
+  const save = async () => {
+    const saved = await saveFieldEdit(field, input.value);
+    if (saved) close();
+  };
+
+  editor.querySelector(".field-cancel-btn").addEventListener("click", close);
+  editor.querySelector(".field-save-btn").addEventListener("click", save);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      save();
+    } else if (e.key === "Escape") {
+      close();
+    }
+  });
+}
+
+// Turns an edited list back into items, dropping bullets, numbering and
+// blank lines.
+function parseListFieldText(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/^\s*(?:[-•*]|\d+[.)])\s+/, "").trim())
+    .filter(Boolean);
+}
+
+// Saves a field's new text. Returns true once it is stored.
+async function saveFieldEdit(field, text) {
+  const value = isListField(field) ? parseListFieldText(text) : text.trim();
+
+  try {
+    await libraryStore.saveFieldEdit(currentAnalysis.timestamp, field, value);
+    currentAnalysis = await libraryStore.getPaper(currentAnalysis.timestamp);
+    displayAnalysis(currentAnalysis);
+    showNotification(`${EDITABLE_FIELD_LABELS[field]} saved`);
+    return true;
+  } catch (error) {
+    console.error("Failed to save edit:", error);
+    showNotification("Failed to save your changes", true);
+    return false;
+  }
+}
+
+async function revertFieldEdit(field) {
+  if (!currentAnalysis) return;
+  if (
+    !confirm(
+      `Replace your ${EDITABLE_FIELD_LABELS[
+        field
+      ].toLowerCase()} with the generated text?`
+    )
+  ) {
+    return;
+  }
+
+  try {
+    await libraryStore.revertFieldEdit(currentAnalysis.timestamp, field);
+    currentAnalysis = await libraryStore.getPaper(currentAnalysis.timestamp);
+    displayAnalysis(currentAnalysis);
+    showNotification(`${EDITABLE_FIELD_LABELS[field]} reverted`);
+  } catch (error) {
+    console.error("Failed to revert edit:", error);
+    showNotification("Failed to revert your changes", true);
+  }
+}
+
+document.querySelectorAll(".field-edit-btn").forEach((button) => {
+  button.addEventListener("click", () =>
+    startEditingField(button.dataset.field)
+  );
+});
+
+document.querySelectorAll(".field-revert-btn").forEach((button) => {
+  button.addEventListener("click", () => revertFieldEdit(button.dataset.field));
+});
@@ -0,0 +1,175 @@
+// Regenerates a single analysis step from the results page, with optional
+// guidance for the model. The background worker re-runs the step on the
+// paper's saved sections and stores the result as a new revision.
+
+// Sections filled by each analysis step.
+const STEP_FIELDS = {
+  summary: ["summary"],
+  findings: ["keyFindings"],
+  question: ["researchQuestion", "methodology"],
+  gaps: ["researchGaps"],
+  trajectories: ["trajectorySuggestions"],
+};
+
+// Steps that need the paper's saved sections (see SOURCE_TEXT_STEPS in
+// background.js).
+const SOURCE_TEXT_STEPS = ["question", "gaps", "trajectories"];
+
+// Longest guidance the background worker accepts.
+const MAX_GUIDANCE_LENGTH = 500;
+
+let regeneratingStep = null;
+
+// Disables the steps that cannot run on papers analysed before their
+// sections were saved.
+function updateRegenerateButtons(analysis) {
+  document.querySelectorAll(".field-regenerate-btn").forEach((button) => {
+    const unavailable =
+      !analysis.sourceTexts && SOURCE_TEXT_STEPS.includes(button.dataset.step);
+    button.disabled = Boolean(regeneratingStep) || unavailable;
+    button.title = unavailable
+      ? "This paper's sections were not saved when it was analysed. Re-analyse it to regenerate this section."
+      : "Run this step again, optionally with your guidance";
+  });
+}
+
+// Fields the step will replace. Without an introduction, the question step
+// only rewrites the methodology.
+function getRegeneratedFields(step) {
+  if (step === "question" && !currentAnalysis.sourceTexts?.introductionText) {
+    return ["methodology"];
+  }
+  return STEP_FIELDS[step];
+}
+
+// Opens the guidance form under a section's header.
+function startRegeneratingField(field, step) {
+  if (!currentAnalysis || regeneratingStep) return;
+  const section = document.querySelector(
+    `.analysis-section[data-field="${field}"]`
+  );
+  if (section.querySelector(".field-editor, .field-regenerator")) return;
+
+  const regenerator = document.createElement("div");
+  regenerator.className = "field-regenerator";
+  regenerator.innerHTML = `
+    <textarea
+      class="field-editor-input"
+      rows="2"
+      maxlength="${MAX_GUIDANCE_LENGTH}"
+      placeholder="Optional guidance, e.g. focus on the evaluation, or keep it to one sentence"
+    ></textarea>
+    <div class="field-editor-footer">
+      <span class="field-editor-hint">${getRegenerateHint(step)}</span>
+      <div class="field-editor-actions">
+        <button class="note-btn regenerate-cancel-btn">Cancel</button>
+        <button class="note-btn primary regenerate-run-btn">Regenerate</button>
+      </div>
+    </div>
+  `;
+  section.querySelector(".section-header").after(regenerator);
+
+  const input = regenerator.querySelector("textarea");
+  input.focus();
+
+  const close = () => regenerator.remove();
+  const run = async () => {
+    if (regeneratingStep) return;
+    const done = await regenerateStep(step, input.value, regenerator);
+    if (done) close();
+  };
+
+  regenerator
+    .querySelector(".regenerate-cancel-btn")
+    .addEventListener("click", close);
+  regenerator
+    .querySelector(".regenerate-run-btn")
+    .addEventListener("click", run);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      run();
+    } else if (e.key === "Escape" && !regeneratingStep) {
+      close();
+    }
+  });
+}
+
+// Says which sections the step replaces, and which of them the user edited.
+function getRegenerateHint(step) {
+  const fields = getRegeneratedFields(step);
+  const labels = fields.map((field) => EDITABLE_FIELD_LABELS[field]);
+  const edited = fields
+    .filter((field) => currentAnalysis.userEditedFields?.[field])
+    .map((field) => EDITABLE_FIELD_LABELS[field]);
+
+  let hint = `Replaces the ${labels.join(" and ").toLowerCase()}`;
+  if (edited.length > 0) {
+    hint += `, including your edits to ${edited.join(" and ").toLowerCase()}`;
+  }
+  return `${hint}. The current text stays in the revision history.`;
+}
+
+// Asks the background worker to re-run a step. Returns true once the new
+// text is shown.
+async function regenerateStep(step, guidance, regenerator) {
+  regeneratingStep = step;
+  setRegenerateBusy(step, regenerator, true);
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: "regenerateField",
+      paperId: currentAnalysis.timestamp,
+      step,
+      guidance: guidance.trim(),
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || "Regeneration failed");
+    }
+
+    const labels = getRegeneratedFields(step).map(
+      (field) => EDITABLE_FIELD_LABELS[field]
+    );
+    currentAnalysis = response.paper;
+    displayAnalysis(currentAnalysis);
+    showNotification(
+      `${labels.join(" and ")} regenerated. Confidence: ${
+        currentAnalysis.confidence
+      }%`
+    );
+    return true;
+  } catch (error) {
+    console.error("Failed to regenerate:", error);
+    showNotification(error.message, true);
+    return false;
+  } finally {
+    regeneratingStep = null;
+    setRegenerateBusy(step, regenerator, false);
+  }
+}
+
+// Disables the step's sections while it runs; other steps wait too, as they
+// share the same AI sessions.
+function setRegenerateBusy(step, regenerator, busy) {
+  updateRegenerateButtons(currentAnalysis);
+  getRegeneratedFields(step).forEach((field) => {
+    const section = document.querySelector(
+      `.analysis-section[data-field="${field}"]`
+    );
+    section.classList.toggle("regenerating", busy);
+    section.querySelector(".field-edit-btn").disabled =
+      busy || Boolean(section.querySelector(".field-editor"));
+  });
+
+  regenerator.querySelector("textarea").disabled = busy;
+  regenerator.querySelector(".regenerate-cancel-btn").disabled = busy;
+  const runButton = regenerator.querySelector(".regenerate-run-btn");
+  runButton.disabled = busy;
+  runButton.textContent = busy ? "Regenerating..." : "Regenerate";
+}
+
+document.querySelectorAll(".field-regenerate-btn").forEach((button) => {
+  button.addEventListener("click", () =>
+    startRegeneratingField(button.dataset.field, button.dataset.step)
+  );
+});
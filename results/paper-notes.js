@@ -0,0 +1,232 @@
+// Personal markdown notes on a paper. Notes are kept in the library's notes
+// store, saved while typing, and rendered with formatMarkdownText. Other
+// pages are told when they change so the dashboard can re-index them.
+
+// Delay after the last keystroke before a note is saved.
+const NOTE_AUTOSAVE_DELAY = 800;
+
+let paperNotes = [];
+let editingNoteIds = new Set();
+const noteSaveTimers = new Map();
+
+async function loadNotes(paperId) {
+  try {
+    paperNotes = await libraryStore.getNotesForPaper(paperId);
+  } catch (error) {
+    console.error("Failed to load notes:", error);
+    paperNotes = [];
+  }
+  renderNotes();
+}
+
+function renderNotes() {
+  const notesList = document.getElementById("notesList");
+  document.getElementById("notesBadge").textContent = paperNotes.filter(
+    (note) => note.text.trim()
+  ).length;
+
+  if (paperNotes.length === 0) {
+    notesList.innerHTML =
+      '<p class="loading-text">No notes yet. Add one to keep your own thoughts on this paper.</p>';
+    return;
+  }
+
+  notesList.innerHTML = paperNotes
+    .map((note) =>
+      editingNoteIds.has(note.id)
+        ? `
+      <div class="note-card editing" data-note-id="${note.id}">
+        <textarea
+          class="note-editor"
+          placeholder="Write in markdown: **bold**, *italic*, - lists"
+          rows="6"
+        >${escapeHtml(note.text)}</textarea>
+        <div class="note-footer">
+          <span class="note-status">${getNoteTimestamps(note)}</span>
+          <div class="note-actions">
+            <button class="note-btn note-delete-btn">Delete</button>
+            <button class="note-btn primary note-done-btn">Done</button>
+          </div>
+        </div>
+      </div>
+    `
+        : `
+      <div class="note-card" data-note-id="${note.id}">
+        <div class="note-text">${formatMarkdownText(note.text)}</div>
+        <div class="note-footer">
+          <span class="note-status">${getNoteTimestamps(note)}</span>
+          <div class="note-actions">
+            <button class="note-btn note-delete-btn">Delete</button>
+            <button class="note-btn note-edit-btn">Edit</button>
+          </div>
+        </div>
+      </div>
+    `
+    )
+    .join("");
+
+  notesList.querySelectorAll(".note-card").forEach((card) => {
+    const note = paperNotes.find((n) => n.id === card.dataset.noteId);
+    const editor = card.querySelector(".note-editor");
+
+    if (editor) {
+      editor.addEventListener("input", () => {
+        note.text = editor.value;
+        scheduleNoteSave(note, card);
+      });
+      card
+        .querySelector(".note-done-btn")
+        .addEventListener("click", () => finishEditingNote(note));
+    } else {
+      card.querySelector(".note-edit-btn").addEventListener("click", () => {
+        editingNoteIds.add(note.id);
+        renderNotes();
+        focusNoteEditor(note.id);
+      });
+    }
+
+    card
+      .querySelector(".note-delete-btn")
+      .addEventListener("click", () => deleteNote(note));
+  });
+}
+
+// "Created …", plus "edited …" once the note has changed since. The exact
+// times are in the tooltip.
+function getNoteTimestamps(note) {
+  const created = new Date(note.createdAt);
+  const updated = new Date(note.updatedAt);
+  const title = `Created ${created.toLocaleString()}${
+    note.updatedAt !== note.createdAt
+      ? `\nLast edited ${updated.toLocaleString()}`
+      : ""
+  }`;
+  const text =
+    note.updatedAt !== note.createdAt
+      ? `Edited ${formatDateTime(updated)}`
+      : `Created ${formatDateTime(created)}`;
+  return `<span title="${escapeHtml(title)}">${text}</span>`;
+}
+
+function focusNoteEditor(noteId) {
+  const editor = document.querySelector(
+    `.note-card[data-note-id="${noteId}"] .note-editor`
+  );
+  if (editor) {
+    editor.focus();
+    editor.setSelectionRange(editor.value.length, editor.value.length);
+  }
+}
+
+// Starts a new, empty note in edit mode. It is only stored once it has text.
+function addNote() {
+  if (!currentAnalysis) return;
+
+  const now = new Date().toISOString();
+  const note = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    paperId: currentAnalysis.timestamp,
+    text: "",
+    createdAt: now,
+    updatedAt: now,
+  };
+  paperNotes.unshift(note);
+  editingNoteIds.add(note.id);
+  renderNotes();
+  focusNoteEditor(note.id);
+}
+
+function scheduleNoteSave(note, card) {
+  clearTimeout(noteSaveTimers.get(note.id));
+  card.querySelector(".note-status").textContent = "Saving...";
+  noteSaveTimers.set(
+    note.id,
+    setTimeout(() => saveNote(note, card), NOTE_AUTOSAVE_DELAY)
+  );
+}
+
+async function saveNote(note, card) {
+  noteSaveTimers.delete(note.id);
+  note.updatedAt = new Date().toISOString();
+
+  try {
+    if (note.text.trim()) {
+      await libraryStore.saveNote(note);
+    } else {
+      // A note emptied while editing is removed rather than kept blank.
+      await libraryStore.deleteNote(note.id);
+    }
+    notifyNotesUpdated(note.paperId);
+    if (card && card.isConnected) {
+      card.querySelector(
+        ".note-status"
+      ).innerHTML = `Saved · ${getNoteTimestamps(note)}`;
+    }
+    document.getElementById("notesBadge").textContent = paperNotes.filter((n) =>
+      n.text.trim()
+    ).length;
+  } catch (error) {
+    console.error("Failed to save note:", error);
+    if (card && card.isConnected) {
+      card.querySelector(".note-status").textContent = "Not saved";
+    }
+    showNotification("Failed to save note", true);
+  }
+}
+
+// Saves any pending change and shows the note rendered. Empty notes are
+// dropped.
+async function finishEditingNote(note) {
+  if (noteSaveTimers.has(note.id)) {
+    clearTimeout(noteSaveTimers.get(note.id));
+    await saveNote(note, null);
+  }
+  editingNoteIds.delete(note.id);
+  if (!note.text.trim()) {
+    paperNotes = paperNotes.filter((n) => n.id !== note.id);
+  }
+  renderNotes();
+}
+
+async function deleteNote(note) {
+  if (note.text.trim() && !confirm("Delete this note?")) return;
+
+  clearTimeout(noteSaveTimers.get(note.id));
+  noteSaveTimers.delete(note.id);
+  try {
+    await libraryStore.deleteNote(note.id);
+    paperNotes = paperNotes.filter((n) => n.id !== note.id);
+    editingNoteIds.delete(note.id);
+    notifyNotesUpdated(note.paperId);
+    renderNotes();
+  } catch (error) {
+    console.error("Failed to delete note:", error);
+    showNotification("Failed to delete note", true);
+  }
+}
+
+// Saves notes still waiting for their autosave, e.g. before an export.
+async function flushNoteSaves() {
+  const pending = paperNotes.filter((note) => noteSaveTimers.has(note.id));
+  for (const note of pending) {
+    clearTimeout(noteSaveTimers.get(note.id));
+    const card = document.querySelector(
+      `.note-card[data-note-id="${note.id}"]`
+    );
+    await saveNote(note, card);
+  }
+}
+
+// Lets an open dashboard re-index the paper's notes.
+function notifyNotesUpdated(paperId) {
+  chrome.runtime
+    .sendMessage({ action: "notesUpdated", paperId })
+    .catch(() => {});
+}
+
+document.getElementById("addNoteBtn").addEventListener("click", addNote);
+
+// Save unsaved typing when the window is hidden or closed.
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") flushNoteSaves();
+});
@@ -6,15 +6,13 @@ async function loadAnalysis() {
     const analysisId = urlParams.get("id");
 
     if (analysisId === "latest") {
-      const { analyses = [] } = await chrome.storage.local.get("analyses");
-      if (analyses.length === 0) {
+      currentAnalysis = await libraryStore.getLatestPaper();
+      if (!currentAnalysis) {
         showError("No analysis found");
         return;
       }
-      currentAnalysis = analyses[0];
     } else if (analysisId) {
-      const { analyses = [] } = await chrome.storage.local.get("analyses");
-      currentAnalysis = analyses.find((a) => a.timestamp === analysisId);
+      currentAnalysis = await libraryStore.getPaper(analysisId);
       if (!currentAnalysis) {
         showError("Analysis not found");
         return;
@@ -25,17 +23,19 @@ async function loadAnalysis() {
     }
 
     displayAnalysis(currentAnalysis);
+    await loadNotes(currentAnalysis.timestamp);
   } catch (error) {
     console.error("Failed to load analysis:", error);
     showError("Failed to load analysis");
   }
 }
 
-// Function to convert markdown-style text to HTML
+// Function to convert markdown-style text to HTML. The text is escaped
+// first, as fields can hold the user's own edits and notes.
 function formatMarkdownText(text) {
   if (!text) return "";
 
-  let html = text;
+  let html = escapeHtml(text);
 
   // Convert bold text: **text** to <strong>text</strong>
   html = html.replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>");
@@ -100,12 +100,30 @@ function displayAnalysis(analysis) {
   const timestamp = new Date(analysis.timestamp);
   document.getElementById("analysedTime").textContent =
     formatDateDDMMYYYY(timestamp);
+  document.getElementById("arxivVersionItem").style.display =
+    analysis.arxivVersion ? "" : "none";
+  document.getElementById(
+    "arxivVersion"
+  ).textContent = `v${analysis.arxivVersion}`;
+  document.getElementById("revisedTimeItem").style.display = analysis.revisedAt
+    ? ""
+    : "none";
+  if (analysis.revisedAt) {
+    document.getElementById("revisedTime").textContent = formatDateDDMMYYYY(
+      new Date(analysis.revisedAt)
+    );
+  }
+  document.getElementById("confidenceScore").textContent =
+    analysis.confidence !== undefined ? `${analysis.confidence}%` : "--";
   document.getElementById("paperSource").textContent = getSiteName(
     analysis.url
   );
 
+  // Papers analysed from a local file have no page to link to.
   const originalLink = document.getElementById("originalLink");
   originalLink.href = analysis.url;
+  originalLink.style.display = isLocalPdfUrl(analysis.url) ? "none" : "";
+  updateReanalyseButton(analysis);
 
   // Update summary - USE innerHTML with formatted text
   const summaryElement = document.getElementById("summaryContent");
@@ -115,6 +133,13 @@ function displayAnalysis(analysis) {
   // Update key findings
   displayFindings(analysis.keyFindings);
 
+  // Update research question
+  const questionElement = document.getElementById("researchQuestionContent");
+  questionElement.innerHTML = analysis.researchQuestion
+    ? formatMarkdownText(analysis.researchQuestion)
+    : "No research question identified";
+  questionElement.classList.toggle("loading-text", !analysis.researchQuestion);
+
   // Update methodology - USE innerHTML with formatted text
   const methodologyElement = document.getElementById("methodologyContent");
   methodologyElement.innerHTML = formatMarkdownText(analysis.methodology);
@@ -129,6 +154,19 @@ function displayAnalysis(analysis) {
   // Update connections
   displayConnections(analysis.connections || []);
 
+  // Update figure and table captions
+  displayFigures(analysis.figures || []);
+
+  // Update references
+  displayReferences(analysis.references || []);
+
+  // Update revision history
+  displayRevisions(analysis);
+
+  // Mark fields the user has edited
+  updateFieldEditState(analysis);
+  updateRegenerateButtons(analysis);
+
   // Update page title
   document.title = `Analysis: ${analysis.title}`;
 }
@@ -226,14 +264,32 @@ async function openResultsWindow(analysisId) {
   }
 }
 
+// Fills the connection type filter with the types present on this paper.
+function updateConnectionTypeFilter(connections) {
+  const typeFilter = document.getElementById("connectionTypeFilter");
+  const types = [...new Set(connections.map((c) => c.type).filter(Boolean))];
+  const selected = typeFilter.value;
+
+  typeFilter.innerHTML =
+    '<option value="all">All types</option>' +
+    types
+      .map(
+        (type) =>
+          `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`
+      )
+      .join("");
+  typeFilter.value = types.includes(selected) ? selected : "all";
+  typeFilter.style.display = types.length > 1 ? "block" : "none";
+}
+
 // Modify the displayConnections function
 function displayConnections(connections) {
   const connectionsList = document.getElementById("connectionsList");
   const connectionsBadge = document.getElementById("connectionsBadge");
-  const connectionsSection = document.getElementById("connectionsSection");
 
   connectionsBadge.textContent = connections.length;
   connectionsList.innerHTML = "";
+  updateConnectionTypeFilter(connections);
 
   if (connections.length === 0) {
     connectionsList.innerHTML =
@@ -241,10 +297,16 @@ function displayConnections(connections) {
     return;
   }
 
-  // Sort connections by when they were detected (newest first)
-  const sortedConnections = [...connections].sort(
-    (a, b) => new Date(b.detectedAt) - new Date(a.detectedAt)
-  );
+  // Rank by strength, then by when they were detected (newest first).
+  // Connections saved before strengths existed sort last.
+  const typeFilter = document.getElementById("connectionTypeFilter").value;
+  const sortedConnections = connections
+    .filter((c) => typeFilter === "all" || c.type === typeFilter)
+    .sort(
+      (a, b) =>
+        (b.strength || 0) - (a.strength || 0) ||
+        new Date(b.detectedAt) - new Date(a.detectedAt)
+    );
 
   sortedConnections.forEach((connection, index) => {
     const item = document.createElement("div");
@@ -258,11 +320,25 @@ function displayConnections(connections) {
           <h4 class="connection-paper-title">${escapeHtml(
             connection.paperTitle
           )}</h4>
+          ${
+            connection.type
+              ? `<span class="connection-type">${escapeHtml(connection.type)}${
+                  connection.strength ? ` · ${connection.strength}/10` : ""
+                }</span>`
+              : ""
+          }
         </div>
         <div class="connection-body">
           <div class="connection-description">${formatMarkdownText(
             connection.description
           )}</div>
+          ${[connection.citationEvidence, connection.evidence]
+            .filter(Boolean)
+            .map(
+              (evidence) =>
+                `<div class="connection-evidence">${escapeHtml(evidence)}</div>`
+            )
+            .join("")}
           <div class="connection-meta-footer">
             Click to view full analysis →
           </div>
@@ -279,10 +355,106 @@ function displayConnections(connections) {
   });
 }
 
+// Lists the paper's figure and table captions (read from arXiv HTML).
+// Hidden for papers without any.
+function displayFigures(figures) {
+  const section = document.getElementById("figuresSection");
+  section.style.display = figures.length > 0 ? "" : "none";
+  document.getElementById("figuresBadge").textContent = figures.length;
+
+  const figuresList = document.getElementById("figuresList");
+  figuresList.innerHTML = "";
+  figures.forEach((figure) => {
+    const item = document.createElement("div");
+    item.className = "figure-item";
+    item.innerHTML = `
+      ${
+        figure.label
+          ? `<span class="figure-label">${escapeHtml(figure.label)}</span>`
+          : ""
+      }
+      <div class="reference-body">
+        <div class="figure-caption">${escapeHtml(figure.caption)}</div>
+        ${
+          figure.section
+            ? `<div class="reference-meta">${escapeHtml(figure.section)}</div>`
+            : ""
+        }
+      </div>
+    `;
+    figuresList.appendChild(item);
+  });
+}
+
+function displayReferences(references) {
+  const referencesList = document.getElementById("referencesList");
+  const referencesBadge = document.getElementById("referencesBadge");
+
+  referencesBadge.textContent = references.length;
+  referencesList.innerHTML = "";
+
+  if (references.length === 0) {
+    referencesList.innerHTML =
+      '<p class="loading-text">No references could be extracted from this paper</p>';
+    return;
+  }
+
+  references.forEach((reference, index) => {
+    const item = document.createElement("div");
+    item.className = "reference-item";
+
+    const authors =
+      reference.authors.length > 3
+        ? `${reference.authors.slice(0, 3).join(", ")} et al.`
+        : reference.authors.join(", ");
+    const details = [authors, reference.venue, reference.year]
+      .filter(Boolean)
+      .join(" · ");
+
+    const links = [];
+    if (reference.arxivId) {
+      links.push(
+        `<a href="https://arxiv.org/abs/${encodeURIComponent(
+          reference.arxivId
+        )}" target="_blank" rel="noopener noreferrer">arXiv:${escapeHtml(
+          reference.arxivId
+        )}</a>`
+      );
+    }
+    if (reference.doi) {
+      links.push(
+        `<a href="https://doi.org/${encodeURI(
+          reference.doi
+        )}" target="_blank" rel="noopener noreferrer">DOI</a>`
+      );
+    }
+
+    item.innerHTML = `
+      <span class="reference-number">${index + 1}</span>
+      <div class="reference-body">
+        <div class="reference-title">${escapeHtml(
+          reference.title || reference.raw
+        )}</div>
+        ${
+          details
+            ? `<div class="reference-meta">${escapeHtml(details)}</div>`
+            : ""
+        }
+        ${
+          links.length > 0
+            ? `<div class="reference-links">${links.join("")}</div>`
+            : ""
+        }
+      </div>
+    `;
+    referencesList.appendChild(item);
+  });
+}
+
 function getSiteName(url) {
-  if (url.includes("arxiv.org")) return "arXiv";
-  if (url.includes("ieee")) return "IEEE Xplore";
-  return "Unknown";
+  if (isLocalPdfUrl(url)) return "Local PDF";
+  const site = findPaperSite(url);
+  return site ? site.name : "Unknown";
 }
 
 function formatDateTime(date) {
@@ -331,12 +503,220 @@ function showError(message) {
   `;
 }
 
+// Re-render connections when the type filter changes
+document
+  .getElementById("connectionTypeFilter")
+  .addEventListener("change", () => {
+    if (currentAnalysis) {
+      displayConnections(currentAnalysis.connections || []);
+    }
+  });
+
+// Fills the revision pickers, comparing the previous revision with the
+// current one by default. Hidden until a paper has been re-analysed.
+function displayRevisions(analysis) {
+  const revisions = getRevisionList(analysis);
+  const section = document.getElementById("revisionsSection");
+  section.style.display = revisions.length > 1 ? "" : "none";
+  document.getElementById("revisionsBadge").textContent = revisions.length;
+  if (revisions.length < 2) return;
+
+  const options = revisions
+    .map(
+      (revision, index) =>
+        `<option value="${index}">${escapeHtml(revision.label)}</option>`
+    )
+    .join("");
+  const fromSelect = document.getElementById("revisionFromSelect");
+  const toSelect = document.getElementById("revisionToSelect");
+  fromSelect.innerHTML = options;
+  toSelect.innerHTML = options;
+  fromSelect.value = revisions.length - 2;
+  toSelect.value = revisions.length - 1;
+  displayRevisionDiff();
+}
+
+function displayRevisionDiff() {
+  if (!currentAnalysis) return;
+  const revisions = getRevisionList(currentAnalysis);
+  const from = revisions[document.getElementById("revisionFromSelect").value];
+  const to = revisions[document.getElementById("revisionToSelect").value];
+  if (!from || !to) return;
+
+  document.getElementById("revisionDiff").innerHTML = renderRevisionDiff(
+    from,
+    to
+  );
+}
+
+document
+  .getElementById("revisionFromSelect")
+  .addEventListener("change", displayRevisionDiff);
+document
+  .getElementById("revisionToSelect")
+  .addEventListener("change", displayRevisionDiff);
+
+// Whether the paper came from a local file, which the background worker
+// cannot fetch again.
+function isLocalFileAnalysis(analysis) {
+  return Boolean(analysis.localFile) || isLocalPdfUrl(analysis.url);
+}
+
+// Disables re-analysis for papers added from a local file.
+function updateReanalyseButton(analysis) {
+  const button = document.getElementById("reanalyseBtn");
+  const isLocal = isLocalFileAnalysis(analysis);
+  button.disabled = isLocal;
+  button.title = isLocal
+    ? "Papers added from a local file can't be re-analysed; add the file again from the dashboard"
+    : "Analyse the paper again and keep this version in its history";
+}
+
+// Queues a fresh analysis of this paper, saved as a new revision.
+async function reanalysePaper() {
+  if (!currentAnalysis || isLocalFileAnalysis(currentAnalysis)) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: "queueAnalyses",
+      source: "reanalyse",
+      items: [
+        {
+          url: currentAnalysis.url,
+          title: currentAnalysis.title,
+          reanalyseId: currentAnalysis.timestamp,
+        },
+      ],
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || "Failed to queue re-analysis");
+    }
+    if (response.queued === 0) {
+      showNotification("This paper is already being analysed", true);
+      return;
+    }
+    followReanalysis(response.jobIds[0]);
+  } catch (error) {
+    console.error("Failed to re-analyse paper:", error);
+    showNotification(error.message, true);
+  }
+}
+
+// Shows a re-analysis job's progress on the Re-analyse button and reloads
+// the page's analysis when it finishes.
+function followReanalysis(jobId) {
+  const button = document.getElementById("reanalyseBtn");
+  const label = button.querySelector("span");
+  button.disabled = true;
+  label.textContent = "Queued...";
+
+  const listener = async (message) => {
+    if (message.action !== "analysisQueueUpdated") return;
+    const job = message.jobs.find((entry) => entry.id === jobId);
+    if (!job) return;
+
+    if (job.status === "running") {
+      label.textContent = `Re-analysing... ${job.progress || 0}%`;
+      return;
+    }
+    if (job.status === "queued") return;
+
+    chrome.runtime.onMessage.removeListener(listener);
+    updateReanalyseButton(currentAnalysis);
+    label.textContent = "Re-analyse";
+
+    if (job.status === "done") {
+      currentAnalysis = await libraryStore.getPaper(currentAnalysis.timestamp);
+      displayAnalysis(currentAnalysis);
+      const edited = getEditedFieldLabels(currentAnalysis);
+      showNotification(
+        edited.length > 0
+          ? `Analysis updated; your edits to ${edited.join(", ")} were kept`
+          : "Analysis updated; the previous version was kept"
+      );
+    } else if (job.status === "failed") {
+      showNotification(job.error || "Re-analysis failed", true);
+    }
+  };
+  chrome.runtime.onMessage.addListener(listener);
+}
+
+// Picks up a re-analysis started before this page was opened.
+async function resumeReanalysis() {
+  if (!currentAnalysis) return;
+  const { analysisQueue = [] } = await chrome.storage.local.get(
+    "analysisQueue"
+  );
+  const job = analysisQueue.find(
+    (entry) =>
+      entry.reanalyseId === currentAnalysis.timestamp &&
+      ["queued", "running"].includes(entry.status)
+  );
+  if (job) followReanalysis(job.id);
+}
+
+document.getElementById("reanalyseBtn").addEventListener("click", () => {
+  reanalysePaper();
+});
+
+// Disables on-demand connection detection when it is turned off in settings.
+async function updateFindConnectionsButton() {
+  const { settings = {} } = await chrome.storage.local.get("settings");
+  const button = document.getElementById("findConnectionsBtn");
+  const isOff =
+    settings.connectionDetection === false ||
+    settings.connectionDetection === "off";
+
+  button.disabled = isOff;
+  button.title = isOff
+    ? "Connection detection is turned off in settings"
+    : "Compare this paper with the rest of your library";
+}
+
+// Runs connection detection for this paper in the background.
+document
+  .getElementById("findConnectionsBtn")
+  .addEventListener("click", async (e) => {
+    if (!currentAnalysis) return;
+    const button = e.currentTarget;
+    button.disabled = true;
+    button.textContent = "Finding connections...";
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "findConnections",
+        paperId: currentAnalysis.timestamp,
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Connection detection failed");
+      }
+
+      currentAnalysis = response.paper;
+      displayConnections(currentAnalysis.connections || []);
+      showNotification(
+        response.found === 1
+          ? "Found 1 connection"
+          : `Found ${response.found} connections`
+      );
+    } catch (error) {
+      console.error("Failed to find connections:", error);
+      showNotification(error.message, true);
+    } finally {
+      button.textContent = "Find connections now";
+      await updateFindConnectionsButton();
+    }
+  });
+
 // Export functionality
-document.getElementById("exportBtn").addEventListener("click", () => {
+document.getElementById("exportBtn").addEventListener("click", async () => {
   if (!currentAnalysis) return;
 
   try {
-    generatePDF(currentAnalysis);
+    await flushNoteSaves();
+    generatePDF(
+      currentAnalysis,
+      paperNotes.filter((note) => note.text.trim())
+    );
     showNotification("PDF exported successfully");
   } catch (error) {
     console.error("Failed to generate PDF:", error);
@@ -344,7 +724,27 @@ document.getElementById("exportBtn").addEventListener("click", () => {
   }
 });
 
-function generatePDF(analysis) {
+// Citation export
+document
+  .getElementById("citationExportSelect")
+  .addEventListener("change", (e) => {
+    const formatKey = e.target.value;
+    e.target.value = "";
+    if (!currentAnalysis || !formatKey) return;
+
+    try {
+      const [key] = createCitationKeys([getCitationFields(currentAnalysis)]);
+      downloadCitations([currentAnalysis], formatKey, key);
+      showNotification(
+        `Citation exported as ${CITATION_FORMATS[formatKey].label}`
+      );
+    } catch (error) {
+      console.error("Failed to export citation:", error);
+      showNotification("Failed to export citation", true);
+    }
+  });
+
+function generatePDF(analysis, notes = []) {
   const { jsPDF } = window.jspdf;
   const doc = new jsPDF();
 
@@ -420,7 +820,13 @@ function generatePDF(analysis) {
   // Metadata
   doc.setFontSize(10);
   doc.setFont(undefined, "normal");
-  doc.text(`URL: ${analysis.url}`, margin, yPos);
+  doc.text(
+    analysis.localFile
+      ? `File: ${analysis.localFile.name}`
+      : `URL: ${analysis.url}`,
+    margin,
+    yPos
+  );
   yPos += 6;
   doc.text(
     `Analysed: ${new Date(analysis.timestamp).toLocaleString()}`,
@@ -528,6 +934,25 @@ function generatePDF(analysis) {
     addSpacing(8);
   }
 
+  // Personal Notes Section
+  if (notes.length > 0) {
+    addSpacing(10);
+    addSeparator();
+    addSpacing(5);
+
+    addText("MY NOTES", 14, true);
+    addSpacing(8);
+
+    notes.forEach((note) => {
+      doc.setTextColor(128, 128, 128);
+      addText(new Date(note.updatedAt).toLocaleString(), 8);
+      doc.setTextColor(0, 0, 0);
+      addSpacing(2);
+      addText(stripMarkdown(note.text), 10);
+      addSpacing(10);
+    });
+  }
+
   // Footer
   if (yPos > pageHeight - 40) {
     doc.addPage();
@@ -590,4 +1015,5 @@ style.textContent = `
 document.head.appendChild(style);
 
 // Initialise
-loadAnalysis();
+loadAnalysis().then(resumeReanalysis);
+updateFindConnectionsButton();
@@ -0,0 +1,136 @@
+// Lists a paper's analysis revisions and shows a word-level diff between any
+// two of them. Revisions are stored on the paper by libraryStore.saveRevision.
+
+// Fields compared between revisions, in display order.
+const REVISION_DIFF_FIELDS = {
+  summary: "Summary",
+  keyFindings: "Key Findings",
+  methodology: "Methodology",
+  researchQuestion: "Research Question",
+  researchGaps: "Research Gaps",
+  trajectorySuggestions: "Future Research Directions",
+};
+
+// Above this many token comparisons a changed field is shown as replaced
+// rather than diffed word by word.
+const MAX_DIFF_CELLS = 2000000;
+
+// Returns every revision of a paper, oldest first, ending with the current
+// analysis. Each entry has a label for the revision pickers.
+function getRevisionList(analysis) {
+  const current = { revisedAt: analysis.revisedAt || analysis.timestamp };
+  ANALYSIS_REVISION_FIELDS.forEach((field) => {
+    current[field] = analysis[field];
+  });
+
+  const revisions = [...(analysis.revisions || []), current];
+  return revisions.map((revision, index) => {
+    const details = [formatDateDDMMYYYY(new Date(revision.revisedAt))];
+    if (revision.arxivVersion) details.push(`arXiv v${revision.arxivVersion}`);
+    if (revision.summaryLength) details.push(revision.summaryLength);
+    const isCurrent = index === revisions.length - 1;
+    return {
+      ...revision,
+      label: `Revision ${index + 1} (${details.join(", ")})${
+        isCurrent ? " · current" : ""
+      }`,
+    };
+  });
+}
+
+// Joins list fields into one line per item so they diff like text.
+function getRevisionFieldText(revision, field) {
+  const value = revision[field];
+  if (Array.isArray(value)) return value.join("\n");
+  return value || "";
+}
+
+// Diffs two texts word by word (longest common subsequence). Returns
+// [{ type: "same" | "added" | "removed", text }].
+function diffWords(oldText, newText) {
+  const oldTokens = oldText.split(/(\s+)/).filter(Boolean);
+  const newTokens = newText.split(/(\s+)/).filter(Boolean);
+
+  if (oldTokens.length * newTokens.length > MAX_DIFF_CELLS) {
+    return [
+      { type: "removed", text: oldText },
+      { type: "added", text: newText },
+    ];
+  }
+
+  // lengths[i][j] = LCS length of oldTokens[i..] and newTokens[j..].
+  const lengths = Array.from(
+    { length: oldTokens.length + 1 },
+    () => new Uint32Array(newTokens.length + 1)
+  );
+  for (let i = oldTokens.length - 1; i >= 0; i--) {
+    for (let j = newTokens.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        oldTokens[i] === newTokens[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < oldTokens.length && j < newTokens.length) {
+    if (oldTokens[i] === newTokens[j]) {
+      push("same", oldTokens[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", oldTokens[i++]);
+    } else {
+      push("added", newTokens[j++]);
+    }
+  }
+  while (i < oldTokens.length) push("removed", oldTokens[i++]);
+  while (j < newTokens.length) push("added", newTokens[j++]);
+  return parts;
+}
+
+// Renders the differences between two revisions as HTML, one block per
+// changed field.
+function renderRevisionDiff(older, newer) {
+  const blocks = [];
+
+  for (const [field, label] of Object.entries(REVISION_DIFF_FIELDS)) {
+    const oldText = getRevisionFieldText(older, field);
+    const newText = getRevisionFieldText(newer, field);
+    if (oldText === newText) continue;
+
+    const html = diffWords(oldText, newText)
+      .map(({ type, text }) => {
+        const escaped = escapeHtml(text).replace(/\n/g, "<br>");
+        if (type === "added") return `<ins class="diff-added">${escaped}</ins>`;
+        if (type === "removed") {
+          return `<del class="diff-removed">${escaped}</del>`;
+        }
+        return escaped;
+      })
+      .join("");
+
+    blocks.push(`
+      <div class="revision-field">
+        <h4>${label}</h4>
+        <div class="revision-diff-text">${html}</div>
+      </div>
+    `);
+  }
+
+  if (blocks.length === 0) {
+    return '<p class="loading-text">These revisions are identical.</p>';
+  }
+  return blocks.join("");
+}
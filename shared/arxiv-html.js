@@ -0,0 +1,165 @@
+// Reads arXiv's HTML rendering of a paper (arxiv.org/html, or ar5iv for older
+// papers). Both are generated from the LaTeX source by LaTeXML, so every
+// section keeps its real heading level, figures and tables keep their
+// captions, formulas carry their LaTeX as alt-text and the bibliography is
+// split into entries. Used by the arXiv site adapter in the content script.
+
+const ARXIV_HTML_SECTION_SELECTOR = [
+  "section.ltx_section",
+  "section.ltx_subsection",
+  "section.ltx_subsubsection",
+  "section.ltx_appendix",
+].join(", ");
+
+function isArxivHtmlDocument(doc) {
+  return !!doc.querySelector(".ltx_document");
+}
+
+// Text of a LaTeXML element with every formula written as its LaTeX source.
+// Figures, footnotes and equation numbers are left out of the running text.
+function getLatexmlText(element) {
+  const copy = element.cloneNode(true);
+  copy
+    .querySelectorAll("figure, .ltx_note, .ltx_tag_equation")
+    .forEach((el) => el.remove());
+  copy.querySelectorAll("math").forEach((math) => {
+    const tex = math.getAttribute("alttext");
+    math.replaceWith(tex ? ` $${tex}$ ` : math.textContent);
+  });
+  return copy.textContent.replace(/\s+/g, " ").trim();
+}
+
+// An author's name without the affiliation and email lines LaTeXML puts in
+// the same element after a line break.
+function getLatexmlPersonName(element) {
+  let name = "";
+  for (const node of element.childNodes) {
+    if (node.nodeName === "BR") break;
+    if (node.nodeType === Node.ELEMENT_NODE && node.matches(".ltx_note, sup")) {
+      continue;
+    }
+    name += node.textContent;
+  }
+  return name
+    .replace(/\s+/g, " ")
+    .replace(/[\s,*∗†‡]+$/, "")
+    .trim();
+}
+
+function readArxivHtmlMetadata(doc) {
+  const title = doc.querySelector("h1.ltx_title_document");
+  const abstract = doc.querySelector(".ltx_abstract");
+  const authors = Array.from(
+    doc.querySelectorAll(".ltx_authors .ltx_personname")
+  )
+    .map(getLatexmlPersonName)
+    .filter(Boolean);
+
+  return {
+    title: title ? getLatexmlText(title) : null,
+    abstract: abstract
+      ? getLatexmlText(abstract).replace(/^abstract[:.\s]*/i, "")
+      : null,
+    authors: authors.length > 0 ? [...new Set(authors)].join(", ") : null,
+  };
+}
+
+function readArxivHtmlSections(doc) {
+  return readAdapterSections(doc, {
+    section: ARXIV_HTML_SECTION_SELECTOR,
+    heading: ".ltx_title",
+    paragraph: ".ltx_para",
+    readText: getLatexmlText,
+  });
+}
+
+// Figure and table captions, e.g. { label: "Figure 2", caption: "...",
+// section: "3 Method" }. Sub-figures are read with their parent figure.
+function readArxivHtmlFigures(doc) {
+  return Array.from(doc.querySelectorAll("figure.ltx_figure, figure.ltx_table"))
+    .filter((figure) => !figure.parentElement.closest("figure"))
+    .map((figure) => {
+      const caption = Array.from(figure.querySelectorAll("figcaption")).find(
+        (el) => el.closest("figure") === figure
+      );
+      if (!caption) return null;
+
+      const tag = caption.querySelector(".ltx_tag");
+      const label = tag ? tag.textContent.replace(/[:.\s]+$/, "").trim() : "";
+      const section = figure.closest(ARXIV_HTML_SECTION_SELECTOR);
+      const heading = section && section.querySelector(".ltx_title");
+      return {
+        label,
+        caption: getLatexmlText(caption)
+          .replace(/^(Figure|Table|Fig\.)\s*[\w.]*\s*[:.]\s*/i, "")
+          .trim(),
+        section: heading ? getLatexmlText(heading) : null,
+      };
+    })
+    .filter((figure) => figure && figure.caption);
+}
+
+// Bibliography entries. LaTeXML usually keeps the authors, title and venue
+// in separate blocks, which is more reliable than splitting the text.
+function readArxivHtmlReferences(doc) {
+  return Array.from(doc.querySelectorAll(".ltx_bibliography .ltx_bibitem")).map(
+    (item) => {
+      const blocks = Array.from(item.querySelectorAll(".ltx_bibblock"))
+        .map(getLatexmlText)
+        .filter(Boolean);
+      const reference = parseReferenceEntry(blocks.join(" "));
+
+      if (blocks.length >= 3) {
+        reference.authors = parseReferenceAuthors(
+          blocks[0].replace(/(\w{2,})[,.]$/, "$1")
+        );
+        reference.title = blocks[1].replace(/[,.]$/, "");
+        reference.venue =
+          blocks
+            .slice(2)
+            .join(" ")
+            .replace(/^in\s+/i, "")
+            .replace(/[\s,.]+$/, "")
+            .substring(0, 200) || null;
+      }
+
+      const links = Array.from(item.querySelectorAll("a[href]")).map((a) =>
+        a.getAttribute("href")
+      );
+      reference.doi =
+        reference.doi ||
+        normaliseDoi(links.find((href) => /doi\.org\//.test(href)));
+      reference.arxivId =
+        reference.arxivId ||
+        findArxivId(links.find((href) => /arxiv\.org\//.test(href)));
+      return reference;
+    }
+  );
+}
+
+// Fetches and reads the HTML rendering of the arXiv paper at `url`. The
+// service worker does the fetch, as ar5iv is on another origin. Returns null
+// when arXiv has no HTML version of the paper.
+async function fetchArxivHtmlFullText(url) {
+  const arxiv = parseArxivUrl(url);
+  if (!arxiv) return null;
+
+  const response = await chrome.runtime.sendMessage({
+    action: "fetchArxivHtml",
+    arxivId: arxiv.id,
+    version: arxiv.version,
+  });
+  if (!response || !response.html) return null;
+
+  const doc = new DOMParser().parseFromString(response.html, "text/html");
+  if (!isArxivHtmlDocument(doc)) return null;
+
+  console.log(`[NovaMind] Read arXiv HTML full text from ${response.url}`);
+  return {
+    url: response.url,
+    metadata: readArxivHtmlMetadata(doc),
+    sections: readArxivHtmlSections(doc),
+    figures: readArxivHtmlFigures(doc),
+    references: readArxivHtmlReferences(doc),
+  };
+}
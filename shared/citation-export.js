@@ -0,0 +1,257 @@
+// Formats analysed papers as BibTeX, RIS or CSL-JSON for reference managers
+// such as Zotero, using the `citation` metadata saved with each analysis.
+
+const CITATION_FORMATS = {
+  bibtex: {
+    label: "BibTeX",
+    extension: "bib",
+    mimeType: "application/x-bibtex",
+    format: formatBibTeX,
+  },
+  ris: {
+    label: "RIS",
+    extension: "ris",
+    mimeType: "application/x-research-info-systems",
+    format: formatRIS,
+  },
+  csl: {
+    label: "CSL-JSON",
+    extension: "json",
+    mimeType: "application/vnd.citationstyles.csl+json",
+    format: formatCslJson,
+  },
+};
+
+// Splits an author name into family and given parts. Accepts "Family, Given"
+// (Highwire meta tags) and "Given Family" (page text).
+function parseAuthorName(name) {
+  const trimmed = name.trim();
+  if (trimmed.includes(",")) {
+    const [family, ...given] = trimmed.split(",");
+    return { family: family.trim(), given: given.join(",").trim() };
+  }
+  const parts = trimmed.split(/\s+/);
+  if (parts.length === 1) return { family: parts[0], given: "" };
+  return { family: parts.pop(), given: parts.join(" ") };
+}
+
+// Collects the fields every format needs, falling back to what can be read
+// from the URL for analyses saved before citation metadata was recorded.
+function getCitationFields(paper) {
+  const citation = paper.citation || {};
+
+  let authorNames = citation.authors || [];
+  if (authorNames.length === 0 && paper.authors) {
+    authorNames = paper.authors.split(/,\s*|\s+and\s+/);
+  }
+  const authors = authorNames
+    .filter((name) => name && name.trim())
+    .map(parseAuthorName);
+
+  const arxivMatch = (paper.url || "").match(
+    /arxiv\.org\/(?:abs|pdf|html)\/([a-z-]+(?:\.[a-z]{2})?\/\d{7}|\d{4}\.\d{4,5})/i
+  );
+  const arxivId = citation.arxivId || (arxivMatch ? arxivMatch[1] : null);
+
+  const dateParts = (citation.publicationDate || "")
+    .split("-")
+    .map(Number)
+    .filter((n) => n > 0);
+  const year = citation.year || dateParts[0] || null;
+
+  let type = citation.type || null;
+  if (!type && arxivId) type = "preprint";
+
+  return {
+    title: paper.title || "Untitled Paper",
+    authors,
+    year,
+    dateParts: year ? (dateParts[0] === year ? dateParts : [year]) : [],
+    venue: citation.venue || null,
+    publisher: citation.publisher || null,
+    volume: citation.volume || null,
+    issue: citation.issue || null,
+    pages: [citation.firstPage, citation.lastPage].filter(Boolean).join("-"),
+    doi: citation.doi || null,
+    arxivId,
+    url: paper.url && !isLocalPdfUrl(paper.url) ? paper.url : null,
+    abstract: paper.abstract || null,
+    type,
+  };
+}
+
+// Builds citation keys like "vaswani2017attention", made unique per export.
+function createCitationKeys(fieldsList) {
+  const used = new Map();
+  return fieldsList.map((fields) => {
+    const family = fields.authors[0] ? fields.authors[0].family : "anon";
+    const titleWord =
+      fields.title
+        .toLowerCase()
+        .split(/\s+/)
+        .map((word) => word.replace(/[^a-z0-9]/g, ""))
+        .find(
+          (word) =>
+            word.length > 3 &&
+            !["with", "from", "that", "this", "towards"].includes(word)
+        ) || "paper";
+    const base = `${family
+      .normalize("NFD")
+      .replace(/[^A-Za-z]/g, "")
+      .toLowerCase()}${fields.year || ""}${titleWord}`;
+
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    return count === 0 ? base : `${base}${String.fromCharCode(96 + count)}`;
+  });
+}
+
+function escapeBibTeX(text) {
+  return String(text)
+    .replace(/\\/g, "\\textbackslash{}")
+    .replace(/([{}&%$#_])/g, "\\$1")
+    .replace(/~/g, "\\textasciitilde{}")
+    .replace(/\^/g, "\\textasciicircum{}");
+}
+
+function formatBibTeX(papers) {
+  const fieldsList = papers.map(getCitationFields);
+  const keys = createCitationKeys(fieldsList);
+
+  return fieldsList
+    .map((fields, i) => {
+      const entry = [];
+      let entryType = "misc";
+
+      entry.push(["title", `{${escapeBibTeX(fields.title)}}`]);
+      if (fields.authors.length > 0) {
+        entry.push([
+          "author",
+          fields.authors
+            .map((a) =>
+              escapeBibTeX(a.given ? `${a.family}, ${a.given}` : a.family)
+            )
+            .join(" and "),
+        ]);
+      }
+      if (fields.year) entry.push(["year", fields.year]);
+
+      if (fields.type === "journal") {
+        entryType = "article";
+        if (fields.venue) entry.push(["journal", escapeBibTeX(fields.venue)]);
+      } else if (fields.type === "conference") {
+        entryType = "inproceedings";
+        if (fields.venue) entry.push(["booktitle", escapeBibTeX(fields.venue)]);
+      }
+
+      if (fields.volume) entry.push(["volume", escapeBibTeX(fields.volume)]);
+      if (fields.issue) entry.push(["number", escapeBibTeX(fields.issue)]);
+      if (fields.pages) entry.push(["pages", fields.pages.replace("-", "--")]);
+      if (fields.publisher) {
+        entry.push(["publisher", escapeBibTeX(fields.publisher)]);
+      }
+      if (fields.arxivId) {
+        entry.push(["eprint", fields.arxivId]);
+        entry.push(["archivePrefix", "arXiv"]);
+      }
+      if (fields.doi) entry.push(["doi", fields.doi]);
+      if (fields.url) entry.push(["url", fields.url]);
+
+      const body = entry
+        .map(([name, value]) => `  ${name} = {${value}},`)
+        .join("\n");
+      return `@${entryType}{${keys[i]},\n${body}\n}`;
+    })
+    .join("\n\n");
+}
+
+function formatRIS(papers) {
+  const risTypes = { journal: "JOUR", conference: "CPAPER" };
+
+  return papers
+    .map((paper) => {
+      const fields = getCitationFields(paper);
+      const lines = [["TY", risTypes[fields.type] || "GEN"]];
+
+      lines.push(["TI", fields.title]);
+      fields.authors.forEach((a) => {
+        lines.push(["AU", a.given ? `${a.family}, ${a.given}` : a.family]);
+      });
+      if (fields.year) lines.push(["PY", fields.year]);
+      if (fields.dateParts.length > 1) {
+        lines.push([
+          "DA",
+          fields.dateParts.map((n) => String(n).padStart(2, "0")).join("/"),
+        ]);
+      }
+      if (fields.venue) lines.push(["T2", fields.venue]);
+      if (fields.publisher) lines.push(["PB", fields.publisher]);
+      if (fields.volume) lines.push(["VL", fields.volume]);
+      if (fields.issue) lines.push(["IS", fields.issue]);
+      const [startPage, endPage] = fields.pages.split("-");
+      if (startPage) lines.push(["SP", startPage]);
+      if (endPage) lines.push(["EP", endPage]);
+      if (fields.doi) lines.push(["DO", fields.doi]);
+      if (fields.arxivId) lines.push(["N1", `arXiv:${fields.arxivId}`]);
+      if (fields.url) lines.push(["UR", fields.url]);
+      if (fields.abstract) {
+        lines.push(["AB", fields.abstract.replace(/\s+/g, " ")]);
+      }
+      lines.push(["ER", ""]);
+
+      return lines.map(([tag, value]) => `${tag}  - ${value}`).join("\n");
+    })
+    .join("\n\n");
+}
+
+function formatCslJson(papers) {
+  const fieldsList = papers.map(getCitationFields);
+  const keys = createCitationKeys(fieldsList);
+  const cslTypes = {
+    journal: "article-journal",
+    conference: "paper-conference",
+  };
+
+  const items = fieldsList.map((fields, i) => {
+    const item = {
+      id: keys[i],
+      type: cslTypes[fields.type] || "article",
+      title: fields.title,
+      author: fields.authors.map((a) =>
+        a.given ? { family: a.family, given: a.given } : { literal: a.family }
+      ),
+    };
+    if (fields.dateParts.length > 0) {
+      item.issued = { "date-parts": [fields.dateParts] };
+    }
+    if (fields.venue) item["container-title"] = fields.venue;
+    if (fields.publisher) item.publisher = fields.publisher;
+    if (fields.volume) item.volume = fields.volume;
+    if (fields.issue) item.issue = fields.issue;
+    if (fields.pages) item.page = fields.pages;
+    if (fields.doi) item.DOI = fields.doi;
+    if (fields.arxivId) {
+      item.number = `arXiv:${fields.arxivId}`;
+      if (!fields.publisher) item.publisher = "arXiv";
+    }
+    if (fields.url) item.URL = fields.url;
+    if (fields.abstract) item.abstract = fields.abstract;
+    return item;
+  });
+
+  return JSON.stringify(items, null, 2);
+}
+
+// Downloads papers as a citation file in the given format.
+function downloadCitations(papers, formatKey, filename = "novamind-citations") {
+  const format = CITATION_FORMATS[formatKey];
+  if (!format) throw new Error(`Unknown citation format: ${formatKey}`);
+
+  const blob = new Blob([format.format(papers)], { type: format.mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${filename}.${format.extension}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
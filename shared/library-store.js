@@ -0,0 +1,802 @@
+// IndexedDB-backed library shared by the service worker and extension pages.
+// Papers keep their analysis timestamp as their ID; connections live in their
+// own store (one record per direction) and are re-attached on read, so callers
+// still see `paper.connections` as before. Each paper also records its
+// canonical `paperId` (see shared/paper-identity.js, which must be loaded
+// first), used to find it again from any of its URLs. Papers carry the user's
+// `tags` and the IDs of the collections they belong to (`collectionIds`);
+// collections themselves are named records in their own store.
+
+const LIBRARY_DB_NAME = "novamind-library";
+const LIBRARY_DB_VERSION = 4;
+const LIBRARY_MIGRATION_KEY = "libraryMigrated";
+
+// Fields produced by analysis. Re-analysing a paper moves their previous
+// values into `paper.revisions`.
+const ANALYSIS_REVISION_FIELDS = [
+  "summary",
+  "keyFindings",
+  "methodology",
+  "researchQuestion",
+  "researchGaps",
+  "trajectorySuggestions",
+  "confidence",
+  "summaryLength",
+  "arxivVersion",
+];
+
+// Analysed fields the user can correct. Edited fields are listed in
+// `paper.userEditedFields` (field -> date edited) and re-analysis leaves them
+// alone, keeping its own text in `paper.generatedFields` instead.
+const EDITABLE_ANALYSIS_FIELDS = [
+  "summary",
+  "keyFindings",
+  "methodology",
+  "researchQuestion",
+  "researchGaps",
+  "trajectorySuggestions",
+];
+
+const MAX_TAG_LENGTH = 40;
+
+// Wraps an IDBRequest in a promise.
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves once a transaction has committed.
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+class LibraryStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  // Opens the database, creating stores on first use and migrating any data
+  // left in chrome.storage.local by older versions.
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = this.openDatabase().then(async (db) => {
+        await this.migrateFromChromeStorage(db);
+        return db;
+      });
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          // Keyed by analysis timestamp, so key order is also date order.
+          const papers = db.createObjectStore("papers", {
+            keyPath: "timestamp",
+          });
+          papers.createIndex("url", "url");
+          papers.createIndex("date", "timestamp");
+          papers.createIndex("tags", "tags", { multiEntry: true });
+
+          const connections = db.createObjectStore("connections", {
+            keyPath: "id",
+          });
+          connections.createIndex("fromId", "fromId");
+          connections.createIndex("toId", "toId");
+
+          const highlights = db.createObjectStore("highlights", {
+            keyPath: "id",
+          });
+          highlights.createIndex("paperUrl", "paperUrl");
+          highlights.createIndex("date", "timestamp");
+          highlights.createIndex("tags", "tags", { multiEntry: true });
+
+          const notes = db.createObjectStore("notes", { keyPath: "id" });
+          notes.createIndex("paperId", "paperId");
+          notes.createIndex("date", "updatedAt");
+          notes.createIndex("tags", "tags", { multiEntry: true });
+        }
+
+        if (event.oldVersion < 2) {
+          // Canonical paper IDs, backfilled for papers saved before them.
+          const papers = request.transaction.objectStore("papers");
+          papers.createIndex("paperId", "paperId");
+          papers.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+            if (!cursor.value.paperId) {
+              cursor.update({
+                ...cursor.value,
+                paperId: getCanonicalPaperId(cursor.value),
+              });
+            }
+            cursor.continue();
+          };
+        }
+
+        if (event.oldVersion < 3) {
+          // Named collections (reading lists) of papers.
+          const collections = db.createObjectStore("collections", {
+            keyPath: "id",
+          });
+          collections.createIndex("name", "name");
+          request.transaction
+            .objectStore("papers")
+            .createIndex("collectionIds", "collectionIds", {
+              multiEntry: true,
+            });
+        }
+
+        if (event.oldVersion < 4) {
+          // Extracted papers waiting in the analysis queue, by job ID.
+          db.createObjectStore("jobData", { keyPath: "jobId" });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Copies the old `analyses` and `highlights` arrays into IndexedDB once,
+  // then removes them from chrome.storage.local.
+  async migrateFromChromeStorage(db) {
+    const stored = await chrome.storage.local.get([
+      LIBRARY_MIGRATION_KEY,
+      "analyses",
+      "highlights",
+    ]);
+    if (stored[LIBRARY_MIGRATION_KEY]) return;
+
+    const analyses = stored.analyses || [];
+    const highlights = stored.highlights || [];
+
+    // Records are keyed, so a migration repeated by another page is harmless.
+    const tx = db.transaction(
+      ["papers", "connections", "highlights"],
+      "readwrite"
+    );
+    for (const analysis of analyses) {
+      this.putPaperRecords(tx, analysis);
+    }
+    for (const highlight of highlights) {
+      tx.objectStore("highlights").put(highlight);
+    }
+    await idbTransactionDone(tx);
+
+    await chrome.storage.local.set({ [LIBRARY_MIGRATION_KEY]: true });
+    await chrome.storage.local.remove(["analyses", "highlights"]);
+    console.log(
+      "[NovaMind] Migrated",
+      analyses.length,
+      "analyses and",
+      highlights.length,
+      "highlights to IndexedDB"
+    );
+  }
+
+  // Writes a paper and its outgoing connections within a transaction.
+  putPaperRecords(tx, paper) {
+    const { connections = [], ...record } = paper;
+    tx.objectStore("papers").put({
+      ...record,
+      paperId: record.paperId || getCanonicalPaperId(record),
+    });
+
+    const connectionStore = tx.objectStore("connections");
+    for (const connection of connections) {
+      connectionStore.put(toConnectionRecord(paper.timestamp, connection));
+    }
+  }
+
+  // Returns the raw records of every store, for backups.
+  async exportRecords() {
+    const db = await this.open();
+    const storeNames = [
+      "papers",
+      "connections",
+      "highlights",
+      "notes",
+      "collections",
+    ];
+    const tx = db.transaction(storeNames, "readonly");
+    const [papers, connections, highlights, notes, collections] =
+      await Promise.all(
+        storeNames.map((name) => idbRequest(tx.objectStore(name).getAll()))
+      );
+    return { papers, connections, highlights, notes, collections };
+  }
+
+  // Writes raw records (as returned by exportRecords) in one transaction.
+  async importRecords({
+    papers = [],
+    connections = [],
+    highlights = [],
+    notes = [],
+    collections = [],
+  }) {
+    const db = await this.open();
+    const tx = db.transaction(
+      ["papers", "connections", "highlights", "notes", "collections"],
+      "readwrite"
+    );
+    papers.forEach((paper) =>
+      tx.objectStore("papers").put({
+        ...paper,
+        paperId: paper.paperId || getCanonicalPaperId(paper),
+      })
+    );
+    connections.forEach((record) => {
+      tx.objectStore("connections").put({
+        ...record,
+        id: getConnectionKey(record.fromId, record.toId),
+      });
+    });
+    highlights.forEach((highlight) =>
+      tx.objectStore("highlights").put(highlight)
+    );
+    notes.forEach((note) => tx.objectStore("notes").put(note));
+    collections.forEach((collection) =>
+      tx.objectStore("collections").put(collection)
+    );
+    await idbTransactionDone(tx);
+  }
+
+  // --- Papers ---
+
+  // Returns all papers, newest first, with their connections attached.
+  async getAllPapers() {
+    const db = await this.open();
+    const tx = db.transaction(["papers", "connections"], "readonly");
+    const [papers, connections] = await Promise.all([
+      idbRequest(tx.objectStore("papers").getAll()),
+      idbRequest(tx.objectStore("connections").getAll()),
+    ]);
+
+    const byPaper = new Map();
+    for (const record of connections) {
+      if (!byPaper.has(record.fromId)) byPaper.set(record.fromId, []);
+      byPaper.get(record.fromId).push(fromConnectionRecord(record));
+    }
+
+    return papers.reverse().map((paper) => ({
+      ...paper,
+      connections: byPaper.get(paper.timestamp) || [],
+    }));
+  }
+
+  async getPaper(paperId) {
+    const db = await this.open();
+    const tx = db.transaction(["papers", "connections"], "readonly");
+    const paper = await idbRequest(tx.objectStore("papers").get(paperId));
+    if (!paper) return null;
+    return this.attachConnections(tx, paper);
+  }
+
+  // Returns the most recently analysed paper, or null.
+  async getLatestPaper() {
+    const db = await this.open();
+    const tx = db.transaction(["papers", "connections"], "readonly");
+    const cursor = await idbRequest(
+      tx.objectStore("papers").openCursor(null, "prev")
+    );
+    if (!cursor) return null;
+    return this.attachConnections(tx, cursor.value);
+  }
+
+  // Returns the most recent saved copy of a paper, matched on its canonical
+  // ID (so any URL of the same paper finds it) or its exact URL, or null.
+  // `paper` needs a `url` and may have `citation` metadata.
+  async findPaper(paper) {
+    const db = await this.open();
+    const tx = db.transaction(["papers", "connections"], "readonly");
+    const store = tx.objectStore("papers");
+    let papers = await idbRequest(
+      store.index("paperId").getAll(getCanonicalPaperId(paper))
+    );
+    if (papers.length === 0) {
+      papers = await idbRequest(store.index("url").getAll(paper.url));
+    }
+    if (papers.length === 0) return null;
+    return this.attachConnections(tx, papers[papers.length - 1]);
+  }
+
+  async countPapers() {
+    const db = await this.open();
+    const tx = db.transaction("papers", "readonly");
+    return idbRequest(tx.objectStore("papers").count());
+  }
+
+  async attachConnections(tx, paper) {
+    const records = await idbRequest(
+      tx.objectStore("connections").index("fromId").getAll(paper.timestamp)
+    );
+    return { ...paper, connections: records.map(fromConnectionRecord) };
+  }
+
+  // Saves (or replaces) a paper together with its outgoing connections.
+  async savePaper(paper) {
+    const db = await this.open();
+    const tx = db.transaction(["papers", "connections"], "readwrite");
+    this.putPaperRecords(tx, paper);
+    await idbTransactionDone(tx);
+  }
+
+  // Replaces a paper's analysis with a new one, keeping its ID, connections
+  // and notes. The previous analysed fields are appended to `revisions`
+  // (oldest first) with the date they were produced. Fields the user edited
+  // keep their text; the new analysis of them goes to `generatedFields`.
+  async saveRevision(paperId, analysis) {
+    const db = await this.open();
+    const tx = db.transaction("papers", "readwrite");
+    const papers = tx.objectStore("papers");
+    const paper = await idbRequest(papers.get(paperId));
+    if (!paper) throw new Error("Paper not found");
+
+    const { connections, timestamp, url, revisions, ...fields } = analysis;
+    const generatedFields = { ...paper.generatedFields };
+    Object.keys(paper.userEditedFields || {}).forEach((field) => {
+      if (field in fields) {
+        generatedFields[field] = fields[field];
+        delete fields[field];
+      }
+    });
+
+    papers.put({
+      ...paper,
+      ...fields,
+      generatedFields,
+      paperId: paper.paperId,
+      revisedAt: new Date().toISOString(),
+      revisions: [...(paper.revisions || []), toRevision(paper)],
+    });
+    await idbTransactionDone(tx);
+  }
+
+  // Replaces an analysed field with the user's text and marks it as edited.
+  // The generated text is kept so the edit can be reverted.
+  async saveFieldEdit(paperId, field, value) {
+    if (!EDITABLE_ANALYSIS_FIELDS.includes(field)) {
+      throw new Error(`${field} cannot be edited`);
+    }
+    const db = await this.open();
+    const tx = db.transaction("papers", "readwrite");
+    const papers = tx.objectStore("papers");
+    const paper = await idbRequest(papers.get(paperId));
+    if (!paper) throw new Error("Paper not found");
+
+    const generatedFields = { ...paper.generatedFields };
+    if (!(field in generatedFields)) generatedFields[field] = paper[field];
+    papers.put({
+      ...paper,
+      [field]: value,
+      generatedFields,
+      userEditedFields: {
+        ...paper.userEditedFields,
+        [field]: new Date().toISOString(),
+      },
+    });
+    await idbTransactionDone(tx);
+  }
+
+  // Puts back the latest generated text of an edited field and clears its
+  // edited flag.
+  async revertFieldEdit(paperId, field) {
+    const db = await this.open();
+    const tx = db.transaction("papers", "readwrite");
+    const papers = tx.objectStore("papers");
+    const paper = await idbRequest(papers.get(paperId));
+    if (!paper) throw new Error("Paper not found");
+
+    const { [field]: generated, ...generatedFields } =
+      paper.generatedFields || {};
+    const { [field]: editedAt, ...userEditedFields } =
+      paper.userEditedFields || {};
+    papers.put({
+      ...paper,
+      [field]: generated !== undefined ? generated : paper[field],
+      generatedFields,
+      userEditedFields,
+    });
+    await idbTransactionDone(tx);
+  }
+
+  // Saves regenerated analysis fields, appending the previous ones to
+  // `revisions`. Regenerating a field the user edited replaces their text,
+  // so its edited flag is cleared.
+  async saveRegeneratedFields(paperId, fields) {
+    const db = await this.open();
+    const tx = db.transaction("papers", "readwrite");
+    const papers = tx.objectStore("papers");
+    const paper = await idbRequest(papers.get(paperId));
+    if (!paper) throw new Error("Paper not found");
+
+    const generatedFields = { ...paper.generatedFields };
+    const userEditedFields = { ...paper.userEditedFields };
+    Object.keys(fields).forEach((field) => {
+      delete generatedFields[field];
+      delete userEditedFields[field];
+    });
+
+    papers.put({
+      ...paper,
+      ...fields,
+      generatedFields,
+      userEditedFields,
+      revisedAt: new Date().toISOString(),
+      revisions: [...(paper.revisions || []), toRevision(paper)],
+    });
+    await idbTransactionDone(tx);
+  }
+
+  // Merges duplicate copies of a paper into the one kept. Their connections,
+  // notes, highlights, tags and collections move to the kept paper, their
+  // analyses become revisions of it, and the duplicates are deleted.
+  async mergePapers(keepId, duplicateIds) {
+    const db = await this.open();
+    const tx = db.transaction(
+      ["papers", "connections", "notes", "highlights"],
+      "readwrite"
+    );
+    const papers = tx.objectStore("papers");
+    const connections = tx.objectStore("connections");
+    const notes = tx.objectStore("notes");
+    const highlights = tx.objectStore("highlights");
+
+    const kept = await idbRequest(papers.get(keepId));
+    if (!kept) throw new Error("Paper not found");
+    const merged = new Set(duplicateIds);
+    const mapId = (id) => (merged.has(id) ? keepId : id);
+    const revisions = [...(kept.revisions || [])];
+    const tags = new Set(kept.tags || []);
+    const collectionIds = new Set(kept.collectionIds || []);
+
+    for (const duplicateId of duplicateIds) {
+      const duplicate = await idbRequest(papers.get(duplicateId));
+      if (!duplicate) continue;
+      revisions.push(...(duplicate.revisions || []), toRevision(duplicate));
+      (duplicate.tags || []).forEach((tag) => tags.add(tag));
+      (duplicate.collectionIds || []).forEach((id) => collectionIds.add(id));
+
+      // Connections are re-pointed, keeping the kept paper's own link when
+      // both copies were connected to the same paper.
+      for (const indexName of ["fromId", "toId"]) {
+        const records = await idbRequest(
+          connections.index(indexName).getAll(duplicateId)
+        );
+        for (const record of records) {
+          connections.delete(record.id);
+          const fromId = mapId(record.fromId);
+          const toId = mapId(record.toId);
+          const id = getConnectionKey(fromId, toId);
+          if (fromId === toId || (await idbRequest(connections.get(id)))) {
+            continue;
+          }
+          connections.put({
+            ...record,
+            id,
+            fromId,
+            toId,
+            paperTitle:
+              record.toId === duplicateId ? kept.title : record.paperTitle,
+          });
+        }
+      }
+
+      const noteRecords = await idbRequest(
+        notes.index("paperId").getAll(duplicateId)
+      );
+      noteRecords.forEach((note) => notes.put({ ...note, paperId: keepId }));
+
+      // Highlights are linked to papers by URL.
+      if (duplicate.url !== kept.url) {
+        const highlightRecords = await idbRequest(
+          highlights.index("paperUrl").getAll(duplicate.url)
+        );
+        highlightRecords.forEach((highlight) =>
+          highlights.put({ ...highlight, paperUrl: kept.url })
+        );
+      }
+
+      papers.delete(duplicateId);
+    }
+
+    revisions.sort((a, b) => a.revisedAt.localeCompare(b.revisedAt));
+    papers.put({
+      ...kept,
+      revisions,
+      tags: [...tags],
+      collectionIds: [...collectionIds],
+    });
+    await idbTransactionDone(tx);
+  }
+
+  // Adds a connection from one paper to another, replacing any existing one.
+  async saveConnection(fromId, connection) {
+    const db = await this.open();
+    const tx = db.transaction("connections", "readwrite");
+    tx.objectStore("connections").put(toConnectionRecord(fromId, connection));
+    await idbTransactionDone(tx);
+  }
+
+  // Returns true if a connection from one paper to another exists.
+  async hasConnection(fromId, toId) {
+    const db = await this.open();
+    const tx = db.transaction("connections", "readonly");
+    const record = await idbRequest(
+      tx.objectStore("connections").get(getConnectionKey(fromId, toId))
+    );
+    return Boolean(record);
+  }
+
+  // Deletes a paper, connections in both directions, and its notes.
+  async deletePaper(paperId) {
+    const db = await this.open();
+    const tx = db.transaction(["papers", "connections", "notes"], "readwrite");
+    tx.objectStore("papers").delete(paperId);
+
+    const connections = tx.objectStore("connections");
+    for (const indexName of ["fromId", "toId"]) {
+      const keys = await idbRequest(
+        connections.index(indexName).getAllKeys(paperId)
+      );
+      keys.forEach((key) => connections.delete(key));
+    }
+
+    const notes = tx.objectStore("notes");
+    const noteKeys = await idbRequest(
+      notes.index("paperId").getAllKeys(paperId)
+    );
+    noteKeys.forEach((key) => notes.delete(key));
+
+    await idbTransactionDone(tx);
+  }
+
+  // Removes every paper, connection and note. Highlights are kept.
+  async clearPapers() {
+    const db = await this.open();
+    const tx = db.transaction(["papers", "connections", "notes"], "readwrite");
+    tx.objectStore("papers").clear();
+    tx.objectStore("connections").clear();
+    tx.objectStore("notes").clear();
+    await idbTransactionDone(tx);
+  }
+
+  // --- Tags and collections ---
+
+  // Replaces a paper's tags.
+  async setPaperTags(paperId, tags) {
+    const db = await this.open();
+    const tx = db.transaction("papers", "readwrite");
+    const papers = tx.objectStore("papers");
+    const paper = await idbRequest(papers.get(paperId));
+    if (!paper) throw new Error("Paper not found");
+
+    papers.put({ ...paper, tags });
+    await idbTransactionDone(tx);
+  }
+
+  // Returns every tag in use, with the number of papers carrying it.
+  async getAllTags() {
+    const db = await this.open();
+    const tx = db.transaction("papers", "readonly");
+    const counts = new Map();
+    await new Promise((resolve, reject) => {
+      // The index holds one entry per tag of each paper.
+      const request = tx.objectStore("papers").index("tags").openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve();
+        counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    return [...counts.entries()].map(([tag, count]) => ({ tag, count }));
+  }
+
+  // Returns all collections, sorted by name.
+  async getAllCollections() {
+    const db = await this.open();
+    const tx = db.transaction("collections", "readonly");
+    return idbRequest(tx.objectStore("collections").index("name").getAll());
+  }
+
+  // Saves (or renames) a collection.
+  async saveCollection(collection) {
+    const db = await this.open();
+    const tx = db.transaction("collections", "readwrite");
+    tx.objectStore("collections").put(collection);
+    await idbTransactionDone(tx);
+  }
+
+  // Deletes a collection. Its papers stay in the library.
+  async deleteCollection(collectionId) {
+    const db = await this.open();
+    const tx = db.transaction(["collections", "papers"], "readwrite");
+    tx.objectStore("collections").delete(collectionId);
+
+    const papers = tx.objectStore("papers");
+    const members = await idbRequest(
+      papers.index("collectionIds").getAll(collectionId)
+    );
+    members.forEach((paper) =>
+      papers.put({
+        ...paper,
+        collectionIds: paper.collectionIds.filter((id) => id !== collectionId),
+      })
+    );
+    await idbTransactionDone(tx);
+  }
+
+  // Adds papers to a collection, or removes them with `remove`.
+  async setCollectionMembership(collectionId, paperIds, remove = false) {
+    const db = await this.open();
+    const tx = db.transaction("papers", "readwrite");
+    const papers = tx.objectStore("papers");
+
+    for (const paperId of paperIds) {
+      const paper = await idbRequest(papers.get(paperId));
+      if (!paper) continue;
+      const collectionIds = (paper.collectionIds || []).filter(
+        (id) => id !== collectionId
+      );
+      if (!remove) collectionIds.push(collectionId);
+      papers.put({ ...paper, collectionIds });
+    }
+    await idbTransactionDone(tx);
+  }
+
+  // --- Analysis queue ---
+
+  // Keeps an extracted paper for a queued job until it is analysed.
+  async saveJobData(jobId, paperData) {
+    const db = await this.open();
+    const tx = db.transaction("jobData", "readwrite");
+    tx.objectStore("jobData").put({ jobId, paperData });
+    await idbTransactionDone(tx);
+  }
+
+  // Returns a job's extracted paper, or null.
+  async getJobData(jobId) {
+    const db = await this.open();
+    const tx = db.transaction("jobData", "readonly");
+    const record = await idbRequest(tx.objectStore("jobData").get(jobId));
+    return record ? record.paperData : null;
+  }
+
+  async deleteJobData(jobIds) {
+    if (jobIds.length === 0) return;
+    const db = await this.open();
+    const tx = db.transaction("jobData", "readwrite");
+    const store = tx.objectStore("jobData");
+    jobIds.forEach((jobId) => store.delete(jobId));
+    await idbTransactionDone(tx);
+  }
+
+  // --- Highlights ---
+
+  // Returns all highlights, newest first.
+  async getAllHighlights() {
+    const db = await this.open();
+    const tx = db.transaction("highlights", "readonly");
+    const highlights = await idbRequest(
+      tx.objectStore("highlights").index("date").getAll()
+    );
+    return highlights.reverse();
+  }
+
+  async getHighlightsForPaper(paperUrl) {
+    const db = await this.open();
+    const tx = db.transaction("highlights", "readonly");
+    const highlights = await idbRequest(
+      tx.objectStore("highlights").index("paperUrl").getAll(paperUrl)
+    );
+    return highlights.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  async saveHighlight(highlight) {
+    const db = await this.open();
+    const tx = db.transaction("highlights", "readwrite");
+    tx.objectStore("highlights").put(highlight);
+    await idbTransactionDone(tx);
+  }
+
+  async deleteHighlight(highlightId) {
+    const db = await this.open();
+    const tx = db.transaction("highlights", "readwrite");
+    tx.objectStore("highlights").delete(highlightId);
+    await idbTransactionDone(tx);
+  }
+
+  // --- Notes ---
+
+  async getAllNotes() {
+    const db = await this.open();
+    const tx = db.transaction("notes", "readonly");
+    return idbRequest(tx.objectStore("notes").getAll());
+  }
+
+  // Returns a paper's notes, most recently updated first.
+  async getNotesForPaper(paperId) {
+    const db = await this.open();
+    const tx = db.transaction("notes", "readonly");
+    const notes = await idbRequest(
+      tx.objectStore("notes").index("paperId").getAll(paperId)
+    );
+    return notes.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async saveNote(note) {
+    const db = await this.open();
+    const tx = db.transaction("notes", "readwrite");
+    tx.objectStore("notes").put(note);
+    await idbTransactionDone(tx);
+  }
+
+  async deleteNote(noteId) {
+    const db = await this.open();
+    const tx = db.transaction("notes", "readwrite");
+    tx.objectStore("notes").delete(noteId);
+    await idbTransactionDone(tx);
+  }
+}
+
+// Snapshot of a paper's analysed fields, stored in `paper.revisions`.
+function toRevision(paper) {
+  const revision = { revisedAt: paper.revisedAt || paper.timestamp };
+  ANALYSIS_REVISION_FIELDS.forEach((field) => {
+    if (paper[field] !== undefined) revision[field] = paper[field];
+  });
+  return revision;
+}
+
+// Tags are stored lower-case without a leading "#", quotes or angle
+// brackets, with single spaces. Returns "" for text that makes no tag.
+function normaliseTag(tag) {
+  return (tag || "")
+    .toLowerCase()
+    .replace(/["<>]/g, "")
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+function getConnectionKey(fromId, toId) {
+  return `${fromId}|${toId}`;
+}
+
+// Converts a paper's connection entry to a connections-store record.
+function toConnectionRecord(fromId, connection) {
+  const { paperId, ...fields } = connection;
+  return {
+    ...fields,
+    id: getConnectionKey(fromId, paperId),
+    fromId,
+    toId: paperId,
+  };
+}
+
+// Converts a connections-store record back to a paper's connection entry.
+function fromConnectionRecord(record) {
+  const { id, fromId, toId, ...fields } = record;
+  return { paperId: toId, ...fields };
+}
+
+const libraryStore = new LibraryStore();
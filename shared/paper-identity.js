@@ -0,0 +1,94 @@
+// Canonical identities for papers, so one paper reached through different
+// URLs (arXiv abs/pdf/html pages and versions, IEEE stamp and abstract links,
+// tracking parameters) is stored and looked up once. Loaded by the service
+// worker, the content script and the extension pages.
+
+// arXiv identifiers, new style ("2301.00001") and old style ("hep-th/9901001"),
+// on arxiv.org and on ar5iv, which renders older papers as HTML.
+const ARXIV_URL_PATTERN =
+  /^https?:\/\/(?:(?:www\.|export\.)?arxiv\.org\/(?:abs|pdf|html)|ar5iv(?:\.labs\.arxiv)?\.org\/(?:abs|html))\/([a-z-]+(?:\.[a-z]{2})?\/\d{7}|\d{4}\.\d{4,5})(?:v(\d+))?/i;
+const IEEE_URL_PATTERN =
+  /ieeexplore\.ieee\.org\/(?:(?:abstract\/)?document\/(\d+)|.*[?&]arnumber=(\d+))/i;
+
+// Returns { id, version } for an arXiv URL, or null. `version` is null when
+// the URL points at the latest version.
+function parseArxivUrl(url) {
+  const match = (url || "").match(ARXIV_URL_PATTERN);
+  if (!match) return null;
+  return { id: match[1], version: match[2] ? Number(match[2]) : null };
+}
+
+// Returns the IEEE Xplore document number in a URL, or null.
+function parseIeeeDocumentNumber(url) {
+  const match = (url || "").match(IEEE_URL_PATTERN);
+  return match ? match[1] || match[2] : null;
+}
+
+// Rewrites a paper URL to one stable form: arXiv papers to their versionless
+// /abs/ page, IEEE papers to /document/N, and anything else without its
+// fragment, tracking parameters and trailing slash.
+function normalisePaperUrl(url) {
+  if (!url) return url;
+
+  const arxiv = parseArxivUrl(url);
+  if (arxiv) return `https://arxiv.org/abs/${arxiv.id}`;
+
+  const ieeeNumber = parseIeeeDocumentNumber(url);
+  if (ieeeNumber) return `https://ieeexplore.ieee.org/document/${ieeeNumber}`;
+
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    [...parsed.searchParams.keys()]
+      .filter((key) => /^utm_/i.test(key))
+      .forEach((key) => parsed.searchParams.delete(key));
+    parsed.pathname = parsed.pathname.replace(/\/+$/, "") || "/";
+    return parsed.toString().replace(/\/$/, "");
+  } catch (error) {
+    return url.trim();
+  }
+}
+
+// Returns the ID a paper is de-duplicated on: "arxiv:…", "ieee:…", "doi:…",
+// or "url:…" as a last resort. Identifiers read from the URL come before the
+// DOI, so analyses saved before citation metadata was recorded still match.
+function getCanonicalPaperId(paper) {
+  const citation = paper.citation || {};
+
+  const arxiv = parseArxivUrl(paper.url);
+  const arxivId = (arxiv && arxiv.id) || citation.arxivId;
+  if (arxivId) return `arxiv:${arxivId.replace(/v\d+$/, "").toLowerCase()}`;
+
+  const ieeeNumber = parseIeeeDocumentNumber(paper.url);
+  if (ieeeNumber) return `ieee:${ieeeNumber}`;
+
+  const doi = paper.doi || citation.doi;
+  if (doi) return `doi:${doi.toLowerCase()}`;
+
+  return `url:${normalisePaperUrl(paper.url)}`;
+}
+
+// Normalises "doi:10.1/x" or "https://doi.org/10.1/x" to "10.1/x".
+function normaliseDoi(value) {
+  if (!value) return null;
+  const match = value.match(/10\.\d{4,9}\/[^\s"<>]+/);
+  return match ? match[0].replace(/[.,;]$/, "") : null;
+}
+
+// Finds an arXiv identifier (without version) in a URL or DOI.
+function findArxivId(value) {
+  if (!value) return null;
+  const match = value.match(
+    /(?:arxiv\.org\/(?:abs|pdf|html)\/|arxiv[.:]\s*)([a-z-]+(?:\.[a-z]{2})?\/\d{7}|\d{4}\.\d{4,5})/i
+  );
+  return match ? match[1] : null;
+}
+
+// Papers analysed from local PDF files have no web page. They are saved under
+// "local-pdf:" and the SHA-256 of the file, unless the PDF names its arXiv ID
+// or DOI.
+const LOCAL_PDF_URL_PREFIX = "local-pdf:";
+
+function isLocalPdfUrl(url) {
+  return (url || "").startsWith(LOCAL_PDF_URL_PREFIX);
+}
@@ -0,0 +1,92 @@
+// The paper sites NovaMind supports. Every site has
+//   key, name              short site key saved with analyses, display name
+//   matches(url)           whether the URL is a paper page (landing or PDF)
+// Extension pages load this file to name a paper's site; the content script
+// also loads site-adapters.js, which adds each site's extractors. Keep
+// manifest.json's host_permissions and content_scripts matches in step with
+// this list.
+
+// bioRxiv and medRxiv share one platform.
+function createRxivSite(key, host) {
+  const pattern = new RegExp(
+    `^https?://(?:www\\.)?${host.replace(
+      ".",
+      "\\."
+    )}/content/10\\.1101/[\\d.]+v\\d+`,
+    "i"
+  );
+  return { key, name: key, matches: (url) => pattern.test(url) };
+}
+
+const PAPER_SITES = [
+  {
+    key: "arXiv",
+    name: "arXiv",
+    matches: (url) => !!parseArxivUrl(url),
+  },
+  {
+    key: "IEEE",
+    name: "IEEE Xplore",
+    matches: (url) =>
+      /^https?:\/\/ieeexplore\.ieee\.org\/(?:abstract\/)?document\//i.test(url),
+  },
+  {
+    key: "ACM",
+    name: "ACM Digital Library",
+    matches: (url) =>
+      /^https?:\/\/dl\.acm\.org\/doi\/(?:abs\/|full\/|fullHtml\/|epdf\/|pdf\/)?10\.\d+\//i.test(
+        url
+      ),
+  },
+  {
+    key: "Springer",
+    name: "Springer",
+    matches: (url) =>
+      /^https?:\/\/link\.springer\.com\/(?:article|chapter|content\/pdf)\/10\.\d+\//i.test(
+        url
+      ),
+  },
+  {
+    key: "ScienceDirect",
+    name: "ScienceDirect",
+    matches: (url) =>
+      /^https?:\/\/www\.sciencedirect\.com\/science\/article\/(?:abs\/)?pii\/\w+/i.test(
+        url
+      ),
+  },
+  {
+    key: "PMC",
+    name: "PubMed Central",
+    matches: (url) =>
+      /^https?:\/\/(?:pmc\.ncbi\.nlm\.nih\.gov|www\.ncbi\.nlm\.nih\.gov\/pmc)\/articles\/PMC\d+/i.test(
+        url
+      ),
+  },
+  createRxivSite("bioRxiv", "biorxiv.org"),
+  createRxivSite("medRxiv", "medrxiv.org"),
+  {
+    key: "OpenReview",
+    name: "OpenReview",
+    matches: (url) =>
+      /^https?:\/\/openreview\.net\/(?:forum|pdf)\?(?:[^#]*&)?id=/i.test(url),
+  },
+  {
+    key: "ACL Anthology",
+    name: "ACL Anthology",
+    matches: (url) =>
+      /^https?:\/\/aclanthology\.org\/(?:[A-Z]\d{2}-\d{4}|\d{4}\.[\w-]+\.\d+)(?:\.pdf|\/)?(?:[?#]|$)/i.test(
+        url
+      ),
+  },
+  {
+    key: "Semantic Scholar",
+    name: "Semantic Scholar",
+    matches: (url) =>
+      /^https?:\/\/www\.semanticscholar\.org\/paper\//i.test(url),
+  },
+];
+
+// Returns the site a paper URL belongs to, or null on unsupported sites.
+function findPaperSite(url) {
+  return PAPER_SITES.find((site) => site.matches(url || "")) || null;
+}
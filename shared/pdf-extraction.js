@@ -0,0 +1,903 @@
+// PDF text extraction: reads a PDF with PDF.js, rebuilds its lines in reading
+// order, splits them into sections and parses the paper and its references.
+// Used by the content script for PDFs open in a tab and by the dashboard for
+// local files; both load the bundled PDF.js library and worker first.
+
+// PDF extraction modes: "full" walks every page, "edges" only reads the first
+// ten and last five pages (enough for the title, abstract and conclusion).
+const PDF_EXTRACTION_MODES = {
+  FULL: "full",
+  EDGES: "edges",
+};
+
+// Returns the page numbers to read for the given extraction mode.
+function getPageNumbersToExtract(numPages, mode) {
+  const allPages = Array.from({ length: numPages }, (_, i) => i + 1);
+  if (mode !== PDF_EXTRACTION_MODES.EDGES || numPages <= 15) {
+    return allPages;
+  }
+  // First 10 pages for the Intro/Abstract, last 5 for the conclusion.
+  return allPages.filter((pageNum) => pageNum <= 10 || pageNum > numPages - 5);
+}
+
+// --- Layout-aware text reconstruction ---
+// PDF.js returns text items in drawing order with a transform matrix
+// [a, b, c, d, x, y]; y is measured from the bottom of the page. The helpers
+// below use those positions to rebuild lines, columns and reading order.
+
+// Whether a PDF.js text item is drawn rotated, like the vertical arXiv stamp
+// down the first page's margin.
+function isRotatedItem(item) {
+  return Math.abs(item.transform[1]) > Math.abs(item.transform[0]);
+}
+
+// Reads the arXiv ID from the rotated margin stamp in a page's raw text
+// items. The stamp is dropped from the page text, so this must run first.
+function readArxivStamp(items) {
+  const stamp = items
+    .filter((item) => item.str && isRotatedItem(item))
+    .map((item) => item.str)
+    .join("");
+  return findArxivStamp(stamp);
+}
+
+// Converts PDF.js text items into positioned fragments, dropping empty and
+// rotated items (e.g. the vertical arXiv watermark in the margin).
+function toPositionedItems(items) {
+  return items
+    .filter((item) => item.str && item.str.trim().length > 0)
+    .filter((item) => !isRotatedItem(item))
+    .map((item) => {
+      const fontSize =
+        Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+      return {
+        str: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width || item.str.length * fontSize * 0.5,
+        fontSize,
+      };
+    });
+}
+
+// Groups positioned items into line fragments. Items on the same baseline are
+// joined, but a wide horizontal gap (a column gutter) starts a new fragment.
+function buildLineFragments(positionedItems) {
+  const sorted = [...positionedItems].sort((a, b) => b.y - a.y || a.x - b.x);
+  const rows = [];
+
+  for (const item of sorted) {
+    const row = rows.find(
+      (r) => Math.abs(r.y - item.y) <= Math.min(r.fontSize, item.fontSize) * 0.5
+    );
+    if (row) {
+      row.items.push(item);
+    } else {
+      rows.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+
+  const fragments = [];
+  for (const row of rows) {
+    const items = row.items.sort((a, b) => a.x - b.x);
+    let current = null;
+
+    for (const item of items) {
+      const gap = current ? item.x - (current.x + current.width) : 0;
+      if (current && gap > Math.max(current.fontSize, item.fontSize) * 1.5) {
+        fragments.push(current);
+        current = null;
+      }
+      if (!current) {
+        current = { ...item, text: item.str };
+        continue;
+      }
+      // Insert a space when the items are visibly apart and neither has one.
+      const needsSpace =
+        gap > item.fontSize * 0.15 &&
+        !/\s$/.test(current.text) &&
+        !/^\s/.test(item.str);
+      current.text += (needsSpace ? " " : "") + item.str;
+      current.width = item.x + item.width - current.x;
+      current.fontSize = Math.max(current.fontSize, item.fontSize);
+    }
+    if (current) fragments.push(current);
+  }
+
+  return fragments.map((f) => ({
+    text: f.text.replace(/\s+/g, " ").trim(),
+    x: f.x,
+    y: f.y,
+    width: f.width,
+    fontSize: f.fontSize,
+  }));
+}
+
+// Looks for a vertical gutter near the middle of the page that (almost) no
+// fragment crosses. Returns its x position, or null for single-column pages.
+function detectColumnGutter(fragments, pageWidth) {
+  if (fragments.length < 10 || !pageWidth) return null;
+
+  let bestX = null;
+  let bestCrossings = Infinity;
+
+  for (let x = pageWidth * 0.35; x <= pageWidth * 0.65; x += 2) {
+    const crossings = fragments.filter(
+      (f) => f.x < x && f.x + f.width > x
+    ).length;
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      bestX = x;
+    }
+  }
+
+  const left = fragments.filter((f) => f.x + f.width <= bestX).length;
+  const right = fragments.filter((f) => f.x >= bestX).length;
+  const isTwoColumn =
+    bestCrossings <= fragments.length * 0.1 &&
+    left >= fragments.length * 0.2 &&
+    right >= fragments.length * 0.2;
+
+  return isTwoColumn ? bestX : null;
+}
+
+// Orders fragments into reading flow: full-width blocks (titles, abstracts,
+// wide figures) break the flow, and between them the left column is read
+// before the right one.
+function orderReadingFlow(fragments, gutterX) {
+  const topToBottom = [...fragments].sort((a, b) => b.y - a.y || a.x - b.x);
+  if (gutterX === null) {
+    return topToBottom;
+  }
+
+  const ordered = [];
+  let leftColumn = [];
+  let rightColumn = [];
+  const flushColumns = () => {
+    ordered.push(...leftColumn, ...rightColumn);
+    leftColumn = [];
+    rightColumn = [];
+  };
+
+  for (const fragment of topToBottom) {
+    if (fragment.x + fragment.width <= gutterX) {
+      leftColumn.push(fragment);
+    } else if (fragment.x >= gutterX) {
+      rightColumn.push(fragment);
+    } else {
+      flushColumns();
+      ordered.push(fragment);
+    }
+  }
+  flushColumns();
+  return ordered;
+}
+
+// Rejoins words split across lines ("exam-" / "ple") by moving the rest of the
+// word up to the previous line and dropping the hyphen.
+function dehyphenateLines(lines) {
+  const result = lines.map((line) => ({ ...line }));
+
+  for (let i = 0; i < result.length - 1; i++) {
+    const line = result[i];
+    const next = result[i + 1];
+    if (!/[A-Za-z]-$/.test(line.text) || !/^[a-z]/.test(next.text)) continue;
+
+    const [restOfWord, ...remaining] = next.text.split(" ");
+    line.text = line.text.slice(0, -1) + restOfWord;
+    next.text = remaining.join(" ");
+  }
+
+  return result.filter((line) => line.text.length > 0);
+}
+
+// Rebuilds the lines of one page in reading order from its PDF.js text items.
+function reconstructPageLines(items, viewport) {
+  const fragments = buildLineFragments(toPositionedItems(items));
+  const gutterX = detectColumnGutter(fragments, viewport.width);
+  const ordered = orderReadingFlow(fragments, gutterX);
+  return dehyphenateLines(ordered);
+}
+
+// Normalises a line so running headers match across pages ("Page 3" = "Page 4").
+function getHeaderFooterSignature(text) {
+  return text.toLowerCase().replace(/\d+/g, "#").replace(/\s+/g, " ").trim();
+}
+
+// Drops running headers, footers and page numbers: lines in the top or bottom
+// margin that repeat on many pages, or that are nothing but a page number.
+function removeRepeatedHeadersAndFooters(pages) {
+  const isInMargin = (line, page) =>
+    line.y > page.height * 0.92 || line.y < page.height * 0.08;
+  const isPageNumber = (text) =>
+    /^(page\s*)?[#\d]{1,4}(\s*(of|\/)\s*\d{1,4})?$/i.test(text.trim());
+
+  const pageCounts = new Map();
+  for (const page of pages) {
+    const signatures = new Set(
+      page.lines
+        .filter((line) => isInMargin(line, page))
+        .map((line) => getHeaderFooterSignature(line.text))
+    );
+    signatures.forEach((sig) =>
+      pageCounts.set(sig, (pageCounts.get(sig) || 0) + 1)
+    );
+  }
+
+  const minRepeats = Math.max(3, Math.ceil(pages.length * 0.4));
+  let removed = 0;
+
+  const cleanedPages = pages.map((page) => ({
+    ...page,
+    lines: page.lines.filter((line) => {
+      if (!isInMargin(line, page)) return true;
+      const isRepeated =
+        pages.length >= 3 &&
+        pageCounts.get(getHeaderFooterSignature(line.text)) >= minRepeats;
+      if (isRepeated || isPageNumber(line.text)) {
+        removed++;
+        return false;
+      }
+      return true;
+    }),
+  }));
+
+  console.log(`[NovaMind] Removed ${removed} header/footer lines`);
+  return cleanedPages;
+}
+
+// Core PDF.js function to extract text from a PDF document, page by page.
+// Each page is passed to `onPage` as soon as it has been read, and the result
+// records where every page starts and ends in the combined text, plus the
+// arXiv ID from the first page's margin stamp (or null).
+// `source` is the PDF's URL, or its bytes as an ArrayBuffer for local files.
+async function extractTextFromPDF(source, options = {}) {
+  const { mode = PDF_EXTRACTION_MODES.FULL, onPage = null } = options;
+
+  try {
+    const pdfjsLib = window.pdfjsLib;
+
+    // Load the PDF document.
+    const loadingTask = pdfjsLib.getDocument({
+      ...(typeof source === "string" ? { url: source } : { data: source }),
+      verbosity: 0, // Reduce console spam.
+    });
+
+    const pdf = await loadingTask.promise;
+    console.log(`[NovaMind] PDF loaded: ${pdf.numPages} pages (${mode} mode)`);
+
+    const pageNumbers = getPageNumbersToExtract(pdf.numPages, mode);
+    let pageLayouts = [];
+    let arxivId = null;
+
+    for (const pageNum of pageNumbers) {
+      const page = await pdf.getPage(pageNum);
+      const viewport = page.getViewport({ scale: 1 });
+      const textContent = await page.getTextContent();
+      if (pageNum === 1) {
+        arxivId = readArxivStamp(textContent.items);
+      }
+      const lines = reconstructPageLines(textContent.items, viewport);
+
+      // Release the page's resources; long theses otherwise pile up in memory.
+      page.cleanup();
+
+      pageLayouts.push({ pageNumber: pageNum, height: viewport.height, lines });
+
+      if (onPage) {
+        onPage({
+          pageNumber: pageNum,
+          numPages: pdf.numPages,
+          text: lines.map((line) => line.text).join("\n"),
+        });
+      }
+    }
+
+    // Headers and footers can only be recognised once every page is read.
+    pageLayouts = removeRepeatedHeadersAndFooters(pageLayouts);
+
+    const pages = [];
+    let fullText = "";
+    for (const layout of pageLayouts) {
+      const pageText = layout.lines.map((line) => line.text).join("\n");
+      pages.push({
+        pageNumber: layout.pageNumber,
+        start: fullText.length,
+        end: fullText.length + pageText.length,
+        lines: layout.lines,
+      });
+      fullText += pageText + "\n\n";
+    }
+
+    console.log(
+      `[NovaMind] Extracted ${pages.length} of ${pdf.numPages} pages`
+    );
+
+    await pdf.destroy();
+    return { fullText, pages, numPages: pdf.numPages, arxivId };
+  } catch (error) {
+    console.error("[NovaMind] PDF text extraction error:", error);
+    throw error;
+  }
+}
+
+// --- Section segmentation ---
+
+// Maps heading text (without its number) to a section kind, so downstream
+// steps can ask for "the method section" whatever the paper calls it.
+const SECTION_KINDS = [
+  { kind: "abstract", pattern: /^abstract\b/ },
+  { kind: "introduction", pattern: /^introduction\b/ },
+  {
+    kind: "related-work",
+    pattern: /^(related work|background|prior work|literature review)\b/,
+  },
+  {
+    kind: "method",
+    pattern:
+      /^(methods?|methodology|approach|proposed (method|approach|framework)|materials and methods|model)\b/,
+  },
+  {
+    kind: "experiments",
+    pattern:
+      /^(experiments?|experimental (setup|settings?)|evaluation|setup)\b/,
+  },
+  { kind: "results", pattern: /^(results|findings)\b/ },
+  { kind: "discussion", pattern: /^discussion\b/ },
+  {
+    kind: "conclusion",
+    pattern:
+      /^(conclusions?|concluding remarks|summary and conclusions?|limitations|future work)\b/,
+  },
+  { kind: "acknowledgements", pattern: /^acknowledge?ments?\b/ },
+  { kind: "references", pattern: /^(references|bibliography|works cited)\b/ },
+  { kind: "appendix", pattern: /^(appendix|appendices|supplementary)\b/ },
+];
+
+// Returns the section kind for a heading title, or "other".
+function classifySectionHeading(title) {
+  const normalised = title.toLowerCase().replace(/[:.]$/, "").trim();
+  const match = SECTION_KINDS.find(({ pattern }) => pattern.test(normalised));
+  return match ? match.kind : "other";
+}
+
+// Converts a Roman numeral (I, II, ... XX) to a number.
+function romanToNumber(roman) {
+  const values = { I: 1, V: 5, X: 10 };
+  let total = 0;
+  for (let i = 0; i < roman.length; i++) {
+    const value = values[roman[i]];
+    const next = values[roman[i + 1]] || 0;
+    total += value < next ? -value : value;
+  }
+  return total;
+}
+
+// Checks that a candidate heading title reads like a title, not a sentence,
+// table row or equation.
+function looksLikeHeadingTitle(title) {
+  const words = title.split(/\s+/);
+  return (
+    /^[A-Z]/.test(title) &&
+    /[A-Za-z]{3,}/.test(title) &&
+    words.length <= 12 &&
+    !/[,;]/.test(title) &&
+    !/\.$/.test(title) &&
+    (title.match(/\d+(\.\d+)?/g) || []).length <= 1
+  );
+}
+
+// Decides whether a line is a section heading. `state` tracks the numbering
+// seen so far, so stray numbered lines (list items, table rows) are rejected
+// when they do not continue the sequence.
+function detectHeading(line, state, bodyFontSize) {
+  const text = line.text.trim();
+  if (text.length < 3 || text.length > 100) return null;
+  // Footnotes and captions are set smaller than the body text.
+  if (line.fontSize && line.fontSize < bodyFontSize * 0.9) return null;
+
+  // IEEE-style inline abstract: "Abstract—We propose ..."
+  const inlineAbstract = text.match(/^abstract\s*[—–:.-]\s*(.+)$/i);
+  if (inlineAbstract && state.top === 0) {
+    return {
+      heading: "Abstract",
+      level: 1,
+      kind: "abstract",
+      remainder: inlineAbstract[1],
+    };
+  }
+
+  // Arabic numbering: "3 Method", "3.2. Training Details".
+  const numbered = text.match(/^((?:\d{1,2}\.)*\d{1,2})\.?\s+(.+)$/);
+  if (numbered && looksLikeHeadingTitle(numbered[2])) {
+    const parts = numbered[1].split(".").map(Number);
+    const isNextTop =
+      parts.length === 1 && parts[0] > state.top && parts[0] <= state.top + 2;
+    const isSubsection = parts.length > 1 && parts[0] === state.top;
+    if (isNextTop || isSubsection) {
+      if (parts.length === 1) state.top = parts[0];
+      return {
+        heading: numbered[2],
+        level: parts.length,
+        kind: classifySectionHeading(numbered[2]),
+      };
+    }
+  }
+
+  // Roman numbering with lettered subsections: "IV. EXPERIMENTS", "B. Datasets".
+  const roman = text.match(/^([IVX]{1,5})\.\s+(.+)$/);
+  if (roman && looksLikeHeadingTitle(roman[2])) {
+    const value = romanToNumber(roman[1]);
+    if (value > state.roman && value <= state.roman + 2) {
+      state.roman = value;
+      return {
+        heading: roman[2],
+        level: 1,
+        kind: classifySectionHeading(roman[2]),
+      };
+    }
+  }
+  const lettered = text.match(/^([A-H])((?:\.\d+)*)\.?\s+(.+)$/);
+  if (
+    lettered &&
+    (state.roman > 0 || state.inAppendix) &&
+    looksLikeHeadingTitle(lettered[3])
+  ) {
+    const level = state.inAppendix
+      ? 1 + lettered[2].split(".").filter(Boolean).length
+      : 2;
+    return {
+      heading: lettered[3],
+      level,
+      kind: state.inAppendix ? "appendix" : classifySectionHeading(lettered[3]),
+    };
+  }
+
+  // Unnumbered headings are only trusted for the well-known section names.
+  const bare = text.replace(/[:.]$/, "");
+  const kind = classifySectionHeading(bare);
+  if (
+    kind !== "other" &&
+    bare.split(/\s+/).length <= 5 &&
+    /^[A-Z]/.test(bare)
+  ) {
+    return { heading: bare, level: 1, kind };
+  }
+
+  return null;
+}
+
+// Splits the reconstructed PDF pages into an ordered list of sections:
+// { heading, level, kind, text, pageRange: { start, end } }. Text before the
+// first heading (title, authors) becomes a level-0 "Front matter" section.
+function segmentSections(pages) {
+  const allLines = pages.flatMap((page) =>
+    page.lines.map((line) => ({ ...line, pageNumber: page.pageNumber }))
+  );
+  if (allLines.length === 0) return [];
+
+  const fontSizes = allLines
+    .map((line) => line.fontSize)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  const bodyFontSize = fontSizes[Math.floor(fontSizes.length / 2)] || 0;
+
+  const state = { top: 0, roman: 0, inAppendix: false };
+  const sections = [];
+  let current = {
+    heading: "Front matter",
+    level: 0,
+    kind: "front-matter",
+    lines: [],
+    pageRange: { start: allLines[0].pageNumber, end: allLines[0].pageNumber },
+  };
+
+  for (const line of allLines) {
+    const heading = detectHeading(line, state, bodyFontSize);
+    if (heading) {
+      sections.push(current);
+      if (heading.kind === "references" || heading.kind === "appendix") {
+        state.inAppendix = true;
+      }
+      current = {
+        heading: heading.heading,
+        level: heading.level,
+        kind: heading.kind,
+        lines: heading.remainder ? [heading.remainder] : [],
+        pageRange: { start: line.pageNumber, end: line.pageNumber },
+      };
+      continue;
+    }
+    current.lines.push(line.text);
+    current.pageRange.end = line.pageNumber;
+  }
+  sections.push(current);
+
+  const result = sections
+    .filter((section) => section.level > 0 || section.lines.length > 0)
+    .map(({ lines, ...section }) => ({ ...section, text: lines.join("\n") }));
+
+  console.log(
+    "[NovaMind] Detected sections:",
+    result.map((s) => `${s.heading} (p.${s.pageRange.start})`).join(", ")
+  );
+  return result;
+}
+
+// Returns the text of the first section of the given kind, including the
+// subsections nested under it.
+function getSectionText(sections, kind) {
+  const index = sections.findIndex((section) => section.kind === kind);
+  if (index === -1) return "";
+
+  const { level } = sections[index];
+  const parts = [sections[index].text];
+  for (let i = index + 1; i < sections.length; i++) {
+    if (sections[i].level <= level) break;
+    parts.push(`${sections[i].heading}\n${sections[i].text}`);
+  }
+  return parts.join("\n\n").trim();
+}
+
+// --- Reference list parsing ---
+
+// Splits the text of a References section into one string per entry.
+// Handles "[12] ..." and "12. ..." numbering as well as unnumbered
+// author-year lists, where an entry starts on a line beginning with a surname.
+function splitReferenceEntries(referencesText) {
+  const lines = referencesText
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const bracketed = /^\[\d{1,3}\]\s*/;
+  const numbered = /^\d{1,3}\.\s+/;
+  const authorStart = /^[A-Z][A-Za-z'’\-]+,?\s+(?:[A-Z]\.|[A-Z][a-z]+)/;
+
+  const countMatches = (pattern) => lines.filter((l) => pattern.test(l)).length;
+  let startsEntry;
+  if (countMatches(bracketed) >= 2) {
+    startsEntry = (line) => bracketed.test(line);
+  } else if (countMatches(numbered) >= 2) {
+    startsEntry = (line) => numbered.test(line);
+  } else {
+    startsEntry = (line, previous) =>
+      authorStart.test(line) &&
+      /[.)]$/.test(previous) &&
+      /\b(19|20)\d{2}\b/.test(previous);
+  }
+
+  const entries = [];
+  let current = "";
+  for (const line of lines) {
+    if (current && startsEntry(line, current)) {
+      entries.push(current);
+      current = line;
+    } else {
+      current = current ? `${current} ${line}` : line;
+    }
+  }
+  if (current) entries.push(current);
+
+  return entries
+    .map((entry) =>
+      entry.replace(bracketed, "").replace(numbered, "").replace(/\s+/g, " ")
+    )
+    .filter((entry) => entry.length > 20);
+}
+
+// Splits a reference into its period-separated parts without breaking on
+// author initials ("A. Smith"), "et al." or abbreviations like "Proc.".
+function splitReferenceParts(entry) {
+  const rawParts = entry.split(/\.\s+/);
+  const parts = [];
+  for (const part of rawParts) {
+    const previous = parts[parts.length - 1];
+    // After an initial, a short name chunk ("Smith, J") continues the author
+    // list, while a longer phrase is the start of the title.
+    const leadingWords = part
+      .split(/,|\s+and\s+/)[0]
+      .trim()
+      .split(/\s+/);
+    const isContinuation =
+      previous !== undefined &&
+      leadingWords.length <= 3 &&
+      /(\b[A-Z]|\bet al|\bvol|\bno|\bpp|\bProc|\bJr|\bInt|\bConf)$/i.test(
+        previous
+      );
+    if (isContinuation) {
+      parts[parts.length - 1] = `${previous}. ${part}`;
+    } else {
+      parts.push(part);
+    }
+  }
+  return parts.map((part) => part.replace(/\.$/, "").trim()).filter(Boolean);
+}
+
+// Splits an author string into individual names, keeping "Smith, J." together.
+function parseReferenceAuthors(authorText) {
+  const chunks = authorText
+    .replace(/\(\d{4}[a-z]?\)/g, "")
+    .replace(/\bet al\.?/gi, "")
+    .split(/\s*(?:;|&|,?\s+and\s+|,)\s*/)
+    .map((chunk) => chunk.trim())
+    .filter(Boolean);
+
+  const authors = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const next = chunks[i + 1];
+    const isSurnameOnly = !chunks[i].includes(" ") && !/\./.test(chunks[i]);
+    if (isSurnameOnly && next && /^([A-Z]\.?\s?-?)+$/.test(next)) {
+      authors.push(`${chunks[i]}, ${next}`);
+      i++;
+    } else {
+      authors.push(chunks[i]);
+    }
+  }
+  return authors.filter((name) => /[A-Za-z]{2,}/.test(name)).slice(0, 30);
+}
+
+// Parses one reference string into a structured citation.
+function parseReferenceEntry(entry) {
+  const doiMatch = entry.match(/\b(10\.\d{4,9}\/[^\s"<>]+)/);
+  const arxivMatch =
+    entry.match(/arxiv[:\s]*(\d{4}\.\d{4,5})(v\d+)?/i) ||
+    entry.match(/arxiv\.org\/(?:abs|pdf)\/(\d{4}\.\d{4,5})/i);
+  const yearMatch =
+    entry.match(/\((19|20)(\d{2})[a-z]?\)/) ||
+    [...entry.matchAll(/\b(19|20)(\d{2})\b/g)].pop();
+
+  let authors = [];
+  let title = "";
+  let venue = "";
+
+  // IEEE style puts the title in quotes: A. Smith, "Title," in Venue, 2020.
+  const quoted = entry.match(/["“]([^"”]{10,300}?)[,.]?["”]/);
+  if (quoted) {
+    authors = parseReferenceAuthors(entry.substring(0, quoted.index));
+    title = quoted[1].trim();
+    venue = entry.substring(quoted.index + quoted[0].length);
+  } else {
+    const parts = splitReferenceParts(entry);
+    authors = parseReferenceAuthors(parts[0] || "");
+    // Author-year style: "Smith, J. (2020). Title. Venue."
+    const titleIndex = /^\(?\d{4}[a-z]?\)?$/.test(parts[1] || "") ? 2 : 1;
+    title = parts[titleIndex] || "";
+    venue = parts.slice(titleIndex + 1).join(". ");
+  }
+
+  venue = venue
+    .replace(/^[\s,.]*(in\s+)?/i, "")
+    .replace(/\b(doi|arxiv)[:\s].*$/i, "")
+    .replace(/https?:\/\/\S+/g, "")
+    .replace(/,?\s*pp?\.\s*[\d–-]+/g, "")
+    .replace(/[\s,.]*\(?(19|20)\d{2}\)?[\s,.]*$/, "")
+    .replace(/[\s,.]+$/, "")
+    .trim();
+
+  return {
+    raw: entry.substring(0, 500),
+    authors,
+    title: title.replace(/[,.]$/, ""),
+    venue: venue.substring(0, 200) || null,
+    year: yearMatch ? Number(`${yearMatch[1]}${yearMatch[2]}`) : null,
+    arxivId: arxivMatch ? arxivMatch[1] : null,
+    doi: doiMatch ? doiMatch[1].replace(/[.,;]$/, "") : null,
+  };
+}
+
+// Parses the text of a References section into structured citations.
+function parseReferences(referencesText) {
+  if (!referencesText) return [];
+  const references =
+    splitReferenceEntries(referencesText).map(parseReferenceEntry);
+  console.log("[NovaMind] Parsed", references.length, "references");
+  return references;
+}
+
+// Parses raw text to find the Title, Abstract, Introduction, and Conclusion.
+// When segmented `sections` are available they take precedence over the
+// regex anchors, which only see the first matching heading.
+function parseResearchPaperFromText(fullText, sections = []) {
+  console.log("[NovaMind] Parsing paper structure from text...");
+  const result = {
+    title: "",
+    abstract: "",
+    introduction: "",
+    methodology: "",
+    conclusion: "",
+  };
+
+  const cleanedText = fullText.replace(/\s+/g, " ").replace(/\n+/g, "\n");
+
+  // 1. Define regex for our section "anchors" (headings).
+  const abstractRegex = /\b(Abstract|Summary)\b[\s\n:]*/i;
+  const introRegex = /\b(1\.?|I\.?)\s*Introduction\b/i;
+  const conclusionRegex =
+    /\b(\d+\.?|[IVX]+\.?)\s*(Conclusion|Discussion|Limitations|Future Work)\b/i;
+  const referencesRegex =
+    /\b(References|REFERENCES|Bibliography|Acknowledgment[s]?)\b/i;
+
+  // 2. Find the *index* (position) of these anchors.
+  const abstractMatch = cleanedText.match(abstractRegex);
+  const introMatch = cleanedText.match(introRegex);
+  const conclusionMatch = cleanedText.match(conclusionRegex);
+  const referencesMatch = cleanedText.match(referencesRegex);
+
+  const abstractStartIndex = abstractMatch ? abstractMatch.index : -1;
+  const introStartIndex = introMatch ? introMatch.index : -1;
+  const conclusionStartIndex = conclusionMatch ? conclusionMatch.index : -1;
+  const referencesStartIndex = referencesMatch ? referencesMatch.index : -1;
+
+  const abstractEndIndex = abstractMatch
+    ? abstractStartIndex + abstractMatch[0].length
+    : -1;
+  const introEndIndex = introMatch
+    ? introStartIndex + introMatch[0].length
+    : -1;
+  const conclusionEndIndex = conclusionMatch
+    ? conclusionStartIndex + conclusionMatch[0].length
+    : -1;
+
+  // 3. Determine the "end" points for each section.
+  // Title ends where Abstract or Introduction begins.
+  const endOfTitleIndex =
+    abstractStartIndex !== -1 ? abstractStartIndex : introStartIndex;
+  // Abstract ends where Introduction begins.
+  const endOfAbstractIndex = introStartIndex;
+  // Introduction ends where Conclusion or References begin.
+  const endOfIntroIndex =
+    conclusionStartIndex !== -1 ? conclusionStartIndex : referencesStartIndex;
+  // Conclusion ends where References begin.
+  const endOfConclusionIndex = referencesStartIndex;
+
+  // 4. Extract Title.
+  if (endOfTitleIndex !== -1) {
+    let titleText = cleanedText.substring(0, endOfTitleIndex).trim();
+    // Clean up common PDF artefacts (page numbers, arXiv watermarks).
+    titleText = titleText
+      .replace(/arXiv:\d+\.\d+v?\d*\s*\[.*\]\s*\d+\s*\w*\s*\d{4}/gi, "")
+      .replace(/^\d+|\s+\d+$/g, "");
+
+    const titleLines = titleText
+      .split("\n")
+      .filter((line) => line.trim().length > 15); // Filter out short junk lines.
+    result.title = titleLines.join(" ").replace(/\s+/g, " ").trim();
+  }
+  // Fallback: If no anchors, try to get the first long line.
+  if (!result.title && cleanedText.length > 100) {
+    const fallbackTitleMatch = cleanedText.match(/^([^\n]{20,300}?)\n/m);
+    if (fallbackTitleMatch) {
+      result.title = fallbackTitleMatch[1].trim();
+    }
+  }
+  console.log("[NovaMind] Extracted title:", result.title.substring(0, 80));
+
+  // 5. Extract Abstract.
+  if (abstractEndIndex !== -1 && endOfAbstractIndex !== -1) {
+    result.abstract = cleanedText
+      .substring(abstractEndIndex, endOfAbstractIndex)
+      .trim()
+      .substring(0, 3000);
+    console.log(
+      "[NovaMind] Extracted abstract (keyword):",
+      result.abstract.length,
+      "chars"
+    );
+  } else if (introStartIndex !== -1) {
+    // FALLBACK: No "Abstract" keyword. Grab text between Title and Introduction.
+    const start = result.title
+      ? cleanedText.indexOf(result.title) + result.title.length
+      : 0;
+    const end = introStartIndex;
+
+    if (start < end) {
+      result.abstract = cleanedText
+        .substring(start, end)
+        .trim()
+        .substring(0, 3000);
+      console.log(
+        "[NovaMind] Extracted abstract (fallback):",
+        result.abstract.length,
+        "chars"
+      );
+    }
+  }
+
+  // 6. Extract Introduction.
+  if (introEndIndex !== -1 && endOfIntroIndex !== -1) {
+    result.introduction = cleanedText
+      .substring(introEndIndex, endOfIntroIndex)
+      .trim()
+      .substring(0, 6000);
+    console.log(
+      "[NovaMind] Extracted introduction:",
+      result.introduction.length,
+      "chars"
+    );
+  }
+
+  // 7. Extract Conclusion.
+  if (conclusionEndIndex !== -1 && endOfConclusionIndex !== -1) {
+    result.conclusion = cleanedText
+      .substring(conclusionEndIndex, endOfConclusionIndex)
+      .trim()
+      .substring(0, 4000);
+    console.log(
+      "[NovaMind] Extracted conclusion:",
+      result.conclusion.length,
+      "chars"
+    );
+  }
+
+  // 8. Prefer the segmented sections wherever a heading was detected.
+  if (sections.length > 0) {
+    const abstract = getSectionText(sections, "abstract");
+    const introduction = getSectionText(sections, "introduction");
+    const methodology =
+      getSectionText(sections, "method") ||
+      getSectionText(sections, "experiments");
+    const conclusion =
+      getSectionText(sections, "conclusion") ||
+      getSectionText(sections, "discussion");
+
+    if (abstract) result.abstract = abstract.substring(0, 3000);
+    if (introduction) result.introduction = introduction.substring(0, 6000);
+    if (methodology) result.methodology = methodology.substring(0, 6000);
+    if (conclusion) result.conclusion = conclusion.substring(0, 4000);
+    console.log("[NovaMind] Applied", sections.length, "segmented sections");
+  }
+
+  return result;
+}
+
+// Reads a PDF and parses it into the paper fields every PDF extractor
+// returns. Throws when the PDF has too little text to analyse.
+async function readPaperFromPdf(source, options = {}) {
+  const { fullText, pages, numPages, arxivId } = await extractTextFromPDF(
+    source,
+    options
+  );
+
+  if (!fullText || fullText.length < 100) {
+    throw new Error("Failed to extract sufficient text from PDF");
+  }
+
+  console.log("[NovaMind] Extracted", fullText.length, "characters from PDF");
+
+  // Segment the pages by heading, then parse the paper sections.
+  const sections = segmentSections(pages);
+  const parsed = parseResearchPaperFromText(fullText, sections);
+  // Identifiers are usually printed near the top of the first page.
+  const frontMatter = fullText.substring(0, 5000);
+
+  return {
+    title: parsed.title || null,
+    abstract: parsed.abstract || "",
+    content:
+      parsed.abstract || parsed.introduction || fullText.substring(0, 3000),
+    introductionText: parsed.introduction || "",
+    methodologyText: parsed.methodology || "",
+    conclusionText: parsed.conclusion || "",
+    sections: sections,
+    references: parseReferences(getSectionText(sections, "references")),
+    citation: {
+      authors: [],
+      arxivId: arxivId || findArxivStamp(frontMatter),
+      doi: normaliseDoi(frontMatter),
+      type: null,
+    },
+    pageCount: numPages,
+  };
+}
+
+// Finds the arXiv identifier in the stamp arXiv prints down the first page's
+// margin ("arXiv:2301.00001v2 [cs.CL] 3 Jan 2023"). Bare "arXiv:" mentions
+// are skipped: they usually cite other papers. Also checks the page text, for
+// PDFs that print the stamp upright.
+function findArxivStamp(text) {
+  const match = text.match(
+    /arXiv:((?:[a-z-]+(?:\.[A-Z]{2})?\/\d{7})|\d{4}\.\d{4,5})v\d+\s*\[[a-z-]+(?:\.[A-Z]{2})?\]/
+  );
+  return match ? match[1] : null;
+}
@@ -0,0 +1,318 @@
+// Site adapters: how the content script reads paper pages on each site in
+// PAPER_SITES (shared/paper-sites.js). Every adapter has that site's key, name
+// and matches(url), plus
+//   extractMetadata(doc)   { title, abstract, authors }, any of them null
+//   extractSections(doc)   HTML full text as [{ heading, level, kind, text }]
+//   getPdfUrl(url, doc)    the paper's full-text PDF, or null
+// and may also have
+//   extractFigures(doc)    [{ label, caption, section }] from the HTML
+//   extractReferences(doc) structured bibliography from the HTML
+//   fetchFullText(url)     async; { url, metadata, sections, figures,
+//                          references } read from another rendering of the
+//                          paper, or null
+// Anything an adapter cannot read falls back to the generic extractors in
+// content.js. The extractors use the content script's PDF and arXiv HTML
+// helpers, so extension pages load paper-sites.js instead of this file.
+
+// Whitespace-collapsed text of an element.
+function getCollapsedText(element) {
+  return element.textContent.replace(/\s+/g, " ").trim();
+}
+
+// Trimmed text of the first element matching any of `selectors`.
+function getAdapterText(doc, selectors) {
+  for (const selector of selectors) {
+    const element = doc.querySelector(selector);
+    const text = element && getCollapsedText(element);
+    if (text) return text;
+  }
+  return null;
+}
+
+// Comma-separated, de-duplicated text of every element matching `selector`.
+function getAdapterAuthors(doc, selector) {
+  const names = Array.from(doc.querySelectorAll(selector))
+    .map(getCollapsedText)
+    .filter(Boolean);
+  return names.length > 0 ? [...new Set(names)].join(", ") : null;
+}
+
+// Reads title, abstract and authors with site-specific selectors.
+function readAdapterMetadata(doc, { title, abstract, authors }) {
+  const abstractText = getAdapterText(doc, abstract);
+  return {
+    title: getAdapterText(doc, title),
+    abstract: abstractText
+      ? abstractText.replace(/^abstract[:.\s]*/i, "")
+      : null,
+    authors: getAdapterAuthors(doc, authors),
+  };
+}
+
+// Reads an HTML full text laid out as (nested) section elements into the
+// same section list segmentSections builds from PDFs, without page ranges.
+// Paragraphs nested in another matched paragraph are read with their parent.
+function readAdapterSections(
+  doc,
+  { section, heading, paragraph = "p", readText = getCollapsedText }
+) {
+  return Array.from(doc.querySelectorAll(section))
+    .map((element) => {
+      const ownedBy = (child) => child.closest(section) === element;
+      const headingElement = Array.from(element.querySelectorAll(heading)).find(
+        ownedBy
+      );
+      const title = headingElement ? readText(headingElement) : "";
+
+      let level = 1;
+      let parent =
+        element.parentElement && element.parentElement.closest(section);
+      while (parent) {
+        level++;
+        parent = parent.parentElement && parent.parentElement.closest(section);
+      }
+
+      const isOuterParagraph = (p) => {
+        const outer = p.parentElement && p.parentElement.closest(paragraph);
+        return !outer || !element.contains(outer);
+      };
+      const text = Array.from(element.querySelectorAll(paragraph))
+        .filter((p) => ownedBy(p) && isOuterParagraph(p))
+        .map(readText)
+        .filter(Boolean)
+        .join("\n\n");
+
+      return {
+        heading: title,
+        level,
+        kind: classifySectionHeading(
+          title.replace(/^((\d+\.)*\d+\.?|[IVX]+\.)\s*/, "")
+        ),
+        text,
+      };
+    })
+    .filter((s) => s.heading && s.text);
+}
+
+// The Highwire `citation_pdf_url` meta tag, resolved against the page URL.
+function getCitationPdfUrl(doc, url) {
+  const element = doc.querySelector('meta[name="citation_pdf_url"]');
+  if (!element || !element.content) return null;
+  try {
+    return new URL(element.content, url).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// bioRxiv and medRxiv share one platform.
+const RXIV_EXTRACTORS = {
+  extractMetadata: (doc) =>
+    readAdapterMetadata(doc, {
+      title: ["h1#page-title", "h1.highwire-cite-title"],
+      abstract: ["#abstract-1", ".section.abstract"],
+      authors: ".highwire-citation-authors .highwire-citation-author",
+    }),
+  extractSections: (doc) =>
+    readAdapterSections(doc, {
+      section: ".fulltext-view .section",
+      heading: "h2, h3",
+    }),
+  getPdfUrl: (url, doc) =>
+    getCitationPdfUrl(doc, url) ||
+    `${url
+      .split(/[?#]/)[0]
+      .replace(/\.(full|abstract|full-text|full\.pdf)$/, "")}.full.pdf`,
+};
+
+// Extractors for each site, by site key.
+const SITE_EXTRACTORS = {
+  arXiv: {
+    extractMetadata: (doc) => {
+      if (isArxivHtmlDocument(doc)) return readArxivHtmlMetadata(doc);
+      const metadata = readAdapterMetadata(doc, {
+        title: ["h1.title"],
+        abstract: ["blockquote.abstract", "blockquote.abstract-full"],
+        authors: "div.authors a",
+      });
+      // The abs page labels its title with a visually hidden "Title:".
+      if (metadata.title) {
+        metadata.title = metadata.title.replace(/^Title:\s*/, "");
+      }
+      return metadata;
+    },
+    extractSections: readArxivHtmlSections,
+    extractFigures: readArxivHtmlFigures,
+    extractReferences: readArxivHtmlReferences,
+    fetchFullText: fetchArxivHtmlFullText,
+    getPdfUrl: (url) => {
+      const arxiv = parseArxivUrl(url);
+      if (!arxiv) return null;
+      const version = arxiv.version ? `v${arxiv.version}` : "";
+      return `https://arxiv.org/pdf/${arxiv.id}${version}`;
+    },
+  },
+  IEEE: {
+    extractMetadata: (doc) =>
+      readAdapterMetadata(doc, {
+        title: ["h1.document-title"],
+        abstract: [".abstract-text", ".abstract-desktop-div"],
+        authors: ".authors-info .blue-tooltip a span",
+      }),
+    extractSections: (doc) =>
+      readAdapterSections(doc, {
+        section: "#article .section",
+        heading: ".header h2, .header h3, h2, h3",
+      }),
+    getPdfUrl: (url) => {
+      const number = parseIeeeDocumentNumber(url);
+      return number
+        ? `https://ieeexplore.ieee.org/stampPDF/getPDF.jsp?tp=&arnumber=${number}`
+        : null;
+    },
+  },
+  ACM: {
+    extractMetadata: (doc) =>
+      readAdapterMetadata(doc, {
+        title: ["h1.citation__title", "h1[property='name']"],
+        abstract: [
+          "section#abstract div[role='paragraph']",
+          "div.abstractSection",
+          "section#abstract",
+        ],
+        authors:
+          "[property='author'] [property='name'], .loa__author-name span",
+      }),
+    extractSections: (doc) =>
+      readAdapterSections(doc, {
+        section: "section[id^='sec']",
+        heading: "h2, h3, h4",
+        paragraph: "p, div[role='paragraph']",
+      }),
+    getPdfUrl: (url) => {
+      const match = url.match(
+        /\/doi\/(?:abs\/|full\/|fullHtml\/|epdf\/|pdf\/)?(10\.\d+\/[^?#]+)/i
+      );
+      return match ? `https://dl.acm.org/doi/pdf/${match[1]}` : null;
+    },
+  },
+  Springer: {
+    extractMetadata: (doc) =>
+      readAdapterMetadata(doc, {
+        title: ["h1.c-article-title"],
+        abstract: ["#Abs1-content", "section[data-title='Abstract']"],
+        authors: "[data-test='author-name']",
+      }),
+    extractSections: (doc) =>
+      readAdapterSections(doc, {
+        section: "section[data-title]",
+        heading: "h2, h3",
+      }),
+    getPdfUrl: (url, doc) => {
+      const match = url.match(/\/(?:article|chapter)\/(10\.\d+\/[^?#]+)/i);
+      return (
+        getCitationPdfUrl(doc, url) ||
+        (match ? `https://link.springer.com/content/pdf/${match[1]}.pdf` : null)
+      );
+    },
+  },
+  ScienceDirect: {
+    extractMetadata: (doc) =>
+      readAdapterMetadata(doc, {
+        title: ["h1 .title-text", "span.title-text"],
+        abstract: [".abstract.author div", "#abstracts .abstract"],
+        authors: "#author-group .react-xocs-alternative-link",
+      }),
+    extractSections: (doc) =>
+      readAdapterSections(doc, {
+        section: "#body section",
+        heading: "h2, h3, h4",
+      }),
+    getPdfUrl: (url, doc) => {
+      const match = url.match(/\/pii\/(\w+)/i);
+      return (
+        getCitationPdfUrl(doc, url) ||
+        (match
+          ? `https://www.sciencedirect.com/science/article/pii/${match[1]}/pdfft`
+          : null)
+      );
+    },
+  },
+  PMC: {
+    extractMetadata: (doc) =>
+      readAdapterMetadata(doc, {
+        title: ["h1.content-title", "hgroup h1"],
+        abstract: ["section.abstract", "#abstract1", ".abstract"],
+        authors: ".contrib-group .name, .cg a",
+      }),
+    extractSections: (doc) =>
+      readAdapterSections(doc, {
+        section: "section[id^='sec'], div.tsec.sec",
+        heading: "h2, h3, h4",
+      }),
+    getPdfUrl: (url, doc) => getCitationPdfUrl(doc, url),
+  },
+  bioRxiv: RXIV_EXTRACTORS,
+  medRxiv: RXIV_EXTRACTORS,
+  OpenReview: {
+    extractMetadata: (doc) =>
+      readAdapterMetadata(doc, {
+        title: [".forum-title h2", ".note h2.citation_title"],
+        abstract: [".note-content-value.markdown-rendered", ".note-content"],
+        authors: ".forum-authors a",
+      }),
+    extractSections: () => [],
+    getPdfUrl: (url) => {
+      const id = new URL(url).searchParams.get("id");
+      return id
+        ? `https://openreview.net/pdf?id=${encodeURIComponent(id)}`
+        : null;
+    },
+  },
+  "ACL Anthology": {
+    extractMetadata: (doc) =>
+      readAdapterMetadata(doc, {
+        title: ["h2#title"],
+        abstract: [".acl-abstract span", ".acl-abstract"],
+        authors: "p.lead a",
+      }),
+    extractSections: () => [],
+    getPdfUrl: (url) => {
+      const match = url.match(
+        /aclanthology\.org\/([A-Z]\d{2}-\d{4}|\d{4}\.[\w-]+\.\d+)/i
+      );
+      return match ? `https://aclanthology.org/${match[1]}.pdf` : null;
+    },
+  },
+  "Semantic Scholar": {
+    extractMetadata: (doc) =>
+      readAdapterMetadata(doc, {
+        title: ["[data-test-id='paper-detail-title']", "h1"],
+        abstract: [
+          "[data-test-id='abstract-text'] [data-test-id='text-truncator-text']",
+          "[data-test-id='abstract-text']",
+        ],
+        authors:
+          "[data-test-id='author-list'] a .cl-paper-authors__author-name",
+      }),
+    extractSections: () => [],
+    // The PDF link usually points at another host, which the page may not be
+    // allowed to fetch; extraction then keeps the abstract only.
+    getPdfUrl: (url, doc) => {
+      const link = doc.querySelector(
+        "a[data-test-id='paper-link'][href*='.pdf'], a[data-heap-id='paper_link_pdf']"
+      );
+      return getCitationPdfUrl(doc, url) || (link ? link.href : null);
+    },
+  },
+};
+
+const SITE_ADAPTERS = PAPER_SITES.map((site) => ({
+  ...site,
+  ...SITE_EXTRACTORS[site.key],
+}));
+
+// Returns the adapter for a paper URL, or null on unsupported sites.
+function findSiteAdapter(url) {
+  return SITE_ADAPTERS.find((adapter) => adapter.matches(url || "")) || null;
+}